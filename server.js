@@ -36,64 +36,22 @@ if (process.env.NODE_ENV === 'production') {
 const app = require('./src/app');
 const PORT = process.env.PORT || 5000;
 
-// Function to create rooms automatically
-// Function to create rooms automatically
+// Seed each property's rooms from its layout when it has none
 const createRoomsAutomatically = async () => {
   try {
-    // Import Room model directly
-    const { Room } = require('./src/models');
+    const propertyService = require('./src/services/propertyService');
 
-    console.log('🔍 Checking if rooms exist using Model...');
+    console.log('🔍 Checking if rooms exist...');
 
-    // 1. Check count using Model
-    const count = await Room.count();
+    const results = await propertyService.seedAllProperties();
 
-    // 2. If count is not 97, re-seed
-    if (count !== 97) {
-      console.log(`🏨 Found ${count} rooms. Enforcing 97 rooms standard (Assessment Compliant)...`);
-
-      // Clear existing if any (safe reset)
-      if (count > 0) {
-        await Room.destroy({ where: {} });
-        console.log(`🧹 Cleared ${count} non-compliant rooms.`);
-      }
-
-      const rooms = [];
-
-      // Floors 1-9: 10 rooms each
-      for (let floor = 1; floor <= 9; floor++) {
-        for (let position = 1; position <= 10; position++) {
-          rooms.push({
-            roomNumber: (floor * 100) + position,
-            floor: floor,
-            position: position,
-            roomType: floor >= 8 ? 'deluxe' : 'standard',
-            status: 'not-booked',
-            isAvailable: true,
-            basePrice: floor >= 8 ? 150.00 : 100.00
-          });
-        }
+    results.forEach(({ property, created, totalRooms }) => {
+      if (created > 0) {
+        console.log(`✅ Created ${created} rooms for ${property.code} from its hotel layout`);
+      } else {
+        console.log(`✅ Found ${totalRooms} rooms for ${property.code}`);
       }
-
-      // Floor 10: 7 rooms
-      for (let position = 1; position <= 7; position++) {
-        rooms.push({
-          roomNumber: 1000 + position,
-          floor: 10,
-          position: position,
-          roomType: 'suite',
-          status: 'not-booked',
-          isAvailable: true,
-          basePrice: 200.00
-        });
-      }
-
-      // Bulk create is much faster and cleaner
-      await Room.bulkCreate(rooms);
-      console.log('✅ Created 97 rooms successfully (1-97 structure)');
-    } else {
-      console.log('✅ Rooms are compliant (97 rooms found)');
-    }
+    });
   } catch (error) {
     console.error('❌ Room creation failed:', error.message);
   }
@@ -155,6 +113,15 @@ async function initializeDatabase() {
 
       // Create rooms after database setup
       await createRoomsAutomatically();
+
+      const bookingService = require('./src/services/bookingService');
+      const referenced = await bookingService.backfillReferences();
+      if (referenced > 0) {
+        console.log(`✅ Assigned reference codes to ${referenced} existing bookings`);
+      }
+
+      // Release rooms held by quotes that expire unconfirmed
+      require('./src/services/holdSweeper').start();
     } else {
       console.warn('⚠️ PostgreSQL not connected - running in limited mode');
     }
@@ -194,6 +161,8 @@ const startServer = async () => {
     const gracefulShutdown = async (signal) => {
       console.log(`\n🔄 ${signal} received. Shutting down gracefully...`);
 
+      require('./src/services/holdSweeper').stop();
+
       server.close(async () => {
         console.log('✅ HTTP server closed');
 
@@ -9,11 +9,18 @@ const morgan = require('morgan');
 // const authRoutes = require('./routes/authRoutes'); // REMOVED
 const bookingRoutes = require('./routes/bookingRoutes');
 const roomRoutes = require('./routes/roomRoutes');
-// const adminRoutes = require('./routes/adminRoutes'); // REMOVED
+const holdRoutes = require('./routes/holdRoutes');
+const blockRoutes = require('./routes/blockRoutes');
+const housekeepingRoutes = require('./routes/housekeepingRoutes');
+const maintenanceRoutes = require('./routes/maintenanceRoutes');
+const guestRoutes = require('./routes/guestRoutes');
+const propertyRoutes = require('./routes/propertyRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const loggerMiddleware = require('./middleware/logger');
+const { defaultProperty } = require('./middleware/property');
 
 // DB connections (Postgres-only)
 const dbConnections = require('./config/database');
@@ -30,7 +37,7 @@ app.use(compression());
 app.use(cors({
   origin: true, // Allow all origins (dynamically reflects request origin)
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'Accept']
 }));
 
@@ -73,11 +80,68 @@ app.get('/', (req, res) => {
       rooms: {
         all: 'GET /api/rooms',
         available: 'GET /api/rooms/available',
+        options: 'GET /api/rooms/options',
+        explain: 'GET /api/rooms/explain',
+        recommendations: 'GET /api/rooms/recommendations',
         resetAll: 'POST /api/rooms/reset-all'
       },
       bookings: {
         create: 'POST /api/bookings',
-        list: 'GET /api/bookings'
+        list: 'GET /api/bookings',
+        byReference: 'GET /api/bookings/ref/:code',
+        invoice: 'GET /api/bookings/:id/invoice',
+        modify: 'PATCH /api/bookings/:id',
+        checkIn: 'POST /api/bookings/:id/check-in',
+        checkOut: 'POST /api/bookings/:id/check-out',
+        noShow: 'POST /api/bookings/:id/no-show'
+      },
+      holds: {
+        create: 'POST /api/holds',
+        get: 'GET /api/holds/:token',
+        release: 'DELETE /api/holds/:token'
+      },
+      blocks: {
+        list: 'GET /api/blocks?roomNumber=&from=&to=',
+        create: 'POST /api/blocks',
+        get: 'GET /api/blocks/:blockId',
+        update: 'PATCH /api/blocks/:blockId',
+        remove: 'DELETE /api/blocks/:blockId'
+      },
+      housekeeping: {
+        board: 'GET /api/housekeeping/board',
+        update: 'PATCH /api/housekeeping/rooms/:roomNumber',
+        generateTasks: 'POST /api/housekeeping/tasks/generate',
+        tasks: 'GET /api/housekeeping/tasks?date=&attendant=&status=',
+        updateTask: 'PATCH /api/housekeeping/tasks/:taskId'
+      },
+      maintenance: {
+        list: 'GET /api/maintenance/tickets?status=&severity=&floor=&roomNumber=',
+        create: 'POST /api/maintenance/tickets',
+        get: 'GET /api/maintenance/tickets/:ticketId',
+        update: 'PATCH /api/maintenance/tickets/:ticketId',
+        close: 'POST /api/maintenance/tickets/:ticketId/close'
+      },
+      guests: {
+        search: 'GET /api/guests?q=',
+        create: 'POST /api/guests',
+        get: 'GET /api/guests/:id',
+        update: 'PATCH /api/guests/:id'
+      },
+      properties: {
+        list: 'GET /api/properties',
+        create: 'POST /api/properties',
+        get: 'GET /api/properties/:propertyId',
+        update: 'PATCH /api/properties/:propertyId',
+        rooms: 'GET /api/properties/:propertyId/rooms',
+        bookings: 'GET|POST /api/properties/:propertyId/bookings',
+        holds: 'POST /api/properties/:propertyId/holds',
+        blocks: 'GET|POST /api/properties/:propertyId/blocks',
+        housekeeping: 'GET /api/properties/:propertyId/housekeeping/board',
+        maintenance: 'GET|POST /api/properties/:propertyId/maintenance/tickets'
+      },
+      admin: {
+        importLayout: 'POST /api/admin/layout/import?propertyId=&dryRun=',
+        exportLayout: 'GET /api/admin/layout/export?propertyId=&format=json|csv'
       }
     }
   });
@@ -112,103 +176,27 @@ app.get('/api/db-test', async (req, res) => {
 // ✅ EMERGENCY FIX HANDLER FUNCTIONS
 const handleAutoFixRooms = async (req, res) => {
   try {
-    const { sequelize } = require('./config/database');
-
-    console.log('🔄 AUTO-FIX: Checking and creating rooms (97 Room Standard)...');
-
-    // 1. Check if rooms table exists
-    const [tables] = await sequelize.query(`
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = 'rooms'
-      ) as table_exists
-    `);
-
-    let message = '';
-
-    if (!tables[0].table_exists) {
-      console.log('📝 Creating rooms table...');
-      await sequelize.query(`
-          CREATE TABLE rooms (
-            room_id SERIAL PRIMARY KEY,
-            room_number INTEGER UNIQUE NOT NULL,
-            floor INTEGER NOT NULL,
-            position INTEGER NOT NULL,
-            room_type VARCHAR(20) DEFAULT 'standard',
-            status VARCHAR(20) DEFAULT 'not-booked',
-            is_available BOOLEAN DEFAULT true,
-            base_price DECIMAL(10,2) DEFAULT 100.00,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-          )
-        `);
-      message += 'Created rooms table. ';
-    }
-
-    // 2. Check room count
-    const [roomCount] = await sequelize.query('SELECT COUNT(*) FROM rooms');
-    const count = parseInt(roomCount[0].count);
-
-    // Optimization: If count is not 97, we re-seed to ensure compliance
-    if (count !== 97) {
-      console.log(`🏨 Found ${count} rooms. Enforcing 97 rooms standard...`);
+    const { Room, Property } = require('./models');
+    const propertyService = require('./services/propertyService');
 
-      // Clear existing if any (safe reset)
-      if (count > 0) {
-        await sequelize.query('DELETE FROM rooms');
-        message += `Cleared ${count} non-compliant rooms. `;
-      }
-
-      const rooms = [];
-
-      // Floors 1-9: 10 rooms each
-      for (let floor = 1; floor <= 9; floor++) {
-        for (let position = 1; position <= 10; position++) {
-          rooms.push({
-            room_number: (floor * 100) + position,
-            floor: floor,
-            position: position,
-            room_type: floor >= 8 ? 'deluxe' : 'standard',
-            is_available: true,
-            base_price: floor >= 8 ? 150.00 : 100.00
-          });
-        }
-      }
-
-      // Floor 10: 7 rooms
-      for (let position = 1; position <= 7; position++) {
-        rooms.push({
-          room_number: 1000 + position,
-          floor: 10,
-          position: position,
-          room_type: 'suite',
-          is_available: true,
-          base_price: 200.00
-        });
-      }
-
-      for (const room of rooms) {
-        await sequelize.query(`
-          INSERT INTO rooms (room_number, floor, position, room_type, status, is_available, base_price)
-          VALUES ($1, $2, $3, $4, $5, $6, $7)
-          ON CONFLICT (room_number) DO NOTHING
-        `, [room.room_number, room.floor, room.position, room.room_type, 'not-booked', room.is_available, room.base_price]);
-      }
+    console.log('🔄 AUTO-FIX: Checking tables and seeding rooms from hotel layout...');
 
-      message += 'Created 97 standard rooms. ';
-    }
+    // 1. Make sure the properties and rooms tables exist
+    await Property.sync();
+    await Room.sync();
 
-    // 3. Final count
-    const [finalCount] = await sequelize.query('SELECT COUNT(*) FROM rooms');
-    const [availableCount] = await sequelize.query('SELECT COUNT(*) FROM rooms WHERE is_available = true');
+    // 2. Seed each property from its layout only when it has no rooms
+    const results = await propertyService.seedAllProperties();
+    const created = results.reduce((sum, result) => sum + result.created, 0);
+    const totalRooms = results.reduce((sum, result) => sum + result.totalRooms, 0);
+    const availableRooms = await Room.count({ where: { isAvailable: true } });
 
     res.json({
       success: true,
-      message: message || 'Rooms are already compliant (97 rooms)',
+      message: created > 0 ? `Created ${created} rooms from the hotel layout.` : `Rooms already exist (${totalRooms} rooms)`,
       rooms: {
-        total: parseInt(finalCount[0].count),
-        available: parseInt(availableCount[0].count)
+        total: totalRooms,
+        available: availableRooms
       },
       nextStep: 'Now try: GET /api/rooms or POST /api/bookings'
     });
@@ -226,75 +214,21 @@ const handleAutoFixRooms = async (req, res) => {
 const handleForceCreateRooms = async (req, res) => {
   try {
     const { sequelize } = require('./config/database');
+    const propertyService = require('./services/propertyService');
 
     console.log('💥 FORCE CREATING TABLES & ROOMS (NUCLEAR OPTION)...');
 
-    // 1. Drop tables (Bookings first due to FK, though we removed FKs, good practice)
-    await sequelize.query('DROP TABLE IF EXISTS bookings CASCADE');
-    await sequelize.query('DROP TABLE IF EXISTS rooms CASCADE');
-
-    // 2. Create Rooms
-    console.log('📝 Creating Rooms Table...');
-    await sequelize.query(`
-      CREATE TABLE rooms (
-        room_id SERIAL PRIMARY KEY,
-        room_number INTEGER UNIQUE NOT NULL,
-        floor INTEGER NOT NULL,
-        position INTEGER NOT NULL,
-        room_type VARCHAR(20) DEFAULT 'standard',
-        status VARCHAR(20) DEFAULT 'not-booked',
-        is_available BOOLEAN DEFAULT true,
-        base_price DECIMAL(10,2) DEFAULT 100.00,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // 3. Create Bookings
-    console.log('📝 Creating Bookings Table...');
-    await sequelize.query(`
-      CREATE TABLE bookings (
-        booking_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-        rooms JSONB NOT NULL,
-        total_rooms INTEGER NOT NULL,
-        travel_time INTEGER NOT NULL,
-        total_price DECIMAL(10,2) NOT NULL,
-        booking_date DATE DEFAULT CURRENT_DATE,
-        check_in_date DATE NOT NULL,
-        check_out_date DATE NOT NULL,
-        status VARCHAR(20) DEFAULT 'confirmed',
-        payment_status VARCHAR(20) DEFAULT 'pending',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // 4. Seed 97 Rooms
-    console.log('🌱 Seeding 97 Rooms...');
-    const rooms = [];
-    // Floors 1-9
-    for (let floor = 1; floor <= 9; floor++) {
-      for (let position = 1; position <= 10; position++) {
-        rooms.push(`(${floor * 100 + position}, ${floor}, ${position}, '${floor >= 8 ? 'deluxe' : 'standard'}', 'not-booked', true, ${floor >= 8 ? 150.00 : 100.00})`);
-      }
-    }
-    // Floor 10
-    for (let position = 1; position <= 7; position++) {
-      rooms.push(`(${1000 + position}, 10, ${position}, 'suite', 'not-booked', true, 200.00)`);
-    }
-
-    await sequelize.query(`
-      INSERT INTO rooms (room_number, floor, position, room_type, status, is_available, base_price)
-      VALUES ${rooms.join(', ')}
-      ON CONFLICT (room_number) DO NOTHING
-    `);
+    // 1. Drop and recreate every table from the models
+    console.log('📝 Recreating tables...');
+    await sequelize.sync({ force: true });
 
-    // 5. Verification
-    const [rc] = await sequelize.query('SELECT COUNT(*) FROM rooms');
+    // 2. Recreate the default property and seed its rooms from the hotel layout
+    console.log('🌱 Seeding rooms from hotel layout...');
+    const [{ totalRooms }] = await propertyService.seedAllProperties();
 
     res.json({
       success: true,
-      message: `DATABASE FULLY REPAIRED. Tables created and ${rc[0].count} rooms seeded.`,
+      message: `DATABASE FULLY REPAIRED. Tables created and ${totalRooms} rooms seeded.`,
       action: 'Refresh your frontend and book now!',
       timestamp: new Date().toISOString()
     });
@@ -328,9 +262,16 @@ app.post('/api/create-rooms', handleQuickCreateRooms);
 
 // API Routes
 // app.use('/api/auth', authRoutes); // REMOVED
-app.use('/api/bookings', bookingRoutes);
-app.use('/api/rooms', roomRoutes);
-// app.use('/api/admin', adminRoutes); // REMOVED
+// Unscoped routes act on the default property
+app.use('/api/bookings', defaultProperty, bookingRoutes);
+app.use('/api/rooms', defaultProperty, roomRoutes);
+app.use('/api/holds', defaultProperty, holdRoutes);
+app.use('/api/blocks', defaultProperty, blockRoutes);
+app.use('/api/housekeeping', defaultProperty, housekeepingRoutes);
+app.use('/api/maintenance', defaultProperty, maintenanceRoutes);
+app.use('/api/guests', guestRoutes);
+app.use('/api/properties', propertyRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -346,8 +287,18 @@ app.use('*', (req, res) => {
       'GET/POST /api/create-rooms (QUICK FIX)',
       'GET    /api/rooms',
       'GET    /api/rooms/available',
+      'GET    /api/rooms/options',
+      'GET    /api/rooms/explain',
+      'GET    /api/rooms/recommendations',
       'POST   /api/bookings',
-      'GET    /api/bookings'
+      'GET    /api/bookings',
+      'POST   /api/holds',
+      'GET    /api/blocks',
+      'GET    /api/housekeeping/board',
+      'GET    /api/maintenance/tickets',
+      'GET    /api/guests',
+      'GET    /api/properties',
+      'GET    /api/properties/:propertyId/rooms'
     ]
   });
 });
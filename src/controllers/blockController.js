@@ -0,0 +1,163 @@
+const roomBlockService = require('../services/roomBlockService');
+
+// Every handler acts on req.property: the one in
+// /api/properties/:propertyId/blocks, or the default property for /api/blocks
+const propertyScope = (req) => ({ propertyId: req.property.propertyId });
+
+// Message for a block that was forced over bookings
+const affectedMessage = (affectedBookings) => (affectedBookings.length > 0
+  ? `${affectedBookings.length} booking(s) hold nights in the blocked period and must be moved`
+  : undefined);
+
+// @desc    List maintenance blocks
+// @route   GET /api/blocks?roomNumber=&from=&to=
+// @access  Private
+const getBlocks = async (req, res) => {
+  try {
+    const blocks = await roomBlockService.listBlocks(req.property.propertyId, req.query);
+
+    res.json({
+      success: true,
+      count: blocks.length,
+      data: blocks
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Get blocks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch maintenance blocks'
+    });
+  }
+};
+
+// @desc    Get a maintenance block with the bookings it overlaps
+// @route   GET /api/blocks/:blockId
+// @access  Private
+const getBlockById = async (req, res) => {
+  try {
+    const block = await roomBlockService.getBlock(req.params.blockId, propertyScope(req));
+    const affectedBookings = await roomBlockService.findAffectedBookings(block.roomId, block.startDate, block.endDate);
+
+    res.json({
+      success: true,
+      data: { ...block.toJSON(), affectedBookings }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Get block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Take a room out of service for a date range
+// @route   POST /api/blocks
+// @access  Private
+const createBlock = async (req, res) => {
+  try {
+    const { block, affectedBookings } = await roomBlockService.createBlock(req.property, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: affectedMessage(affectedBookings) || `Room ${block.room.roomNumber} blocked`,
+      data: { ...block.toJSON(), affectedBookings }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Create block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating maintenance block'
+    });
+  }
+};
+
+// @desc    Change a maintenance block's dates or reason
+// @route   PATCH /api/blocks/:blockId
+// @access  Private
+const updateBlock = async (req, res) => {
+  try {
+    const { block, affectedBookings } = await roomBlockService.updateBlock(req.property, req.params.blockId, req.body);
+
+    res.json({
+      success: true,
+      message: affectedMessage(affectedBookings) || 'Maintenance block updated',
+      data: { ...block.toJSON(), affectedBookings }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Update block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating maintenance block'
+    });
+  }
+};
+
+// @desc    Remove a maintenance block, returning the room to service
+// @route   DELETE /api/blocks/:blockId
+// @access  Private
+const deleteBlock = async (req, res) => {
+  try {
+    const block = await roomBlockService.deleteBlock(req.property, req.params.blockId);
+
+    res.json({
+      success: true,
+      message: `Room ${block.room.roomNumber} is back in service`,
+      data: block
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Delete block error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing maintenance block'
+    });
+  }
+};
+
+module.exports = {
+  getBlocks,
+  getBlockById,
+  createBlock,
+  updateBlock,
+  deleteBlock
+};
@@ -1,138 +1,88 @@
-const { Booking, Room } = require('../models');
-const { Op } = require('sequelize');
-const algorithmService = require('../services/algorithmService');
+const { Booking, Guest } = require('../models');
+const bookingService = require('../services/bookingService');
+const Helpers = require('../utils/helpers');
+const PDFGenerator = require('../utils/pdfGenerator');
+const { SUCCESS_MESSAGES } = require('../utils/constants');
 
-// @desc    Book rooms
-// @route   POST /api/bookings
-const bookRooms = async (req, res) => {
-  try {
-    const { numRooms, checkInDate, checkOutDate } = req.body;
-
-    console.log('📅 Booking attempt:', { numRooms, checkInDate, checkOutDate });
-
-    // 1. Validation
-    if (!numRooms || numRooms < 1 || numRooms > 5) {
-      return res.status(400).json({
-        success: false,
-        message: 'Number of rooms must be between 1 and 5'
-      });
-    }
-
-    if (!checkInDate || !checkOutDate) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide check-in and check-out dates'
-      });
-    }
+// Bookings are always read and changed within req.property (see middleware/property)
+const propertyScope = (req) => ({ propertyId: req.property.propertyId });
 
-    const checkIn = new Date(checkInDate);
-    const checkOut = new Date(checkOutDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    if (checkIn < today) {
-      return res.status(400).json({
-        success: false,
-        message: 'Check-in date cannot be in the past'
-      });
-    }
+// Confirmation mail goes out in the background; a mail failure must not
+// turn a successful booking into an error response
+const notifyGuest = (booking) => {
+  if (!booking.guestId) return;
 
-    if (checkOut <= checkIn) {
-      return res.status(400).json({
-        success: false,
-        message: 'Check-out date must be after check-in date'
-      });
-    }
-
-    // 2. Fetch available rooms
-    const allAvailableRooms = await Room.findAll({
-      where: { isAvailable: true },
-      order: [['floor', 'ASC'], ['position', 'ASC']]
-    });
-
-    if (allAvailableRooms.length < numRooms) {
-      return res.status(400).json({
-        success: false,
-        message: `Not enough rooms available. (Requested: ${numRooms}, Available: ${allAvailableRooms.length})`
-      });
-    }
+  bookingService.sendConfirmationEmail(booking.bookingId).catch(error => {
+    console.error('Confirmation email error:', error.message);
+  });
+};
 
-    // 3. Find optimal rooms using AlgorithmService
-    const roomsByFloor = [];
-    for (let f = 1; f <= 10; f++) {
-      const floorRooms = allAvailableRooms.filter(r => r.floor === f);
-      if (floorRooms.length > 0) {
-        roomsByFloor.push(floorRooms);
-      }
-    }
+// @desc    Book rooms, or confirm a hold when a holdToken is given
+// @route   POST /api/bookings
+const bookRooms = async (req, res) => {
+  try {
+    const { numRooms, checkInDate, checkOutDate, holdToken, guest, guestId, requirements, preferences, roomNumbers, specialRequests } = req.body;
 
-    const optimalResult = await algorithmService.findOptimalRooms(roomsByFloor, numRooms);
+    if (holdToken) {
+      const booking = await bookingService.confirmHold(holdToken, { guest, guestId, specialRequests }, propertyScope(req));
+      notifyGuest(booking);
 
-    if (!optimalResult) {
-      return res.status(400).json({
-        success: false,
-        message: 'Could not find an optimal combination of rooms.'
+      return res.status(201).json({
+        success: true,
+        data: {
+          bookingId: booking.bookingId,
+          reference: booking.reference,
+          propertyId: booking.propertyId,
+          rooms: booking.rooms,
+          travelTime: booking.travelTime,
+          totalPrice: parseFloat(booking.totalPrice),
+          checkInDate: booking.checkInDate,
+          checkOutDate: booking.checkOutDate,
+          status: booking.status,
+          guest: booking.guest,
+          specialRequests: booking.specialRequests
+        }
       });
     }
 
-    const selectedRooms = optimalResult.rooms;
-    const roomNumbers = selectedRooms.map(room => room.roomNumber);
-    const travelTime = optimalResult.travelTime;
-
-    // 4. Calculate total price
-    const nights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
-    let totalPrice = 0;
-    selectedRooms.forEach(room => {
-      let pricePerNight = parseFloat(room.basePrice);
-      const checkInDay = checkIn.getDay();
-      if (checkInDay === 5 || checkInDay === 6) {
-        pricePerNight *= 1.2;
-      }
-      totalPrice += pricePerNight * nights;
-    });
-
-    totalPrice = parseFloat(totalPrice.toFixed(2));
+    console.log('📅 Booking attempt:', { numRooms, checkInDate, checkOutDate });
 
-    // 5. Create booking record
-    console.log('💾 Creating booking record...');
-    const booking = await Booking.create({
-      rooms: roomNumbers,
-      totalRooms: numRooms,
-      travelTime,
-      totalPrice,
+    // Allocate the optimal rooms and reserve their nights in one transaction
+    const { booking, rooms: selectedRooms, travelTime } = await bookingService.createBooking(
+      numRooms,
       checkInDate,
       checkOutDate,
-      status: 'confirmed',
-      paymentStatus: 'pending'
-    });
-
-    // 6. Update room availability
-    await Room.update(
-      {
-        isAvailable: false,
-        status: 'booked'
-      },
-      {
-        where: {
-          roomNumber: roomNumbers
-        }
-      }
+      { property: req.property, guest, guestId, requirements, preferences, roomNumbers, specialRequests }
     );
+    notifyGuest(booking);
 
     res.status(201).json({
       success: true,
       data: {
         bookingId: booking.bookingId,
-        rooms: roomNumbers,
+        reference: booking.reference,
+        propertyId: booking.propertyId,
+        rooms: selectedRooms.map(room => room.roomNumber),
         travelTime,
-        totalPrice,
-        checkInDate,
-        checkOutDate,
-        status: booking.status
+        totalPrice: parseFloat(booking.totalPrice),
+        checkInDate: Helpers.toDateOnly(checkInDate),
+        checkOutDate: Helpers.toDateOnly(checkOutDate),
+        status: booking.status,
+        guest: booking.guest,
+        requirements: booking.requirements,
+        specialRequests: booking.specialRequests
       }
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
     console.error('❌ Booking error:', error);
     res.status(500).json({
       success: false,
@@ -142,19 +92,27 @@ const bookRooms = async (req, res) => {
   }
 };
 
-// @desc    Get all bookings
+// @desc    List bookings (filtered, sorted, paginated)
+// @route   GET /api/bookings?status=&paymentStatus=&startDate=&endDate=&roomNumber=&guest=&sortBy=&sortOrder=&page=&cursor=&limit=
 const getBookings = async (req, res) => {
   try {
-    const bookings = await Booking.findAll({
-      order: [['createdAt', 'DESC']]
-    });
+    const { bookings, pagination } = await bookingService.listBookings({ ...req.query, ...propertyScope(req) });
 
     res.json({
       success: true,
       count: bookings.length,
+      total: pagination.total,
+      pagination,
       data: bookings
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get bookings error:', error);
     res.status(500).json({
       success: false,
@@ -168,7 +126,8 @@ const getBookingById = async (req, res) => {
   try {
     const { id } = req.params;
     const booking = await Booking.findOne({
-      where: { bookingId: id }
+      where: { ...propertyScope(req), bookingId: id },
+      include: [{ model: Guest, as: 'guest' }]
     });
 
     if (!booking) {
@@ -191,12 +150,13 @@ const getBookingById = async (req, res) => {
   }
 };
 
-// @desc    Cancel booking
-const cancelBooking = async (req, res) => {
+// @desc    Download a booking's invoice as a PDF
+// @route   GET /api/bookings/:id/invoice
+const getBookingInvoice = async (req, res) => {
   try {
-    const { id } = req.params;
     const booking = await Booking.findOne({
-      where: { bookingId: id }
+      where: { ...propertyScope(req), bookingId: req.params.id },
+      include: [{ model: Guest, as: 'guest' }]
     });
 
     if (!booking) {
@@ -206,20 +166,98 @@ const cancelBooking = async (req, res) => {
       });
     }
 
-    booking.status = 'cancelled';
-    await booking.save();
+    const rooms = await bookingService.getBookingRooms(booking);
+    const pdf = await PDFGenerator.generateBookingInvoice(booking, booking.guest, rooms);
 
-    await Room.update(
-      { isAvailable: true, status: 'not-booked' },
-      { where: { roomNumber: booking.rooms } }
-    );
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="invoice-${booking.reference}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Get booking invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Get booking by its reference code
+// @route   GET /api/bookings/ref/:code
+const getBookingByReference = async (req, res) => {
+  try {
+    const booking = await bookingService.findByReference(req.params.code, propertyScope(req));
 
     res.json({
       success: true,
-      message: 'Booking cancelled successfully',
       data: booking
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get booking by reference error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Change a booking's dates, number of rooms and/or special requests
+// @route   PATCH /api/bookings/:id
+const modifyBooking = async (req, res) => {
+  try {
+    const { booking, diff } = await bookingService.modifyBooking(req.params.id, req.body, propertyScope(req));
+
+    res.json({
+      success: true,
+      message: 'Booking updated successfully',
+      data: booking,
+      changes: diff
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Modify booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Cancel booking under the cancellation policy
+// @route   PUT /api/bookings/:id/cancel
+const cancelBooking = async (req, res) => {
+  try {
+    const { booking, policy } = await bookingService.cancelBooking(req.params.id, propertyScope(req));
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.CANCELLATION_SUCCESS,
+      data: booking,
+      policy
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Cancel booking error:', error);
     res.status(500).json({
       success: false,
@@ -228,9 +266,98 @@ const cancelBooking = async (req, res) => {
   }
 };
 
+// @desc    Check a guest in (front desk)
+// @route   POST /api/bookings/:id/check-in
+const checkInBooking = async (req, res) => {
+  try {
+    const booking = await bookingService.checkIn(req.params.id, propertyScope(req));
+
+    res.json({
+      success: true,
+      message: 'Guest checked in successfully',
+      data: booking
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Check a guest out and release remaining nights (front desk)
+// @route   POST /api/bookings/:id/check-out
+const checkOutBooking = async (req, res) => {
+  try {
+    const { booking, releasedNights } = await bookingService.checkOut(req.params.id, propertyScope(req));
+
+    res.json({
+      success: true,
+      message: 'Guest checked out successfully',
+      data: booking,
+      releasedNights
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Check-out error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Mark a booking as no-show and release its nights (front desk)
+// @route   POST /api/bookings/:id/no-show
+const markNoShow = async (req, res) => {
+  try {
+    const { booking, releasedNights } = await bookingService.markNoShow(req.params.id, propertyScope(req));
+
+    res.json({
+      success: true,
+      message: 'Booking marked as no-show',
+      data: booking,
+      releasedNights
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('No-show error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 module.exports = {
   bookRooms,
   getBookings,
   getBookingById,
-  cancelBooking
+  getBookingInvoice,
+  getBookingByReference,
+  modifyBooking,
+  cancelBooking,
+  checkInBooking,
+  checkOutBooking,
+  markNoShow
 };
\ No newline at end of file
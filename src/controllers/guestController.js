@@ -0,0 +1,111 @@
+const guestService = require('../services/guestService');
+
+// @desc    Search guests by name, email, phone or document number
+// @route   GET /api/guests?q=
+// @access  Public
+const searchGuests = async (req, res) => {
+  try {
+    const guests = await guestService.searchGuests(req.query);
+
+    res.json({
+      success: true,
+      count: guests.length,
+      data: guests
+    });
+  } catch (error) {
+    console.error('Search guests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search guests'
+    });
+  }
+};
+
+// @desc    Get a guest with their bookings
+// @route   GET /api/guests/:id
+// @access  Public
+const getGuestById = async (req, res) => {
+  try {
+    const guest = await guestService.getGuest(req.params.id, { withBookings: true });
+
+    res.json({
+      success: true,
+      data: guest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get guest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Register a guest
+// @route   POST /api/guests
+// @access  Public
+const createGuest = async (req, res) => {
+  try {
+    const guest = await guestService.createGuest(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: guest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create guest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Update guest details
+// @route   PATCH /api/guests/:id
+// @access  Public
+const updateGuest = async (req, res) => {
+  try {
+    const guest = await guestService.updateGuest(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Guest updated successfully',
+      data: guest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update guest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  searchGuests,
+  getGuestById,
+  createGuest,
+  updateGuest
+};
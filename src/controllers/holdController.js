@@ -0,0 +1,120 @@
+const bookingService = require('../services/bookingService');
+
+// Holds are always read and changed within req.property (see middleware/property)
+const propertyScope = (req) => ({ propertyId: req.property.propertyId });
+
+// Shape shared by every hold response
+const formatHold = (hold, allocation = {}) => ({
+  holdToken: hold.holdToken,
+  bookingId: hold.bookingId,
+  reference: hold.reference,
+  propertyId: hold.propertyId,
+  status: hold.status,
+  expiresAt: hold.holdExpiresAt,
+  rooms: hold.rooms,
+  totalRooms: hold.totalRooms,
+  travelTime: hold.travelTime,
+  requirements: hold.requirements,
+  floors: allocation.floors,
+  strategy: allocation.strategy,
+  totalPrice: parseFloat(hold.totalPrice),
+  checkInDate: hold.checkInDate,
+  checkOutDate: hold.checkOutDate
+});
+
+// @desc    Quote and temporarily hold the optimal rooms for a stay
+// @route   POST /api/holds
+// @access  Public
+const createHold = async (req, res) => {
+  try {
+    const { numRooms, checkInDate, checkOutDate, guest, guestId, requirements, preferences, roomNumbers, specialRequests } = req.body;
+
+    const { booking, floors, strategy } = await bookingService.createBooking(
+      numRooms,
+      checkInDate,
+      checkOutDate,
+      { property: req.property, hold: true, guest, guestId, requirements, preferences, roomNumbers, specialRequests }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Rooms held. Confirm with POST /api/bookings { holdToken } before the hold expires',
+      data: formatHold(booking, { floors, strategy })
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Create hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while holding rooms'
+    });
+  }
+};
+
+// @desc    Get a hold by token
+// @route   GET /api/holds/:token
+// @access  Public
+const getHold = async (req, res) => {
+  try {
+    const hold = await bookingService.findHold(req.params.token, propertyScope(req));
+
+    res.json({
+      success: true,
+      data: formatHold(hold)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Release a hold before it expires
+// @route   DELETE /api/holds/:token
+// @access  Public
+const releaseHold = async (req, res) => {
+  try {
+    const hold = await bookingService.releaseHold(req.params.token, propertyScope(req));
+
+    res.json({
+      success: true,
+      message: 'Hold released',
+      data: formatHold(hold)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Release hold error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  createHold,
+  getHold,
+  releaseHold
+};
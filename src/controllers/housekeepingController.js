@@ -0,0 +1,137 @@
+const housekeepingService = require('../services/housekeepingService');
+const housekeepingTaskService = require('../services/housekeepingTaskService');
+
+// @desc    Housekeeping board: every room's status, grouped by floor
+// @route   GET /api/housekeeping/board
+// @access  Private
+const getBoard = async (req, res) => {
+  try {
+    const board = await housekeepingService.getBoard(req.property);
+
+    res.json({
+      success: true,
+      data: board
+    });
+  } catch (error) {
+    console.error('Housekeeping board error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch housekeeping board'
+    });
+  }
+};
+
+// @desc    Set a room's housekeeping status (staff)
+// @route   PATCH /api/housekeeping/rooms/:roomNumber
+// @access  Private
+const updateRoomStatus = async (req, res) => {
+  try {
+    const room = await housekeepingService.setStatus(req.property, req.params.roomNumber, req.body.status);
+
+    res.json({
+      success: true,
+      message: `Room ${room.roomNumber} is now ${room.housekeepingStatus}`,
+      data: room
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Housekeeping update error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating housekeeping status'
+    });
+  }
+};
+
+// @desc    Generate the day's cleaning tasks and assign them to attendants
+// @route   POST /api/housekeeping/tasks/generate
+// @access  Private
+const generateTasks = async (req, res) => {
+  try {
+    const result = await housekeepingTaskService.generateTasks(req.property, req.body);
+
+    res.json({
+      success: true,
+      message: `${result.totalTasks} task(s) for ${result.date} shared between ${result.assignments.length} attendant(s)`,
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Generate housekeeping tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating housekeeping tasks'
+    });
+  }
+};
+
+// @desc    List a day's cleaning tasks in route order
+// @route   GET /api/housekeeping/tasks?date=&attendant=&status=
+// @access  Private
+const getTasks = async (req, res) => {
+  try {
+    const tasks = await housekeepingTaskService.listTasks(req.property, req.query);
+
+    res.json({
+      success: true,
+      count: tasks.length,
+      data: tasks
+    });
+  } catch (error) {
+    console.error('Get housekeeping tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch housekeeping tasks'
+    });
+  }
+};
+
+// @desc    Start or finish a cleaning task
+// @route   PATCH /api/housekeeping/tasks/:taskId
+// @access  Private
+const updateTask = async (req, res) => {
+  try {
+    const task = await housekeepingTaskService.updateTask(req.property, req.params.taskId, req.body.status);
+
+    res.json({
+      success: true,
+      data: task
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Update housekeeping task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating housekeeping task'
+    });
+  }
+};
+
+module.exports = {
+  getBoard,
+  updateRoomStatus,
+  generateTasks,
+  getTasks,
+  updateTask
+};
@@ -0,0 +1,71 @@
+const layoutService = require('../services/layoutService');
+
+// @desc    Import a property's rooms from JSON or CSV (?dryRun=true to preview the diff)
+// @route   POST /api/admin/layout/import?propertyId=&dryRun=
+// @access  Private/Admin
+const importLayout = async (req, res) => {
+  try {
+    const result = await layoutService.importLayout(req.property, req.body, { dryRun: req.query.dryRun });
+
+    res.json({
+      success: true,
+      message: result.applied
+        ? `Layout applied to ${req.property.code}: ${result.summary.added} added, ${result.summary.changed} changed, ${result.summary.removed} removed`
+        : 'Dry run: nothing was changed',
+      data: result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Import layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing layout'
+    });
+  }
+};
+
+// @desc    Export a property's rooms as JSON or CSV, in the import format
+// @route   GET /api/admin/layout/export?propertyId=&format=
+// @access  Private/Admin
+const exportLayout = async (req, res) => {
+  try {
+    const layout = await layoutService.exportLayout(req.property);
+
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="${req.property.code}-layout.csv"`);
+      return res.send(layoutService.toCsv(layout.rooms));
+    }
+
+    res.json({
+      success: true,
+      count: layout.rooms.length,
+      data: layout
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Export layout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting layout'
+    });
+  }
+};
+
+module.exports = {
+  importLayout,
+  exportLayout
+};
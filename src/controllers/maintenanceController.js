@@ -0,0 +1,153 @@
+const maintenanceService = require('../services/maintenanceService');
+
+// Every handler acts on req.property: the one in
+// /api/properties/:propertyId/maintenance, or the default property for
+// /api/maintenance
+const propertyScope = (req) => ({ propertyId: req.property.propertyId });
+
+// @desc    List maintenance tickets
+// @route   GET /api/maintenance/tickets?status=&severity=&floor=&roomNumber=
+// @access  Private
+const getTickets = async (req, res) => {
+  try {
+    const tickets = await maintenanceService.listTickets(req.property.propertyId, req.query);
+
+    res.json({
+      success: true,
+      count: tickets.length,
+      data: tickets
+    });
+  } catch (error) {
+    console.error('Get tickets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch maintenance tickets'
+    });
+  }
+};
+
+// @desc    Get a maintenance ticket
+// @route   GET /api/maintenance/tickets/:ticketId
+// @access  Private
+const getTicketById = async (req, res) => {
+  try {
+    const ticket = await maintenanceService.getTicket(req.params.ticketId, propertyScope(req));
+
+    res.json({
+      success: true,
+      data: ticket
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Get ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Open a maintenance ticket against a room
+// @route   POST /api/maintenance/tickets
+// @access  Private
+const createTicket = async (req, res) => {
+  try {
+    const { ticket, affectedBookings } = await maintenanceService.openTicket(req.property, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: ticket.outOfOrder
+        ? `Room ${ticket.room.roomNumber} is out of order until the ticket is closed`
+        : 'Maintenance ticket opened',
+      data: { ...ticket.toJSON(), affectedBookings }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Create ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while opening maintenance ticket'
+    });
+  }
+};
+
+// @desc    Update a ticket's severity, description, progress or out-of-order flag
+// @route   PATCH /api/maintenance/tickets/:ticketId
+// @access  Private
+const updateTicket = async (req, res) => {
+  try {
+    const { ticket, affectedBookings } = await maintenanceService.updateTicket(req.property, req.params.ticketId, req.body);
+
+    res.json({
+      success: true,
+      data: { ...ticket.toJSON(), affectedBookings }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Update ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating maintenance ticket'
+    });
+  }
+};
+
+// @desc    Close a ticket, returning its room to inventory
+// @route   POST /api/maintenance/tickets/:ticketId/close
+// @access  Private
+const closeTicket = async (req, res) => {
+  try {
+    const { ticket, returnedToService } = await maintenanceService.closeTicket(req.property, req.params.ticketId, req.body);
+
+    res.json({
+      success: true,
+      message: returnedToService
+        ? `Ticket closed; room ${ticket.room.roomNumber} is back in service`
+        : 'Ticket closed',
+      data: ticket
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Close ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while closing maintenance ticket'
+    });
+  }
+};
+
+module.exports = {
+  getTickets,
+  getTicketById,
+  createTicket,
+  updateTicket,
+  closeTicket
+};
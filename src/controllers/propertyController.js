@@ -0,0 +1,112 @@
+const propertyService = require('../services/propertyService');
+
+// @desc    List properties with their room counts
+// @route   GET /api/properties
+// @access  Public
+const getProperties = async (req, res) => {
+  try {
+    const properties = await propertyService.listProperties();
+
+    res.json({
+      success: true,
+      count: properties.length,
+      data: properties
+    });
+  } catch (error) {
+    console.error('Get properties error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch properties'
+    });
+  }
+};
+
+// @desc    Get a property by id or code
+// @route   GET /api/properties/:propertyId
+// @access  Public
+const getPropertyById = async (req, res) => {
+  try {
+    const property = await propertyService.getProperty(req.params.propertyId);
+
+    res.json({
+      success: true,
+      data: property
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get property error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Create a property and seed its rooms from its layout
+// @route   POST /api/properties
+// @access  Private
+const createProperty = async (req, res) => {
+  try {
+    const { property, seeded } = await propertyService.createProperty(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Property ${property.code} created with ${seeded.totalRooms} rooms`,
+      data: property
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Create property error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating property'
+    });
+  }
+};
+
+// @desc    Update a property's name, code, address, pricing, travel cost model or allocation strategy
+// @route   PATCH /api/properties/:propertyId
+// @access  Private
+const updateProperty = async (req, res) => {
+  try {
+    const property = await propertyService.updateProperty(req.params.propertyId, req.body);
+
+    res.json({
+      success: true,
+      data: property
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update property error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getProperties,
+  getPropertyById,
+  createProperty,
+  updateProperty
+};
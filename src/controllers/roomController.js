@@ -1,89 +1,49 @@
-const { Room, Booking } = require('../models');
+const { Room, RoomNight } = require('../models');
 const { Sequelize, Op } = require('sequelize');
-
-// Helper to generate 97 rooms structure
-const generate97Rooms = () => {
-  const rooms = [];
-  // Floors 1-9: 10 rooms each
-  for (let floor = 1; floor <= 9; floor++) {
-    for (let position = 1; position <= 10; position++) {
-      rooms.push({
-        roomNumber: (floor * 100) + position,
-        floor: floor,
-        position: position,
-        roomType: floor >= 8 ? 'deluxe' : 'standard',
-        status: 'not-booked',
-        isAvailable: true,
-        basePrice: floor >= 8 ? 150.00 : 100.00
-      });
-    }
-  }
-  // Floor 10: 7 rooms
-  for (let position = 1; position <= 7; position++) {
-    rooms.push({
-      roomNumber: 1000 + position,
-      floor: 10,
-      position: position,
-      roomType: 'suite',
-      status: 'not-booked',
-      isAvailable: true,
-      basePrice: 200.00
-    });
-  }
-  return rooms;
+const bookingService = require('../services/bookingService');
+const roomService = require('../services/roomService');
+const layoutService = require('../services/layoutService');
+const roomBlockService = require('../services/roomBlockService');
+const maintenanceService = require('../services/maintenanceService');
+const Helpers = require('../utils/helpers');
+
+// Every handler acts on one property, req.property, set by the property
+// middleware: the one in /api/properties/:propertyId/rooms, or the default
+// property for /api/rooms
+const propertyScope = (req) => ({ propertyId: req.property.propertyId });
+
+// Default stay window for availability queries: tonight only
+const tonight = () => {
+  const checkIn = Helpers.today();
+  return { checkIn, checkOut: Helpers.addDays(checkIn, 1) };
 };
 
-// @desc    Create sample rooms
+// @desc    Create sample rooms from the hotel layout (replaces existing rooms)
 // @route   POST /api/rooms/create-sample
 // @access  Public
 const createSampleRooms = async (req, res) => {
   try {
-    console.log('🏨 Creating sample rooms...');
-
-    // Delete existing rooms
-    await Room.destroy({ where: {} });
-
-    const roomsToCreate = [];
-
-    // Floors 1-9: 10 rooms each
-    for (let floor = 1; floor <= 9; floor++) {
-      for (let position = 1; position <= 10; position++) {
-        roomsToCreate.push({
-          roomNumber: (floor * 100) + position,
-          floor: floor,
-          position: position,
-          roomType: floor >= 8 ? 'deluxe' : 'standard',
-          status: 'not-booked',
-          isAvailable: true,
-          basePrice: floor >= 8 ? 150.00 : 100.00
-        });
-      }
-    }
+    console.log('🏨 Creating sample rooms from layout...');
 
-    // Floor 10: 7 rooms
-    for (let position = 1; position <= 7; position++) {
-      roomsToCreate.push({
-        roomNumber: 1000 + position,
-        floor: 10,
-        position: position,
-        roomType: 'suite',
-        status: 'not-booked',
-        isAvailable: true,
-        basePrice: 200.00
-      });
-    }
-
-    await Room.bulkCreate(roomsToCreate);
+    const { rooms } = await layoutService.seedRooms({ property: req.property, reset: true });
 
     res.json({
       success: true,
-      message: `Successfully created ${roomsToCreate.length} sample rooms`,
+      message: `Successfully created ${rooms.length} sample rooms`,
       data: {
-        totalRooms: roomsToCreate.length,
-        rooms: roomsToCreate.map(r => r.roomNumber)
+        ...layoutService.summarize(rooms),
+        rooms: rooms.map(r => r.roomNumber)
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
     console.error('Create sample rooms error:', error);
     res.status(500).json({
       success: false,
@@ -97,51 +57,45 @@ const createSampleRooms = async (req, res) => {
 // @access  Public
 const getAllRooms = async (req, res) => {
   try {
-    const rooms = await Room.findAll({
+    let rooms = await Room.findAll({
+      where: propertyScope(req),
       order: [['floor', 'ASC'], ['position', 'ASC']]
     });
 
-    // If no rooms, create them automatically (Self-Healing)
+    // If no rooms, seed them from the hotel layout (Self-Healing)
     if (rooms.length === 0) {
-      console.log('⚠️ No rooms found on GET /api/rooms. Triggering auto-seed...');
-      // Re-use seed functionality but internally
-      const seedReq = { body: {} };
-      const seedRes = {
-        json: (data) => {
-          // After seeding, return the data as if it was a normal GET
-          return res.json({
-            success: true,
-            count: data.data.totalRooms,
-            data: data.data.rooms // Note: seedRooms returns list of IDs, we might want objects.
-            // Actually, safer to just return success and ask frontend to reload, 
-            // OR fetch again. But let's fetch again for smooth UX.
-          });
-        },
-        status: (code) => ({ json: (data) => res.status(code).json(data) })
-      };
-
-      // Better approach: Call seed logic directly then re-fetch
-      await require('../models').Room.bulkCreate(
-        generate97Rooms() // We need to extract generation logic to avoid code duplication
-      );
+      console.log('⚠️ No rooms found on GET /api/rooms. Seeding from hotel layout...');
+      await layoutService.seedRooms({ property: req.property });
 
-      // Fetch again
-      const newRooms = await Room.findAll({
+      rooms = await Room.findAll({
+        where: propertyScope(req),
         order: [['floor', 'ASC'], ['position', 'ASC']]
       });
-
-      return res.json({
-        success: true,
-        count: newRooms.length,
-        message: 'Rooms were auto-generated',
-        data: newRooms
-      });
     }
 
+    // Room status reflects occupancy and maintenance blocks for the
+    // requested night (default tonight)
+    const night = req.query.date ? Helpers.toDateOnly(req.query.date) : tonight().checkIn;
+    const occupiedRoomIds = new Set(
+      (await RoomNight.findAll({ attributes: ['roomId'], where: { stayDate: night } }))
+        .map(roomNight => roomNight.roomId)
+    );
+    const blockedRoomIds = new Set(
+      await roomBlockService.getBlockedRoomIds(night, Helpers.addDays(night, 1), propertyScope(req))
+    );
+    const statusOf = (room) => {
+      if (occupiedRoomIds.has(room.roomId)) return 'booked';
+      return blockedRoomIds.has(room.roomId) ? 'out-of-order' : 'not-booked';
+    };
+
     res.json({
       success: true,
       count: rooms.length,
-      data: rooms
+      date: night,
+      data: rooms.map(room => ({
+        ...room.toJSON(),
+        status: statusOf(room)
+      }))
     });
   } catch (error) {
     console.error('Get rooms error:', error);
@@ -152,19 +106,21 @@ const getAllRooms = async (req, res) => {
   }
 };
 
-// @desc    Get available rooms
-// @route   GET /api/rooms/available
+// @desc    Get rooms free for a stay (defaults to tonight)
+// @route   GET /api/rooms/available?checkInDate=&checkOutDate=
 // @access  Public
 const getAvailableRooms = async (req, res) => {
   try {
-    const rooms = await Room.findAll({
-      where: { isAvailable: true },
-      order: [['floor', 'ASC'], ['position', 'ASC']]
-    });
+    const checkInDate = req.query.checkInDate || tonight().checkIn;
+    const checkOutDate = req.query.checkOutDate || Helpers.addDays(checkInDate, 1);
+
+    const rooms = await bookingService.getAvailableRooms(checkInDate, checkOutDate, propertyScope(req));
 
     res.json({
       success: true,
       count: rooms.length,
+      checkInDate: Helpers.toDateOnly(checkInDate),
+      checkOutDate: Helpers.toDateOnly(checkOutDate),
       data: rooms
     });
   } catch (error) {
@@ -176,6 +132,152 @@ const getAvailableRooms = async (req, res) => {
   }
 };
 
+// @desc    Ranked room sets for a stay (best, all on one floor, cheapest, ...)
+// @route   GET /api/rooms/options?numRooms=&checkIn=&checkOut=&limit=&adults=&view=...
+// @access  Public
+const getRoomOptions = async (req, res) => {
+  try {
+    const { numRooms, checkIn, checkOut, limit, ...requirements } = req.query;
+
+    const options = await bookingService.getRoomOptions(numRooms, checkIn, checkOut, {
+      property: req.property,
+      requirements: Object.keys(requirements).length > 0 ? requirements : undefined,
+      limit
+    });
+
+    res.json({
+      success: true,
+      count: options.length,
+      numRooms,
+      checkIn: Helpers.toDateOnly(checkIn),
+      checkOut: Helpers.toDateOnly(checkOut),
+      data: options.map(option => ({
+        labels: option.labels,
+        rooms: option.rooms.map(room => room.roomNumber),
+        travelTime: option.travelTime,
+        floors: option.floors,
+        strategy: option.strategy,
+        totalPrice: option.totalPrice
+      }))
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Get room options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    The rooms a booking would get for a stay under guest preferences
+// @route   GET /api/rooms/recommendations?numRooms=&checkIn=&checkOut=&preferences[...]=&adults=...
+// @access  Public
+const getRoomRecommendations = async (req, res) => {
+  try {
+    const { numRooms, checkIn, checkOut, preferences, ...requirements } = req.query;
+
+    const recommendation = await roomService.getRoomRecommendations(numRooms, preferences, {
+      property: req.property,
+      checkInDate: Helpers.toDateOnly(checkIn),
+      checkOutDate: Helpers.toDateOnly(checkOut),
+      requirements: Object.keys(requirements).length > 0 ? requirements : undefined
+    });
+
+    res.json({
+      success: true,
+      numRooms,
+      checkIn: Helpers.toDateOnly(checkIn),
+      checkOut: Helpers.toDateOnly(checkOut),
+      data: {
+        rooms: recommendation.rooms.map(room => room.roomNumber),
+        travelTime: recommendation.travelTime,
+        floors: recommendation.floors,
+        strategy: recommendation.strategy,
+        totalPrice: recommendation.totalPrice
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Get room recommendations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Why an allocation for a stay picks the rooms it does (for staff)
+// @route   GET /api/rooms/explain?numRooms=&checkIn=&checkOut=&adults=&view=...
+// @access  Public
+const explainAllocation = async (req, res) => {
+  try {
+    const { numRooms, checkIn, checkOut, ...requirements } = req.query;
+
+    const explanation = await bookingService.explainAllocation(numRooms, checkIn, checkOut, {
+      property: req.property,
+      requirements: Object.keys(requirements).length > 0 ? requirements : undefined
+    });
+
+    const roomNumbers = (rooms) => rooms.map(room => room.roomNumber);
+    const scored = (set) => set && { ...set, rooms: roomNumbers(set.rooms) };
+
+    res.json({
+      success: true,
+      numRooms,
+      checkIn: Helpers.toDateOnly(checkIn),
+      checkOut: Helpers.toDateOnly(checkOut),
+      data: {
+        costModel: explanation.costModel,
+        rooms: {
+          total: explanation.totalRooms,
+          eligible: explanation.eligibleRooms,
+          excluded: explanation.exclusions
+        },
+        excluded: explanation.excluded.map(({ room, reasons, unmetRequirements }) => ({
+          roomNumber: room.roomNumber,
+          floor: room.floor,
+          reasons,
+          unmetRequirements
+        })),
+        floors: explanation.floors.map(floor => ({ ...floor, candidates: floor.candidates.map(scored) })),
+        acrossFloors: scored(explanation.acrossFloors),
+        winner: scored(explanation.winner),
+        rule: explanation.rule,
+        reason: explanation.reason
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
+    console.error('Explain allocation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
 // @desc    Get room by floor
 // @route   GET /api/rooms/floor/:floorNumber
 // @access  Public
@@ -184,7 +286,7 @@ const getRoomsByFloor = async (req, res) => {
     const { floorNumber } = req.params;
 
     const rooms = await Room.findAll({
-      where: { floor: floorNumber },
+      where: { ...propertyScope(req), floor: floorNumber },
       order: [['position', 'ASC']]
     });
 
@@ -218,7 +320,7 @@ const getRoomByNumber = async (req, res) => {
     const { roomNumber } = req.params;
 
     const room = await Room.findOne({
-      where: { roomNumber }
+      where: { ...propertyScope(req), roomNumber }
     });
 
     if (!room) {
@@ -230,7 +332,10 @@ const getRoomByNumber = async (req, res) => {
 
     res.json({
       success: true,
-      data: room
+      data: {
+        ...room.toJSON(),
+        openTickets: await maintenanceService.getOpenTickets(room.roomId)
+      }
     });
   } catch (error) {
     console.error('Get room by number error:', error);
@@ -253,6 +358,7 @@ const getRoomTypes = async (req, res) => {
         [Sequelize.fn('AVG', Sequelize.col('base_price')), 'avgPrice'],
         [Sequelize.fn('SUM', Sequelize.literal('CASE WHEN is_available = true THEN 1 ELSE 0 END')), 'available']
       ],
+      where: propertyScope(req),
       group: ['roomType'],
       raw: true
     });
@@ -270,18 +376,18 @@ const getRoomTypes = async (req, res) => {
   }
 };
 
-// @desc    Search rooms
-// @route   GET /api/rooms/search
+// @desc    Search rooms by location, type, price and attributes
+// @route   GET /api/rooms/search?adults=&children=&bedConfiguration=&view=&smoking=&accessibility=&amenities=
 // @access  Public
 const searchRooms = async (req, res) => {
   try {
-    const { floor, roomType, minPrice, maxPrice, available } = req.query;
+    const { floor, roomType, minPrice, maxPrice, available, sortBy, sortOrder = 'asc' } = req.query;
 
-    let where = {};
+    let where = { ...bookingService.requirementScope(req.query), ...propertyScope(req) };
 
     if (floor) where.floor = floor;
     if (roomType) where.roomType = roomType;
-    if (available !== undefined) where.isAvailable = available === 'true';
+    if (available !== undefined) where.isAvailable = available;
 
     if (minPrice || maxPrice) {
       where.basePrice = {};
@@ -289,10 +395,15 @@ const searchRooms = async (req, res) => {
       if (maxPrice) where.basePrice[Op.lte] = maxPrice;
     }
 
-    const rooms = await Room.findAll({
-      where,
-      order: [['floor', 'ASC'], ['position', 'ASC']]
-    });
+    const direction = sortOrder.toUpperCase();
+    const order = {
+      floor: [['floor', direction], ['position', 'ASC']],
+      price: [['basePrice', direction], ['roomNumber', 'ASC']],
+      roomNumber: [['roomNumber', direction]],
+      capacity: [['maxAdults', direction], ['maxChildren', direction], ['roomNumber', 'ASC']]
+    }[sortBy] || [['floor', 'ASC'], ['position', 'ASC']];
+
+    const rooms = await Room.findAll({ where, order });
 
     res.json({
       success: true,
@@ -308,35 +419,40 @@ const searchRooms = async (req, res) => {
   }
 };
 
-// @desc    Generate random occupancy
+// @desc    Generate random occupancy for a night (defaults to tonight)
 // @route   POST /api/rooms/random-occupancy
 // @access  Private
 const generateRandomOccupancy = async (req, res) => {
   try {
-    const allRooms = await Room.findAll();
-    const occupancyRate = 0.3 + Math.random() * 0.3;
-    const numToBook = Math.floor(allRooms.length * occupancyRate);
-    const shuffled = allRooms.sort(() => 0.5 - Math.random());
+    const night = req.body.date ? Helpers.toDateOnly(req.body.date) : tonight().checkIn;
 
-    for (const room of shuffled.slice(0, numToBook)) {
-      room.isAvailable = false;
-      room.status = 'booked';
-      await room.save();
-    }
+    const roomIds = (await Room.findAll({ attributes: ['roomId'], where: propertyScope(req) }))
+      .map(room => room.roomId);
 
-    for (const room of shuffled.slice(numToBook)) {
-      room.isAvailable = true;
-      room.status = 'not-booked';
-      await room.save();
-    }
+    // Simulated occupancy only replaces other simulated occupancy, never bookings
+    await RoomNight.destroy({ where: { roomId: roomIds, stayDate: night, bookingId: null } });
+
+    const freeRooms = await bookingService.getAvailableRooms(night, Helpers.addDays(night, 1), {
+      ...propertyScope(req),
+      ignoreHousekeeping: true
+    });
+    const allRooms = roomIds.length;
+    const occupancyRate = 0.3 + Math.random() * 0.3;
+    const numToBook = Math.min(Math.floor(allRooms * occupancyRate), freeRooms.length);
+    const shuffled = freeRooms.sort(() => 0.5 - Math.random());
+
+    await RoomNight.bulkCreate(
+      shuffled.slice(0, numToBook).map(room => ({ roomId: room.roomId, stayDate: night, bookingId: null }))
+    );
 
     res.json({
       success: true,
       message: `Random occupancy generated: ${numToBook} rooms occupied`,
       data: {
-        totalRooms: allRooms.length,
+        date: night,
+        totalRooms: allRooms,
         occupiedRooms: numToBook,
-        availableRooms: allRooms.length - numToBook,
+        availableRooms: freeRooms.length - numToBook,
         occupancyRate: (occupancyRate * 100).toFixed(1) + '%'
       }
     });
@@ -354,33 +470,16 @@ const generateRandomOccupancy = async (req, res) => {
 // @access  Private
 const resetAllBookings = async (req, res) => {
   try {
-    // 1. Cancel all confirmed bookings
-    await Booking.update(
-      { status: 'cancelled' },
-      { where: { status: 'confirmed' } }
-    );
-
-    // 2. Make all rooms available
-    await Room.update(
-      { isAvailable: true, status: 'not-booked' },
-      { where: {} }
-    );
-
-    // 3. AUTO-FIX: Check if we have exactly 97 rooms
-    const totalRooms = await Room.count();
-
-    if (totalRooms !== 97) {
-      console.log(`⚠️ Reset detected ${totalRooms} rooms. Enforcing 97 rooms...`);
-      await seedRooms(req, res); // Re-use seed logic to fix it
-      return; // seedRooms handles the response
-    }
+    // Close every active booking and free all nights of this property
+    const { totalRooms, resetBookings } = await bookingService.resetBookings(req.property.propertyId);
 
     res.json({
       success: true,
       message: 'All bookings reset and rooms made available',
       data: {
         totalRooms,
-        availableRooms: totalRooms
+        availableRooms: totalRooms,
+        resetBookings
       }
     });
   } catch (error) {
@@ -392,57 +491,32 @@ const resetAllBookings = async (req, res) => {
   }
 };
 
-// @desc    SEED ROOMS (EMERGENCY FIX)
+// @desc    SEED ROOMS from the hotel layout (EMERGENCY FIX, replaces existing rooms)
 // @route   POST /api/rooms/seed-rooms
 // @access  Private
 const seedRooms = async (req, res) => {
   try {
-    console.log('🏨 Seeding rooms...');
-
-    // Delete all existing rooms
-    await Room.destroy({ where: {} });
-
-    const roomsToCreate = [];
-
-    // Floors 1-9: 10 rooms each
-    for (let floor = 1; floor <= 9; floor++) {
-      for (let position = 1; position <= 10; position++) {
-        roomsToCreate.push({
-          roomNumber: (floor * 100) + position,
-          floor: floor,
-          position: position,
-          roomType: floor >= 8 ? 'deluxe' : 'standard',
-          status: 'not-booked',
-          isAvailable: true,
-          basePrice: floor >= 8 ? 150.00 : 100.00
-        });
-      }
-    }
+    console.log('🏨 Seeding rooms from layout...');
 
-    // Floor 10: 7 rooms
-    for (let position = 1; position <= 7; position++) {
-      roomsToCreate.push({
-        roomNumber: 1000 + position,
-        floor: 10,
-        position: position,
-        roomType: 'suite',
-        status: 'not-booked',
-        isAvailable: true,
-        basePrice: 200.00
-      });
-    }
-
-    await Room.bulkCreate(roomsToCreate);
+    const { rooms } = await layoutService.seedRooms({ property: req.property, reset: true });
 
     res.json({
       success: true,
-      message: `Successfully seeded ${roomsToCreate.length} rooms`,
+      message: `Successfully seeded ${rooms.length} rooms`,
       data: {
-        totalRooms: roomsToCreate.length,
-        rooms: roomsToCreate.map(r => r.roomNumber)
+        ...layoutService.summarize(rooms),
+        rooms: rooms.map(r => r.roomNumber)
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.details
+      });
+    }
+
     console.error('Seed rooms error:', error);
     res.status(500).json({
       success: false,
@@ -455,6 +529,9 @@ module.exports = {
   createSampleRooms,
   getAllRooms,
   getAvailableRooms,
+  getRoomOptions,
+  explainAllocation,
+  getRoomRecommendations,
   getRoomsByFloor,
   getRoomByNumber,
   getRoomTypes,
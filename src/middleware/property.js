@@ -0,0 +1,52 @@
+const propertyService = require('../services/propertyService');
+
+const sendError = (res, error) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error('Resolve property error:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error while resolving property'
+  });
+};
+
+// Property-scoped routes (/api/properties/:propertyId/...): load the
+// property named by id or code into req.property
+const resolveProperty = async (req, res, next) => {
+  try {
+    req.property = await propertyService.getProperty(req.params.propertyId);
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Unscoped routes (/api/rooms, /api/bookings, /api/holds) act on the default property
+const defaultProperty = async (req, res, next) => {
+  try {
+    req.property = await propertyService.getDefaultProperty();
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// Admin routes name their property in the query string (?propertyId=, id or
+// code) and fall back to the default property
+const queryProperty = async (req, res, next) => {
+  try {
+    req.property = req.query.propertyId
+      ? await propertyService.getProperty(req.query.propertyId)
+      : await propertyService.getDefaultProperty();
+    next();
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+module.exports = { resolveProperty, defaultProperty, queryProperty };
@@ -1,6 +1,7 @@
 // src/models/Booking.js - UPDATED
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { BOOKING_STATUSES } = require('../utils/constants');
 
 const BookingPostgres = sequelize.define('Booking', {
   bookingId: {
@@ -9,7 +10,23 @@ const BookingPostgres = sequelize.define('Booking', {
     primaryKey: true,
     field: 'booking_id'
   },
+  reference: {
+    type: DataTypes.STRING(16),
+    allowNull: true,
+    unique: true,
+    comment: 'Short human-readable booking code (e.g. HR2610K7QX9)'
+  },
   // userId: { ... } REMOVED
+  propertyId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'property_id'
+  },
+  guestId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'guest_id'
+  },
   rooms: {
     type: DataTypes.JSONB,
     allowNull: false,
@@ -46,15 +63,72 @@ const BookingPostgres = sequelize.define('Booking', {
     field: 'check_out_date'
   },
   status: {
-    type: DataTypes.ENUM('pending', 'confirmed', 'cancelled', 'completed'),
+    type: DataTypes.ENUM(...BOOKING_STATUSES),
     defaultValue: 'confirmed',
     allowNull: false
   },
+  holdToken: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: true,
+    field: 'hold_token',
+    comment: 'Token of the temporary hold this booking started as'
+  },
+  holdExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'hold_expires_at'
+  },
+  requirements: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Room attributes every booked room must have, e.g. { "adults": 3, "view": ["sea"] }'
+  },
+  specialRequests: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'special_requests'
+  },
   paymentStatus: {
     type: DataTypes.ENUM('pending', 'paid', 'refunded'),
     defaultValue: 'pending',
     field: 'payment_status'
   },
+  confirmedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'confirmed_at'
+  },
+  checkedInAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'checked_in_at'
+  },
+  checkedOutAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'checked_out_at'
+  },
+  noShowAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'no_show_at'
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'cancelled_at'
+  },
+  cancellationFee: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'cancellation_fee'
+  },
+  refundAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    field: 'refund_amount'
+  },
   createdAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
@@ -67,7 +141,11 @@ const BookingPostgres = sequelize.define('Booking', {
   }
 }, {
   tableName: 'bookings',
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    { fields: ['guest_id'] },
+    { fields: ['property_id'] }
+  ]
 });
 
 module.exports = BookingPostgres;
\ No newline at end of file
@@ -0,0 +1,76 @@
+// src/models/Guest.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// The person a booking is for. Guests are matched by email, so returning
+// guests keep one record across stays.
+const GuestPostgres = sequelize.define('Guest', {
+  guestId: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    field: 'guest_id'
+  },
+  firstName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'first_name'
+  },
+  lastName: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    field: 'last_name'
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    unique: true,
+    validate: { isEmail: true }
+  },
+  phone: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  documentType: {
+    type: DataTypes.ENUM('passport', 'national_id', 'driving_license', 'other'),
+    allowNull: true,
+    field: 'document_type'
+  },
+  documentNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    field: 'document_number'
+  },
+  documentCountry: {
+    type: DataTypes.STRING(2),
+    allowNull: true,
+    field: 'document_country',
+    comment: 'ISO 3166-1 alpha-2 issuing country'
+  },
+  preferences: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Free-form stay preferences (e.g. highFloor, quietRoom)'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'guests',
+  timestamps: true,
+  indexes: [
+    { fields: ['last_name', 'first_name'] },
+    { fields: ['phone'] },
+    { fields: ['document_number'] }
+  ]
+});
+
+module.exports = GuestPostgres;
@@ -0,0 +1,88 @@
+// src/models/HousekeepingTask.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { HOUSEKEEPING_TASK_TYPES, HOUSEKEEPING_TASK_STATUSES } = require('../utils/constants');
+
+// One room to clean on one day, generated from the day's departures and
+// stayovers and assigned to an attendant. sequence is the task's place in
+// the attendant's route through the building.
+const HousekeepingTaskPostgres = sequelize.define('HousekeepingTask', {
+  taskId: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    field: 'task_id'
+  },
+  propertyId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'property_id'
+  },
+  roomId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'room_id'
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'booking_id',
+    comment: 'Departing or staying booking the task was generated from'
+  },
+  taskDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'task_date'
+  },
+  type: {
+    type: DataTypes.ENUM(...HOUSEKEEPING_TASK_TYPES),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM(...HOUSEKEEPING_TASK_STATUSES),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attendant: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  estimatedMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'estimated_minutes'
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'started_at'
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'housekeeping_tasks',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['room_id', 'task_date'] },
+    { fields: ['property_id', 'task_date'] }
+  ]
+});
+
+module.exports = HousekeepingTaskPostgres;
@@ -0,0 +1,85 @@
+// src/models/MaintenanceTicket.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { MAINTENANCE_SEVERITIES, MAINTENANCE_TICKET_STATUSES } = require('../utils/constants');
+
+// A fault reported against a room. A ticket that puts the room out of
+// order owns an open-ended RoomBlock (blockId), which ends when the ticket
+// is closed.
+const MaintenanceTicketPostgres = sequelize.define('MaintenanceTicket', {
+  ticketId: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    field: 'ticket_id'
+  },
+  propertyId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'property_id'
+  },
+  roomId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'room_id'
+  },
+  severity: {
+    type: DataTypes.ENUM(...MAINTENANCE_SEVERITIES),
+    allowNull: false,
+    defaultValue: 'medium'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM(...MAINTENANCE_TICKET_STATUSES),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  outOfOrder: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'out_of_order'
+  },
+  blockId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'block_id',
+    comment: 'Block keeping the room out of order while the ticket is open'
+  },
+  reportedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    field: 'reported_by'
+  },
+  resolution: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'closed_at'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'maintenance_tickets',
+  timestamps: true,
+  indexes: [
+    { fields: ['room_id', 'status'] },
+    { fields: ['property_id', 'status'] }
+  ]
+});
+
+module.exports = MaintenanceTicketPostgres;
@@ -0,0 +1,74 @@
+// src/models/Property.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A hotel in the group. Rooms, bookings, pricing, the building layout, the
+// travel cost model and the allocation strategy all belong to one property;
+// the default property serves the unscoped routes.
+const PropertyPostgres = sequelize.define('Property', {
+  propertyId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'property_id'
+  },
+  code: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true,
+    comment: 'URL-friendly identifier, usable in place of the numeric id'
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  address: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    allowNull: false,
+    field: 'is_default'
+  },
+  layout: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Building layout; NULL falls back to the layout file'
+  },
+  pricing: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Pricing rules, e.g. { "weekendSurcharge": 0.2 }'
+  },
+  travelCost: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    field: 'travel_cost',
+    comment: 'Travel cost model, e.g. { "model": "origin", "perFloor": 2, "origin": { "floor": 1 } }'
+  },
+  allocation: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Allocation strategy, e.g. { "strategy": "fragmentation", "minRun": 4 }'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'properties',
+  timestamps: true
+});
+
+module.exports = PropertyPostgres;
@@ -1,6 +1,13 @@
 // src/models/Room.js - UPDATED
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');  // ✅ CORRECT PATH
+const {
+  ROOM_TYPES,
+  BED_CONFIGURATIONS,
+  ROOM_VIEWS,
+  ROOM_ATTRIBUTE_DEFAULTS,
+  HOUSEKEEPING_STATUSES
+} = require('../utils/constants');
 
 const RoomPostgres = sequelize.define('Room', {
   roomId: {
@@ -9,10 +16,15 @@ const RoomPostgres = sequelize.define('Room', {
     autoIncrement: true,
     field: 'room_id'
   },
+  propertyId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'property_id',
+    comment: 'Owning property; NULL only before the default property backfill'
+  },
   roomNumber: {
     type: DataTypes.INTEGER,
     allowNull: false,
-    unique: true,
     field: 'room_number'
   },
   floor: {
@@ -22,10 +34,10 @@ const RoomPostgres = sequelize.define('Room', {
   position: {
     type: DataTypes.INTEGER,
     allowNull: false,
-    comment: 'Position on floor (1-10 for floors 1-9, 1-7 for floor 10)'
+    comment: 'Position along the floor corridor, as defined by the hotel layout'
   },
   roomType: {
-    type: DataTypes.ENUM('standard', 'deluxe', 'suite'),
+    type: DataTypes.ENUM(...ROOM_TYPES),
     defaultValue: 'standard',
     field: 'room_type'
   },
@@ -34,6 +46,17 @@ const RoomPostgres = sequelize.define('Room', {
     defaultValue: 'not-booked',
     field: 'status'
   },
+  housekeepingStatus: {
+    type: DataTypes.ENUM(...HOUSEKEEPING_STATUSES),
+    allowNull: false,
+    defaultValue: 'clean',
+    field: 'housekeeping_status'
+  },
+  housekeepingUpdatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'housekeeping_updated_at'
+  },
   isAvailable: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
@@ -44,6 +67,46 @@ const RoomPostgres = sequelize.define('Room', {
     defaultValue: 100.00,
     field: 'base_price'
   },
+  maxAdults: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: ROOM_ATTRIBUTE_DEFAULTS.maxAdults,
+    field: 'max_adults'
+  },
+  maxChildren: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: ROOM_ATTRIBUTE_DEFAULTS.maxChildren,
+    field: 'max_children'
+  },
+  bedConfiguration: {
+    type: DataTypes.ENUM(...BED_CONFIGURATIONS),
+    allowNull: false,
+    defaultValue: ROOM_ATTRIBUTE_DEFAULTS.bedConfiguration,
+    field: 'bed_configuration'
+  },
+  view: {
+    type: DataTypes.ENUM(...ROOM_VIEWS),
+    allowNull: false,
+    defaultValue: ROOM_ATTRIBUTE_DEFAULTS.view
+  },
+  smoking: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: ROOM_ATTRIBUTE_DEFAULTS.smoking
+  },
+  accessibility: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: ROOM_ATTRIBUTE_DEFAULTS.accessibility,
+    comment: 'Accessibility features, e.g. ["wheelchair", "roll_in_shower"]'
+  },
+  amenities: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: ROOM_ATTRIBUTE_DEFAULTS.amenities,
+    comment: 'Free-form amenity list, e.g. ["minibar", "balcony"]'
+  },
   createdAt: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW,
@@ -56,7 +119,11 @@ const RoomPostgres = sequelize.define('Room', {
   }
 }, {
   tableName: 'rooms',
-  timestamps: true
+  timestamps: true,
+  indexes: [
+    // Room numbers repeat across properties, never within one
+    { unique: true, fields: ['property_id', 'room_number'] }
+  ]
 });
 
 module.exports = RoomPostgres;
\ No newline at end of file
@@ -0,0 +1,62 @@
+// src/models/RoomBlock.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A room taken out of service for a date range (maintenance, renovation,
+// out of order). Like a stay, the block covers every night from startDate
+// up to (not including) endDate: the room is sellable again on endDate.
+// Blocks opened by a maintenance ticket have no endDate until the ticket
+// is closed.
+const RoomBlockPostgres = sequelize.define('RoomBlock', {
+  blockId: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    field: 'block_id'
+  },
+  propertyId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'property_id'
+  },
+  roomId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'room_id'
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'start_date',
+    comment: 'First blocked night'
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true,
+    field: 'end_date',
+    comment: 'Date the room is back in service (not blocked); NULL while open-ended'
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'room_blocks',
+  timestamps: true,
+  indexes: [
+    { fields: ['room_id', 'start_date'] },
+    { fields: ['property_id'] }
+  ]
+});
+
+module.exports = RoomBlockPostgres;
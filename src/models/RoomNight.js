@@ -0,0 +1,51 @@
+// src/models/RoomNight.js
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per room per occupied night. A stay from check-in to check-out
+// occupies every night from the check-in date up to (not including) the
+// check-out date, so back-to-back stays never collide.
+const RoomNightPostgres = sequelize.define('RoomNight', {
+  roomNightId: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true,
+    field: 'room_night_id'
+  },
+  roomId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    field: 'room_id'
+  },
+  stayDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    field: 'stay_date',
+    comment: 'Night of occupancy (date the night starts)'
+  },
+  bookingId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'booking_id',
+    comment: 'Owning booking; NULL for simulated occupancy'
+  },
+  createdAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'created_at'
+  },
+  updatedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW,
+    field: 'updated_at'
+  }
+}, {
+  tableName: 'room_nights',
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['room_id', 'stay_date'] },
+    { fields: ['booking_id'] }
+  ]
+});
+
+module.exports = RoomNightPostgres;
@@ -4,6 +4,28 @@ const { sequelize } = require('../config/database');
 // Import models
 const Room = require('./Room');
 const Booking = require('./Booking');
+const RoomNight = require('./RoomNight');
+const Guest = require('./Guest');
+const Property = require('./Property');
+const RoomBlock = require('./RoomBlock');
+const HousekeepingTask = require('./HousekeepingTask');
+const MaintenanceTicket = require('./MaintenanceTicket');
+
+// Associations
+Guest.hasMany(Booking, { foreignKey: 'guestId', as: 'bookings' });
+Booking.belongsTo(Guest, { foreignKey: 'guestId', as: 'guest' });
+
+Property.hasMany(Room, { foreignKey: 'propertyId', as: 'rooms' });
+Room.belongsTo(Property, { foreignKey: 'propertyId', as: 'property' });
+Property.hasMany(Booking, { foreignKey: 'propertyId', as: 'bookings' });
+Booking.belongsTo(Property, { foreignKey: 'propertyId', as: 'property' });
+
+Room.hasMany(RoomBlock, { foreignKey: 'roomId', as: 'blocks', onDelete: 'CASCADE' });
+RoomBlock.belongsTo(Room, { foreignKey: 'roomId', as: 'room', onDelete: 'CASCADE' });
+Room.hasMany(HousekeepingTask, { foreignKey: 'roomId', as: 'housekeepingTasks', onDelete: 'CASCADE' });
+HousekeepingTask.belongsTo(Room, { foreignKey: 'roomId', as: 'room', onDelete: 'CASCADE' });
+Room.hasMany(MaintenanceTicket, { foreignKey: 'roomId', as: 'tickets', onDelete: 'CASCADE' });
+MaintenanceTicket.belongsTo(Room, { foreignKey: 'roomId', as: 'room', onDelete: 'CASCADE' });
 
 // Export everything
 module.exports = {
@@ -12,7 +34,19 @@ module.exports = {
 
   Room,
   Booking,
+  RoomNight,
+  Guest,
+  Property,
+  RoomBlock,
+  HousekeepingTask,
+  MaintenanceTicket,
 
   RoomPostgres: Room,
-  BookingPostgres: Booking
+  BookingPostgres: Booking,
+  RoomNightPostgres: RoomNight,
+  GuestPostgres: Guest,
+  PropertyPostgres: Property,
+  RoomBlockPostgres: RoomBlock,
+  HousekeepingTaskPostgres: HousekeepingTask,
+  MaintenanceTicketPostgres: MaintenanceTicket
 };
\ No newline at end of file
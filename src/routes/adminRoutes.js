@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { importLayout, exportLayout } = require('../controllers/layoutController');
+const { validateLayoutImportQuery, validateLayoutExportQuery } = require('../validators/adminValidator');
+const { queryProperty } = require('../middleware/property');
+
+// CSV layouts arrive as plain text; JSON goes through the app-wide parser
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+// Layout
+router.post('/layout/import', csvBody, validateLayoutImportQuery, queryProperty, importLayout);
+router.get('/layout/export', validateLayoutExportQuery, queryProperty, exportLayout);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBlocks,
+  getBlockById,
+  createBlock,
+  updateBlock,
+  deleteBlock
+} = require('../controllers/blockController');
+const {
+  validateCreateBlock,
+  validateUpdateBlock,
+  validateBlockQuery,
+  validateBlockId
+} = require('../validators/blockValidator');
+
+// Admin routes
+router.get('/', validateBlockQuery, getBlocks);
+router.post('/', validateCreateBlock, createBlock);
+router.get('/:blockId', validateBlockId, getBlockById);
+router.patch('/:blockId', validateBlockId, validateUpdateBlock, updateBlock);
+router.delete('/:blockId', validateBlockId, deleteBlock);
+
+module.exports = router;
@@ -4,13 +4,34 @@ const {
   bookRooms,
   getBookings,
   getBookingById,
-  cancelBooking
+  getBookingInvoice,
+  getBookingByReference,
+  modifyBooking,
+  cancelBooking,
+  checkInBooking,
+  checkOutBooking,
+  markNoShow
 } = require('../controllers/bookingController');
+const {
+  validateCreateBooking,
+  validateUpdateBooking,
+  validateBookingQuery,
+  validateBookingId,
+  validateBookingReference
+} = require('../validators/bookingValidator');
 
 // Public routes
-router.post('/', bookRooms);
-router.get('/', getBookings);
-router.get('/:id', getBookingById);
-router.put('/:id/cancel', cancelBooking);
+router.post('/', validateCreateBooking, bookRooms);
+router.get('/', validateBookingQuery, getBookings);
+router.get('/ref/:code', validateBookingReference, getBookingByReference);
+router.get('/:id', validateBookingId, getBookingById);
+router.get('/:id/invoice', validateBookingId, getBookingInvoice);
+router.patch('/:id', validateBookingId, validateUpdateBooking, modifyBooking);
+router.put('/:id/cancel', validateBookingId, cancelBooking);
+
+// Front desk
+router.post('/:id/check-in', validateBookingId, checkInBooking);
+router.post('/:id/check-out', validateBookingId, checkOutBooking);
+router.post('/:id/no-show', validateBookingId, markNoShow);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+  searchGuests,
+  getGuestById,
+  createGuest,
+  updateGuest
+} = require('../controllers/guestController');
+const {
+  validateCreateGuest,
+  validateUpdateGuest,
+  validateGuestSearch,
+  validateGuestId
+} = require('../validators/guestValidator');
+
+// Public routes
+router.get('/', validateGuestSearch, searchGuests);
+router.post('/', validateCreateGuest, createGuest);
+router.get('/:id', validateGuestId, getGuestById);
+router.patch('/:id', validateGuestId, validateUpdateGuest, updateGuest);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createHold,
+  getHold,
+  releaseHold
+} = require('../controllers/holdController');
+const { validateCreateHold, validateHoldToken } = require('../validators/bookingValidator');
+
+// Public routes
+router.post('/', validateCreateHold, createHold);
+router.get('/:token', validateHoldToken, getHold);
+router.delete('/:token', validateHoldToken, releaseHold);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBoard,
+  updateRoomStatus,
+  generateTasks,
+  getTasks,
+  updateTask
+} = require('../controllers/housekeepingController');
+const {
+  validateHousekeepingStatus,
+  validateGenerateTasks,
+  validateTaskQuery,
+  validateTaskStatus,
+  validateHousekeepingRoom,
+  validateTaskId
+} = require('../validators/housekeepingValidator');
+
+// Staff routes
+router.get('/board', getBoard);
+router.patch('/rooms/:roomNumber', validateHousekeepingRoom, validateHousekeepingStatus, updateRoomStatus);
+router.post('/tasks/generate', validateGenerateTasks, generateTasks);
+router.get('/tasks', validateTaskQuery, getTasks);
+router.patch('/tasks/:taskId', validateTaskId, validateTaskStatus, updateTask);
+
+module.exports = router;
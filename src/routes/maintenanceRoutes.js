@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getTickets,
+  getTicketById,
+  createTicket,
+  updateTicket,
+  closeTicket
+} = require('../controllers/maintenanceController');
+const {
+  validateCreateTicket,
+  validateUpdateTicket,
+  validateCloseTicket,
+  validateTicketQuery,
+  validateTicketId
+} = require('../validators/maintenanceValidator');
+
+// Staff routes
+router.get('/tickets', validateTicketQuery, getTickets);
+router.post('/tickets', validateCreateTicket, createTicket);
+router.get('/tickets/:ticketId', validateTicketId, getTicketById);
+router.patch('/tickets/:ticketId', validateTicketId, validateUpdateTicket, updateTicket);
+router.post('/tickets/:ticketId/close', validateTicketId, validateCloseTicket, closeTicket);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProperties,
+  getPropertyById,
+  createProperty,
+  updateProperty
+} = require('../controllers/propertyController');
+const {
+  validateCreateProperty,
+  validateUpdateProperty,
+  validatePropertyId
+} = require('../validators/propertyValidator');
+const { resolveProperty } = require('../middleware/property');
+const roomRoutes = require('./roomRoutes');
+const bookingRoutes = require('./bookingRoutes');
+const holdRoutes = require('./holdRoutes');
+const blockRoutes = require('./blockRoutes');
+const housekeepingRoutes = require('./housekeepingRoutes');
+const maintenanceRoutes = require('./maintenanceRoutes');
+
+// Public routes
+router.get('/', getProperties);
+router.get('/:propertyId', validatePropertyId, getPropertyById);
+
+// Admin routes
+router.post('/', validateCreateProperty, createProperty);
+router.patch('/:propertyId', validatePropertyId, validateUpdateProperty, updateProperty);
+
+// Property-scoped rooms, bookings, holds, blocks, housekeeping and maintenance
+router.use('/:propertyId/rooms', validatePropertyId, resolveProperty, roomRoutes);
+router.use('/:propertyId/bookings', validatePropertyId, resolveProperty, bookingRoutes);
+router.use('/:propertyId/holds', validatePropertyId, resolveProperty, holdRoutes);
+router.use('/:propertyId/blocks', validatePropertyId, resolveProperty, blockRoutes);
+router.use('/:propertyId/housekeeping', validatePropertyId, resolveProperty, housekeepingRoutes);
+router.use('/:propertyId/maintenance', validatePropertyId, resolveProperty, maintenanceRoutes);
+
+module.exports = router;
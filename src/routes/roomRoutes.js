@@ -1,19 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const roomController = require('../controllers/roomController');
+const {
+  validateRoomSearch,
+  validateRoomStatusQuery,
+  validateAvailabilityQuery,
+  validateRandomOccupancy,
+  validateFloorParam,
+  validateRoomNumberParam
+} = require('../validators/roomValidator');
+const {
+  validateRoomOptionsQuery,
+  validateAllocationExplainQuery,
+  validateRoomRecommendationsQuery
+} = require('../validators/bookingValidator');
 
 // Public routes
-router.get('/', roomController.getAllRooms);
-router.get('/available', roomController.getAvailableRooms);
-router.get('/floor/:floorNumber', roomController.getRoomsByFloor);
-router.get('/number/:roomNumber', roomController.getRoomByNumber);
+router.get('/', validateRoomStatusQuery, roomController.getAllRooms);
+router.get('/available', validateAvailabilityQuery, roomController.getAvailableRooms);
+router.get('/options', validateRoomOptionsQuery, roomController.getRoomOptions);
+router.get('/explain', validateAllocationExplainQuery, roomController.explainAllocation);
+router.get('/recommendations', validateRoomRecommendationsQuery, roomController.getRoomRecommendations);
+router.get('/floor/:floorNumber', validateFloorParam, roomController.getRoomsByFloor);
+router.get('/number/:roomNumber', validateRoomNumberParam, roomController.getRoomByNumber);
 router.get('/types', roomController.getRoomTypes);
-router.get('/search', roomController.searchRooms);
+router.get('/search', validateRoomSearch, roomController.searchRooms);
 
 // Admin/System routes
 router.post('/create-sample', roomController.createSampleRooms);
-router.post('/random-occupancy', roomController.generateRandomOccupancy);
+router.post('/random-occupancy', validateRandomOccupancy, roomController.generateRandomOccupancy);
 router.post('/reset-all', roomController.resetAllBookings);
 router.post('/seed-rooms', roomController.seedRooms);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
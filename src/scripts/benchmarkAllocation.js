@@ -0,0 +1,220 @@
+// Checks the allocation search against brute force on random buildings, then
+// times it on large ones; the same for the search under guest preferences.
+// Usage: node src/scripts/benchmarkAllocation.js [trials] [seed]
+const algorithmService = require('../services/algorithmService');
+const travelCostService = require('../services/travelCostService');
+
+const trials = parseInt(process.argv[2], 10) || 300;
+const seed = parseInt(process.argv[3], 10) || 2024;
+
+// Small seeded generator (mulberry32) so a failing case can be replayed
+let state = seed;
+const random = () => {
+  state = (state + 0x6D2B79F5) | 0;
+  let t = Math.imul(state ^ (state >>> 15), 1 | state);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+const randomInt = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+// Available rooms grouped by floor, as bookingService hands them over
+const randomBuilding = (floorCount, roomsPerFloor, availability) => {
+  const byFloor = [];
+  for (let floor = 1; floor <= floorCount; floor++) {
+    const rooms = [];
+    for (let position = 1; position <= roomsPerFloor; position++) {
+      if (random() < availability) {
+        rooms.push({
+          roomNumber: floor * 100 + position,
+          floor,
+          position,
+          roomType: random() < 0.3 ? 'deluxe' : 'standard',
+          accessible: random() < 0.2
+        });
+      }
+    }
+    if (rooms.length > 0) byFloor.push(rooms);
+  }
+  return byFloor;
+};
+
+// A built-in cost model (one at random unless given) with random settings
+const randomCostModel = (floorCount, roomsPerFloor, model = ['origin', 'span', 'transport'][randomInt(0, 2)]) => {
+  const transport = {};
+  if (model === 'transport') {
+    for (let floor = 1; floor <= floorCount; floor++) {
+      const cores = [...new Set(Array.from({ length: randomInt(0, 2) }, () => randomInt(0, roomsPerFloor + 1)))];
+      if (cores.length > 0) transport[floor] = cores.map(position => ({ type: 'lift', position }));
+    }
+  }
+
+  return travelCostService.resolve({
+    model,
+    perRoom: randomInt(1, 3),
+    perFloor: randomInt(0, 5),
+    origin: {
+      floor: randomInt(1, floorCount),
+      position: random() < 0.5 ? randomInt(0, roomsPerFloor) : null
+    }
+  }, transport);
+};
+
+// The same priorities as findOptimalRooms, by trying every combination
+const bruteForce = (byFloor, numRooms, costModel) => {
+  let best = null;
+  byFloor
+    .filter(floorRooms => floorRooms.length >= numRooms)
+    .forEach(floorRooms => {
+      const rooms = algorithmService.findByEnumeration(floorRooms, numRooms, costModel);
+      const time = algorithmService.calculateTravelTime(rooms, costModel);
+      if (!best || time < best.time) best = { rooms, time };
+    });
+  if (best) return best;
+
+  const rooms = algorithmService.findByEnumeration(byFloor.flat(), numRooms, costModel);
+  return rooms ? { rooms, time: algorithmService.calculateTravelTime(rooms, costModel) } : null;
+};
+
+// Preferences as bookingService.resolvePreferences shapes them: a preferred
+// floor range weighed per floor outside it, and at random a room type mix
+// and accessible rooms
+const randomPreferences = (floorCount, numRooms) => {
+  const lowest = randomInt(1, floorCount);
+  const deluxe = random() < 0.4 ? randomInt(0, numRooms) : null;
+
+  return {
+    allows: () => true,
+    penalty: room => 2 * Math.max(0, lowest - room.floor),
+    roomTypes: deluxe === null ? null : { deluxe, standard: numRooms - deluxe },
+    accessibleRooms: random() < 0.4 ? randomInt(1, Math.min(2, numRooms)) : 0,
+    isAccessible: room => room.accessible,
+    adjacent: false
+  };
+};
+
+// The same priorities as findPreferredRooms, by trying every combination
+const bruteForcePreferred = (byFloor, numRooms, costModel, preferences) => {
+  const scoreOf = rooms => (algorithmService.meetsPreferences(rooms, preferences)
+    ? algorithmService.scorePreferred(rooms, costModel, preferences).score
+    : Infinity);
+  const best = (rooms) => {
+    const found = algorithmService.findByEnumeration(rooms, numRooms, costModel, scoreOf);
+    return found && algorithmService.meetsPreferences(found, preferences) ? scoreOf(found) : null;
+  };
+
+  const sameFloor = byFloor
+    .filter(floorRooms => floorRooms.length >= numRooms)
+    .map(best)
+    .filter(score => score !== null);
+  if (sameFloor.length > 0) return Math.min(...sameFloor);
+
+  return best(byFloor.flat());
+};
+
+const run = async () => {
+  console.log('🧪 ALLOCATION SEARCH BENCHMARK');
+  console.log('==============================');
+  console.log(`\n[Check] ${trials} random buildings against brute force (seed ${seed})`);
+
+  let failures = 0;
+  for (let trial = 1; trial <= trials; trial++) {
+    const floorCount = randomInt(1, 5);
+    const roomsPerFloor = randomInt(2, 8);
+    const byFloor = randomBuilding(floorCount, roomsPerFloor, 0.2 + random() * 0.6);
+    const numRooms = randomInt(1, 5);
+    const costModel = randomCostModel(floorCount, roomsPerFloor);
+
+    const expected = bruteForce(byFloor, numRooms, costModel);
+    const result = await algorithmService.findOptimalRooms(byFloor, numRooms, costModel);
+    const distinct = result ? new Set(result.rooms.map(room => room.roomNumber)).size === numRooms : true;
+
+    if (!expected !== !result || !distinct || (result && result.travelTime !== expected.time)) {
+      failures++;
+      console.log(`❌ FAIL trial ${trial}: ${numRooms} rooms, ${costModel.model} model`);
+      console.log(`   expected ${expected ? expected.time : 'none'}, got ${result ? result.travelTime : 'none'}` +
+        `${distinct ? '' : ' (repeated rooms)'}`);
+    }
+  }
+  console.log(failures === 0 ? '✅ PASS (same travel time as brute force, distinct rooms)' : `❌ ${failures} mismatches`);
+
+  console.log('\n[Timing] Large buildings, 40% of rooms free');
+  const cases = [
+    { floors: 20, roomsPerFloor: 25, numRooms: 5 },
+    { floors: 40, roomsPerFloor: 25, numRooms: 20 },
+    { floors: 40, roomsPerFloor: 25, numRooms: 40 },
+    { floors: 60, roomsPerFloor: 30, numRooms: 60 }
+  ];
+
+  for (const { floors, roomsPerFloor, numRooms } of cases) {
+    const byFloor = randomBuilding(floors, roomsPerFloor, 0.4);
+    const roomCount = byFloor.flat().length;
+
+    for (const model of ['origin', 'transport']) {
+      const costModel = randomCostModel(floors, roomsPerFloor, model);
+
+      const started = process.hrtime.bigint();
+      const result = algorithmService.findAcrossFloors(byFloor, numRooms, costModel);
+      const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+
+      console.log(`${roomCount} free rooms on ${floors} floors, ${numRooms} rooms, ${model}: ` +
+        `${elapsed.toFixed(1)} ms, travel time ${algorithmService.calculateTravelTime(result, costModel)}`);
+    }
+  }
+
+  console.log(`\n[Check] ${trials} random buildings with guest preferences against brute force (shared corridor models)`);
+
+  let preferenceFailures = 0;
+  for (let trial = 1; trial <= trials; trial++) {
+    const floorCount = randomInt(1, 4);
+    const roomsPerFloor = randomInt(2, 7);
+    const byFloor = randomBuilding(floorCount, roomsPerFloor, 0.3 + random() * 0.6);
+    const numRooms = randomInt(1, 4);
+    const costModel = randomCostModel(floorCount, roomsPerFloor, ['origin', 'span'][randomInt(0, 1)]);
+    const preferences = randomPreferences(floorCount, numRooms);
+
+    const expected = bruteForcePreferred(byFloor, numRooms, costModel, preferences);
+    const result = algorithmService.findPreferredRooms(byFloor, numRooms, costModel, preferences);
+    const score = result ? result.travelTime + result.penalty : null;
+    const valid = !result || (algorithmService.meetsPreferences(result.rooms, preferences) &&
+      new Set(result.rooms.map(room => room.roomNumber)).size === numRooms);
+
+    if (expected !== score || !valid) {
+      preferenceFailures++;
+      console.log(`❌ FAIL trial ${trial}: ${numRooms} rooms, ${costModel.model} model`);
+      console.log(`   expected ${expected === null ? 'none' : expected}, got ${score === null ? 'none' : score}` +
+        `${valid ? '' : ' (preferences not met)'}`);
+    }
+  }
+  failures += preferenceFailures;
+  console.log(preferenceFailures === 0
+    ? '✅ PASS (same score as brute force, preferences met)'
+    : `❌ ${preferenceFailures} mismatches`);
+
+  console.log('\n[Timing] Large buildings with guest preferences, 40% of rooms free');
+  for (const { floors, roomsPerFloor, numRooms } of cases) {
+    const byFloor = randomBuilding(floors, roomsPerFloor, 0.4);
+    const roomCount = byFloor.flat().length;
+    const preferences = {
+      ...randomPreferences(floors, numRooms),
+      roomTypes: { deluxe: Math.floor(numRooms / 4), standard: numRooms - Math.floor(numRooms / 4) },
+      accessibleRooms: Math.ceil(numRooms / 10)
+    };
+
+    for (const model of ['origin', 'transport']) {
+      const costModel = randomCostModel(floors, roomsPerFloor, model);
+
+      const started = process.hrtime.bigint();
+      const result = algorithmService.findPreferredRooms(byFloor, numRooms, costModel, preferences);
+      const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+
+      console.log(`${roomCount} free rooms on ${floors} floors, ${numRooms} rooms, ${model}: ` +
+        `${elapsed.toFixed(1)} ms, ` + (result ? `travel time ${result.travelTime}, penalty ${result.penalty}` : 'no set'));
+    }
+  }
+
+  console.log('\n==============================');
+  console.log('BENCHMARK COMPLETE');
+  process.exit(failures === 0 ? 0 : 1);
+};
+
+run();
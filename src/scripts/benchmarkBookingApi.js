@@ -0,0 +1,152 @@
+require('dotenv').config();
+const { sequelize, setupDatabaseTables } = require('../config/database');
+const {
+  PropertyPostgres,
+  RoomPostgres,
+  BookingPostgres,
+  RoomNightPostgres,
+  RoomBlockPostgres,
+  HousekeepingTaskPostgres,
+  MaintenanceTicketPostgres
+} = require('../models');
+const { BOOKING_RULES } = require('../utils/constants');
+const app = require('../app');
+
+// Books groups of BOOKING_RULES.MAX_ROOMS through the HTTP API, end to end
+// (validation, allocation, pricing, per-night inventory), and times each
+// call. Runs against the configured database on a throwaway property that
+// is removed again afterwards.
+// Usage: npm run benchmark:booking-api [-- floors roomsPerFloor]
+const floors = parseInt(process.argv[2], 10) || 40;
+const roomsPerFloor = parseInt(process.argv[3], 10) || 25;
+const numRooms = BOOKING_RULES.MAX_ROOMS;
+
+// A date days from today
+const dateIn = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const layout = {
+  name: 'Booking API benchmark',
+  roomTypes: {
+    standard: { basePrice: 100 },
+    deluxe: { basePrice: 150 }
+  },
+  transport: [{ type: 'lift', position: Math.ceil(roomsPerFloor / 2) }],
+  floors: Array.from({ length: floors }, (_, index) => ({
+    floor: index + 1,
+    rooms: roomsPerFloor,
+    roomType: index % 3 === 2 ? 'deluxe' : 'standard',
+    accessibility: index < 2 ? ['wheelchair'] : []
+  }))
+};
+
+// Remove the property with everything hanging off its rooms
+const removeProperty = async (propertyId) => {
+  await sequelize.transaction(async (transaction) => {
+    const roomIds = (await RoomPostgres.findAll({ attributes: ['roomId'], where: { propertyId }, transaction }))
+      .map(room => room.roomId);
+
+    if (roomIds.length > 0) {
+      await RoomNightPostgres.destroy({ where: { roomId: roomIds }, transaction });
+      await RoomBlockPostgres.destroy({ where: { roomId: roomIds }, transaction });
+      await HousekeepingTaskPostgres.destroy({ where: { roomId: roomIds }, transaction });
+      await MaintenanceTicketPostgres.destroy({ where: { roomId: roomIds }, transaction });
+    }
+    await BookingPostgres.destroy({ where: { propertyId }, transaction });
+    await RoomPostgres.destroy({ where: { propertyId }, transaction });
+    await PropertyPostgres.destroy({ where: { propertyId }, transaction });
+  });
+};
+
+const run = async () => {
+  console.log('🧪 BOOKING API BENCHMARK');
+  console.log('========================');
+
+  if (!await setupDatabaseTables()) {
+    throw new Error('Database is not reachable');
+  }
+
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  let property = null;
+  let failures = 0;
+
+  // Call the API and report status and time; the JSON body is returned
+  const call = async (label, method, path, body) => {
+    const started = process.hrtime.bigint();
+    const response = await fetch(`${base}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const json = await response.json();
+    const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+
+    if (!response.ok) {
+      failures++;
+      console.log(`❌ ${label}: ${response.status} ${json.message} ${JSON.stringify(json.errors || '')}`);
+    } else {
+      console.log(`✅ ${label}: ${response.status} in ${elapsed.toFixed(0)} ms`);
+    }
+
+    return json;
+  };
+
+  try {
+    const created = await call(`Create a property with ${floors * roomsPerFloor} rooms on ${floors} floors`, 'POST', '/properties', {
+      code: `bench-${Date.now().toString(36)}`,
+      name: 'Booking API benchmark',
+      layout
+    });
+    property = created.data;
+    if (!property || !property.propertyId) throw new Error('Property was not created');
+
+    const scope = `/properties/${property.propertyId}`;
+    const checkInDate = dateIn(300);
+    const checkOutDate = dateIn(302);
+    const stay = { numRooms, checkInDate, checkOutDate };
+
+    console.log(`\n[Groups of ${numRooms} rooms]`);
+    await call('Room options', 'GET', `${scope}/rooms/options?numRooms=${numRooms}&checkIn=${checkInDate}&checkOut=${checkOutDate}`);
+    const deluxe = Math.floor(numRooms / 3);
+    const preferred = {
+      ...stay,
+      preferences: {
+        roomTypes: { deluxe, standard: numRooms - deluxe },
+        accessibleRooms: 2,
+        floors: { min: 5, max: 15 },
+        avoidLift: true
+      }
+    };
+
+    const first = await call('Book', 'POST', `${scope}/bookings`, stay);
+    await call('Book with preferences', 'POST', `${scope}/bookings`, preferred);
+
+    await call('Switch to the fragmentation strategy', 'PATCH', scope, { allocation: { strategy: 'fragmentation' } });
+    await call('Book', 'POST', `${scope}/bookings`, stay);
+    await call('Book with preferences', 'POST', `${scope}/bookings`, preferred);
+
+    if (first.data) {
+      await call('Extend the first booking by a night', 'PATCH', `${scope}/bookings/${first.data.bookingId}`, {
+        checkOutDate: dateIn(303)
+      });
+    }
+  } finally {
+    server.close();
+    if (property && property.propertyId) await removeProperty(property.propertyId);
+  }
+
+  console.log('\n========================');
+  console.log(failures === 0 ? 'BENCHMARK COMPLETE' : `❌ ${failures} failed calls`);
+  return failures;
+};
+
+run()
+  .then(failures => process.exit(failures === 0 ? 0 : 1))
+  .catch(error => {
+    console.error('❌ Benchmark error:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,40 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const bookingService = require('../services/bookingService');
+
+// One-off move of bookings made under the old global isAvailable flag to
+// per-night inventory (see bookingService.syncLegacyOccupancy). Safe to run
+// again: migrated bookings are skipped and clashes are reported each time.
+const migrate = async () => {
+  try {
+    console.log('🔄 Migrating legacy bookings to per-night inventory...');
+    console.log('===========================================');
+
+    await sequelize.authenticate();
+
+    // Give legacy bookings a reference first, so clashes can be looked up
+    await bookingService.backfillReferences();
+
+    const { migrated, clashes } = await bookingService.syncLegacyOccupancy();
+    console.log(`✅ Migrated ${migrated} legacy bookings`);
+
+    if (clashes.length > 0) {
+      console.warn(`⚠️ ${clashes.length} bookings clash with nights other bookings hold and were not migrated:`);
+      clashes.forEach(({ reference, bookingId, nights }) => {
+        console.warn(`  - ${reference || bookingId}`);
+        nights.forEach(({ roomNumber, stayDate, heldBy }) => {
+          console.warn(`      room ${roomNumber} on ${stayDate} is held by ${heldBy}`);
+        });
+      });
+      console.warn('💡 Move or cancel these bookings, then run the migration again');
+    }
+
+    console.log('===========================================');
+    process.exit(clashes.length > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    process.exit(1);
+  }
+};
+
+migrate();
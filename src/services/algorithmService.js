@@ -1,46 +1,32 @@
 const { Op } = require('sequelize');
+const AppError = require('../utils/appError');
+const { BOOKING_RULES, STATUS_CODES } = require('../utils/constants');
+const travelCostService = require('./travelCostService');
 
 class AlgorithmService {
-  constructor() {
-    this.HORIZONTAL_TIME = 1; // 1 minute per room
-    this.VERTICAL_TIME = 2;   // 2 minutes per floor
+  // Travel times come from the property's cost model (see travelCostService);
+  // without one the default model applies:
+  // [101, 102, 105, 106] -> (1-1)*2 + (6-1) = 5 mins
+  // [201, 202]           -> (2-1)*2 + (2-1) = 3 mins
+  calculateHorizontalTime(rooms, costModel) {
+    return travelCostService.breakdown(rooms, costModel).horizontal;
   }
 
-  calculateHorizontalTime(rooms) {
-    if (rooms.length <= 1) return 0;
-    const positions = rooms.map(r => r.position).sort((a, b) => a - b);
-    return positions[positions.length - 1] - positions[0];
+  calculateVerticalTime(rooms, costModel) {
+    return travelCostService.breakdown(rooms, costModel).vertical;
   }
 
-  calculateVerticalTime(rooms) {
-    if (rooms.length <= 1) return 0;
-    const floors = [...new Set(rooms.map(r => r.floor))].sort((a, b) => a - b);
-    return (floors[floors.length - 1] - floors[0]) * this.VERTICAL_TIME;
+  calculateTravelTime(rooms, costModel) {
+    return travelCostService.travelTime(rooms, costModel);
   }
 
-  calculateTravelTime(rooms) {
-    if (!rooms || rooms.length === 0) return 0;
-
-    const floors = rooms.map(r => r.floor);
-    const positions = rooms.map(r => r.position);
-
-    const maxFloor = Math.max(...floors);
-    const maxPos = Math.max(...positions);
-    const minPos = Math.min(...positions);
-
-    // Formula derived from PDF examples:
-    // [101, 102, 105, 106] -> (1-1)*2 + (6-1) = 5 mins
-    // [201, 202]           -> (2-1)*2 + (2-1) = 3 mins
-    return (maxFloor - 1) * this.VERTICAL_TIME + (maxPos - minPos);
-  }
-
-  findBestOnSingleFloor(availableRooms, numRooms) {
+  findBestOnSingleFloor(availableRooms, numRooms, costModel) {
     let bestCombination = null;
     let bestTime = Infinity;
 
     for (let i = 0; i <= availableRooms.length - numRooms; i++) {
       const combination = availableRooms.slice(i, i + numRooms);
-      const time = this.calculateTravelTime(combination);
+      const time = this.calculateTravelTime(combination, costModel);
       if (time < bestTime) {
         bestTime = time;
         bestCombination = combination;
@@ -50,35 +36,482 @@ class AlgorithmService {
     return bestCombination;
   }
 
-  async findOptimalRooms(availableRoomsByFloor, numRooms) {
-    // Priority 1: Same floor
+  // Travel times only mean something inside one building: refuse candidate
+  // sets that mix rooms of different properties
+  assertSingleProperty(rooms) {
+    const propertyIds = new Set(
+      rooms.map(room => room.propertyId).filter(propertyId => propertyId !== undefined && propertyId !== null)
+    );
+
+    if (propertyIds.size > 1) {
+      throw new AppError('Cannot allocate rooms across properties', STATUS_CODES.SERVER_ERROR);
+    }
+  }
+
+  // With guest preferences (see bookingService.resolvePreferences) the
+  // search goes through findPreferredRooms instead; otherwise, for a
+  // property using the 'fragmentation' strategy (see
+  // bookingService.getFragmentation), through findUnfragmentedRooms. The
+  // preference search weighs fragmentation too.
+  async findOptimalRooms(availableRoomsByFloor, numRooms, costModel, preferences = null, fragmentation = null) {
+    this.assertSingleProperty(availableRoomsByFloor.flat());
+    if (preferences) {
+      return this.findPreferredRooms(availableRoomsByFloor, numRooms, costModel, preferences, fragmentation);
+    }
+    if (fragmentation) {
+      return this.findUnfragmentedRooms(availableRoomsByFloor, numRooms, costModel, fragmentation);
+    }
+
+    // Priority 1: Same floor, the cheapest one under the cost model (the
+    // lower floor on a tie)
+    let sameFloor = null;
     for (const floorRooms of availableRoomsByFloor) {
       if (floorRooms.length >= numRooms) {
-        const combination = this.findBestOnSingleFloor(floorRooms, numRooms);
-        if (combination) {
-          return {
-            rooms: combination,
-            travelTime: this.calculateTravelTime(combination),
-            floors: [combination[0].floor],
-            strategy: 'same_floor'
-          };
+        const combination = this.findBestOnSingleFloor(floorRooms, numRooms, costModel);
+        const time = combination ? this.calculateTravelTime(combination, costModel) : Infinity;
+        if (combination && (!sameFloor || time < sameFloor.travelTime)) {
+          sameFloor = { rooms: combination, travelTime: time };
         }
       }
     }
 
+    if (sameFloor) {
+      return {
+        ...sameFloor,
+        floors: [sameFloor.rooms[0].floor],
+        strategy: 'same_floor'
+      };
+    }
+
     // Priority 2: Across floors
-    const allAvailableRooms = availableRoomsByFloor.flat();
-    if (allAvailableRooms.length < numRooms) {
-      return null;
+    const bestCombination = this.findAcrossFloors(availableRoomsByFloor, numRooms, costModel);
+
+    if (bestCombination) {
+      const floors = [...new Set(bestCombination.map(r => r.floor))].sort((a, b) => a - b);
+      return {
+        rooms: bestCombination,
+        travelTime: this.calculateTravelTime(bestCombination, costModel),
+        floors: floors,
+        strategy: 'across_floors'
+      };
     }
 
-    // Brute force for max 5 rooms
+    return null;
+  }
+
+  // Allocation under guest preferences. Hard constraints are filters:
+  // rooms preferences.allows rejects are left out, and a set must have the
+  // roomTypes mix, at least accessibleRooms accessible rooms and, with
+  // adjacent, be a run of neighbouring rooms on one floor. Soft preferences
+  // are scored: travel time plus each room's preferences.penalty, plus, for
+  // a property using the 'fragmentation' strategy, the stranded rooms
+  // weighted as in findUnfragmentedRooms; lowest first. As without
+  // preferences, one floor comes before several.
+  findPreferredRooms(availableRoomsByFloor, numRooms, costModel, preferences, fragmentation = null) {
+    const byFloor = availableRoomsByFloor
+      .map(floorRooms => floorRooms.filter(room => preferences.allows(room)))
+      .filter(floorRooms => floorRooms.length > 0);
+    const search = preferences.adjacent ? 'bestAdjacentRun' : 'bestPreferredSet';
+
+    const result = (found, strategy) => found && {
+      rooms: this.sortByRoute(found.rooms),
+      travelTime: found.travelTime,
+      penalty: found.penalty,
+      ...(fragmentation ? { fragmentation: found.fragmentation } : {}),
+      floors: [...new Set(found.rooms.map(room => room.floor))].sort((a, b) => a - b),
+      strategy
+    };
+
+    let sameFloor = null;
+    for (const floorRooms of byFloor) {
+      if (floorRooms.length >= numRooms) {
+        const found = search === 'bestAdjacentRun'
+          ? this.bestAdjacentRun(floorRooms, numRooms, costModel, preferences, fragmentation)
+          : this.bestPreferredSet([floorRooms], numRooms, costModel, preferences, fragmentation);
+        if (found && (!sameFloor || found.score < sameFloor.score)) sameFloor = found;
+      }
+    }
+
+    if (sameFloor || preferences.adjacent) {
+      return result(sameFloor, 'same_floor');
+    }
+
+    return result(this.bestPreferredSet(byFloor, numRooms, costModel, preferences, fragmentation), 'across_floors');
+  }
+
+  // Travel time, penalty and their sum (the score) for a set of rooms; with
+  // fragmentation, its stranded rooms (calculateFragmentation) at
+  // fragmentation.weight minutes each are added to the score
+  scorePreferred(rooms, costModel, preferences, fragmentation = null) {
+    const travelTime = this.calculateTravelTime(rooms, costModel);
+    const penalty = rooms.reduce((sum, room) => sum + preferences.penalty(room), 0);
+    if (!fragmentation) {
+      return { rooms, travelTime, penalty, score: travelTime + penalty };
+    }
+
+    const stranded = this.calculateFragmentation(rooms, fragmentation);
+    return { rooms, travelTime, penalty, fragmentation: stranded, score: travelTime + penalty + fragmentation.weight * stranded };
+  }
+
+  // Whether a set has the room type mix and enough accessible rooms
+  meetsPreferences(rooms, preferences) {
+    if (rooms.filter(room => preferences.isAccessible(room)).length < preferences.accessibleRooms) {
+      return false;
+    }
+    if (!preferences.roomTypes) return true;
+
+    return Object.entries(preferences.roomTypes).every(([roomType, count]) =>
+      rooms.filter(room => room.roomType === roomType).length === count
+    );
+  }
+
+  // Best run of numRooms neighbouring rooms (consecutive positions) on one
+  // floor that meets the preferences
+  bestAdjacentRun(floorRooms, numRooms, costModel, preferences, fragmentation = null) {
+    const sorted = [...floorRooms].sort((a, b) => a.position - b.position);
+
+    let best = null;
+    for (let i = 0; i + numRooms <= sorted.length; i++) {
+      const run = sorted.slice(i, i + numRooms);
+      if (run[numRooms - 1].position - run[0].position !== numRooms - 1) continue;
+      if (!this.meetsPreferences(run, preferences)) continue;
+
+      const scored = this.scorePreferred(run, costModel, preferences, fragmentation);
+      if (!best || scored.score < best.score) best = scored;
+    }
+
+    return best;
+  }
+
+  // Rooms with their penalty and accessibility, lowest penalty first, as
+  // selectPreferred takes them
+  rankByPenalty(rooms, preferences) {
+    return rooms
+      .map(room => ({ room, penalty: preferences.penalty(room), accessible: preferences.isAccessible(room) }))
+      .sort((a, b) => a.penalty - b.penalty);
+  }
+
+  // The numRooms rooms of a pool (ranked by rankByPenalty) with the lowest
+  // total penalty that still make up the roomTypes mix and hold at least
+  // accessibleRooms accessible rooms. Each room type (the whole pool
+  // without a mix) takes its k cheapest accessible rooms and fills up with
+  // its cheapest others; the split of accessible rooms between the types is
+  // settled over the types one by one. Returns { rooms, penalty } or null
+  // when the pool falls short.
+  selectPreferred(ranked, numRooms, preferences) {
+    const needed = preferences.accessibleRooms;
+    const groups = preferences.roomTypes
+      ? Object.entries(preferences.roomTypes).map(([roomType, count]) => ({
+        count,
+        entries: ranked.filter(entry => entry.room.roomType === roomType)
+      }))
+      : [{ count: numRooms, entries: ranked }];
+
+    // best[a]: cheapest picks so far holding a accessible rooms (capped at needed)
+    let best = [{ penalty: 0, rooms: [] }];
+    for (const { count, entries } of groups) {
+      if (entries.length < count) return null;
+
+      const accessible = entries.filter(entry => entry.accessible);
+      const options = [];
+      for (let k = 0; k <= Math.min(count, accessible.length, needed); k++) {
+        const forced = new Set(accessible.slice(0, k));
+        const picks = [...forced];
+        for (const entry of entries) {
+          if (picks.length === count) break;
+          if (!forced.has(entry)) picks.push(entry);
+        }
+        options.push({
+          penalty: picks.reduce((sum, entry) => sum + entry.penalty, 0),
+          accessible: picks.filter(entry => entry.accessible).length,
+          rooms: picks.map(entry => entry.room)
+        });
+      }
+
+      const next = [];
+      best.forEach((picked, held) => {
+        if (!picked) return;
+        options.forEach(option => {
+          const total = Math.min(needed, held + option.accessible);
+          const penalty = picked.penalty + option.penalty;
+          if (!next[total] || penalty < next[total].penalty) {
+            next[total] = { penalty, rooms: [...picked.rooms, ...option.rooms] };
+          }
+        });
+      });
+      best = next;
+    }
+
+    return best[needed] || null;
+  }
+
+  // Best set meeting the preferences over the given floors (lists of free
+  // rooms, lowest floor first), built on the floor-range search of
+  // findAcrossFloors: for each range of floors and each span of positions
+  // along the corridor, narrowest first, the rooms inside are narrowed to
+  // the cheapest selection that meets the preferences (selectPreferred)
+  // and scored. Ranges and spans whose walk plus the least penalty the
+  // range allows cannot beat the best set found are skipped, and at most
+  // BOOKING_RULES.PREFERENCE_SELECTIONS selections are made, so the search
+  // stays bounded however large the group. Within that budget it is exact
+  // under a shared corridor: the best set is the selection of its own
+  // floors and span, whose walk covers no more. Under a corridor per floor
+  // the floors share the spans, and fragmentation, which can lower a score
+  // by up to fragmentation.weight per room, is weighed on the sets found.
+  // Cost models without search hints try every combination.
+  bestPreferredSet(floors, numRooms, costModel, preferences, fragmentation = null) {
+    const search = travelCostService.getSearch(costModel);
+    if (!search) {
+      const scoreOf = (combination) => (this.meetsPreferences(combination, preferences)
+        ? this.scorePreferred(combination, costModel, preferences, fragmentation).score
+        : Infinity);
+      const found = this.findByEnumeration(floors.flat(), numRooms, costModel, scoreOf);
+      return found && this.meetsPreferences(found, preferences)
+        ? this.scorePreferred(found, costModel, preferences, fragmentation)
+        : null;
+    }
+
+    const relief = fragmentation ? fragmentation.weight * numRooms : 0;
+    let selections = BOOKING_RULES.PREFERENCE_SELECTIONS;
+    let best = null;
+    const beaten = (bound) => best && bound - relief >= best.score;
+    const select = (ranked) => {
+      if (ranked.length < numRooms) return null;
+      selections--;
+      return this.selectPreferred(ranked, numRooms, preferences);
+    };
+
+    for (let width = 0; width < floors.length && selections > 0; width++) {
+      for (let first = 0; first + width < floors.length && selections > 0; first++) {
+        const bottom = floors[first][0].floor;
+        const top = floors[first + width][0].floor;
+        const vertical = this.calculateVerticalTime([{ floor: bottom, position: 0 }, { floor: top, position: 0 }], costModel);
+        if (beaten(vertical)) continue;
+
+        const ranked = this.rankByPenalty(floors.slice(first, first + width + 1).flat(), preferences);
+        const overall = select(ranked);
+        if (!overall) continue;
+
+        const positions = [...new Set(ranked.map(entry => entry.room.position))].sort((a, b) => a - b);
+        for (let reach = 0; reach < positions.length && selections > 0; reach++) {
+          for (let low = 0; low + reach < positions.length && selections > 0; low++) {
+            const high = positions[low + reach];
+            const walk = search.corridor === 'shared'
+              ? this.calculateTravelTime([{ floor: bottom, position: positions[low] }, { floor: top, position: high }], costModel)
+              : vertical;
+            if (beaten(walk + overall.penalty)) continue;
+
+            const selected = select(ranked.filter(entry => entry.room.position >= positions[low] && entry.room.position <= high));
+            if (!selected) continue;
+
+            const scored = this.scorePreferred(selected.rooms, costModel, preferences, fragmentation);
+            if (!best || scored.score < best.score) best = scored;
+          }
+        }
+      }
+    }
+
+    return best;
+  }
+
+  // Rooms of a floor's free rooms (in position order) that sit in runs of
+  // neighbouring positions shorter than minRun, too short for a group
+  countStrandedRooms(freeRooms, minRun) {
+    let stranded = 0;
+    let run = 0;
+
+    freeRooms.forEach((room, index) => {
+      run = index > 0 && room.position === freeRooms[index - 1].position + 1 ? run + 1 : 1;
+      const runEnds = index === freeRooms.length - 1 || freeRooms[index + 1].position !== room.position + 1;
+      if (runEnds && run < minRun) stranded += run;
+    });
+
+    return stranded;
+  }
+
+  // How many more rooms a set would leave stranded (see countStrandedRooms)
+  // on the floors it takes rooms from, per night of the stay, on average.
+  // Negative when it uses up rooms that were stranded already.
+  calculateFragmentation(rooms, fragmentation) {
+    const taken = new Set(rooms.map(room => room.roomId));
+    const floors = [...new Set(rooms.map(room => room.floor))];
+
+    let added = 0;
+    fragmentation.nights.forEach(freeByFloor => {
+      floors.forEach(floor => {
+        const free = freeByFloor.get(floor) || [];
+        added += this.countStrandedRooms(free.filter(room => !taken.has(room.roomId)), fragmentation.minRun) -
+          this.countStrandedRooms(free, fragmentation.minRun);
+      });
+    });
+
+    return fragmentation.nights.length > 0 ? added / fragmentation.nights.length : 0;
+  }
+
+  // Allocation for properties using the 'fragmentation' strategy: sets are
+  // scored by travel time plus fragmentation.weight minutes for each room
+  // they leave stranded (calculateFragmentation), lowest first, so groups
+  // fill up short runs and take the ends of long ones rather than splitting
+  // them. One floor still comes before several. The sets compared are the
+  // runs of numRooms neighbouring free rooms on each floor; across floors,
+  // the shortest walk and the runs along the route.
+  findUnfragmentedRooms(availableRoomsByFloor, numRooms, costModel, fragmentation) {
+    const score = (rooms) => {
+      const travelTime = this.calculateTravelTime(rooms, costModel);
+      const stranded = this.calculateFragmentation(rooms, fragmentation);
+      return { rooms, travelTime, fragmentation: stranded, score: travelTime + fragmentation.weight * stranded };
+    };
+    const lowest = (best, candidate) => (!best || candidate.score < best.score ? candidate : best);
+    const runs = (rooms) => {
+      const sets = [];
+      for (let i = 0; i + numRooms <= rooms.length; i++) sets.push(rooms.slice(i, i + numRooms));
+      return sets;
+    };
+    const result = (best, strategy) => best && {
+      rooms: this.sortByRoute(best.rooms),
+      travelTime: best.travelTime,
+      fragmentation: best.fragmentation,
+      floors: [...new Set(best.rooms.map(room => room.floor))].sort((a, b) => a - b),
+      strategy
+    };
+
+    let sameFloor = null;
+    availableRoomsByFloor
+      .filter(floorRooms => floorRooms.length >= numRooms)
+      .forEach(floorRooms => {
+        const sorted = [...floorRooms].sort((a, b) => a.position - b.position);
+        runs(sorted).forEach(rooms => { sameFloor = lowest(sameFloor, score(rooms)); });
+      });
+
+    if (sameFloor) {
+      return result(sameFloor, 'same_floor');
+    }
+
+    const shortestWalk = this.findAcrossFloors(availableRoomsByFloor, numRooms, costModel);
+    if (!shortestWalk) return null;
+
+    let acrossFloors = score(shortestWalk);
+    runs(this.sortByRoute(availableRoomsByFloor.flat())).forEach(rooms => {
+      acrossFloors = lowest(acrossFloors, score(rooms));
+    });
+
+    return result(acrossFloors, 'across_floors');
+  }
+
+  // The cheapest `count` rooms out of rooms sorted by position, together
+  // with one of the anchor sets (positions the walk has to cover anyway):
+  // always a run of neighbouring rooms. Returns { rooms, walk } or null.
+  bestWindow(sortedRooms, count, anchorSets) {
+    if (count > sortedRooms.length) return null;
+
+    let best = null;
+    anchorSets.forEach(anchors => {
+      const low = Math.min(...anchors);
+      const high = Math.max(...anchors);
+
+      if (count === 0) {
+        const walk = anchors.length > 0 ? high - low : 0;
+        if (!best || walk < best.walk) best = { start: 0, walk };
+        return;
+      }
+
+      for (let i = 0; i + count <= sortedRooms.length; i++) {
+        const walk = Math.max(sortedRooms[i + count - 1].position, high) - Math.min(sortedRooms[i].position, low);
+        if (!best || walk < best.walk) best = { start: i, walk };
+      }
+    });
+
+    return { rooms: sortedRooms.slice(best.start, best.start + count), walk: best.walk };
+  }
+
+  // Exact search for a group that has to spread over several floors. For
+  // every range of floors the cheapest rooms inside it are found directly:
+  // one window along the pooled positions when the cost model counts one
+  // shared corridor, or the cheapest split of the group between the floors
+  // (each floor taking a window of its own) when it counts a walk per
+  // floor. The best range under the full cost model wins. Cost models
+  // without search hints fall back to trying every combination.
+  findAcrossFloors(availableRoomsByFloor, numRooms, costModel) {
+    const search = travelCostService.getSearch(costModel);
+    if (!search) {
+      return this.findByEnumeration(availableRoomsByFloor.flat(), numRooms, costModel);
+    }
+
+    const byPosition = (a, b) => a.position - b.position || a.floor - b.floor;
+    const floors = availableRoomsByFloor
+      .filter(floorRooms => floorRooms.length > 0)
+      .map(floorRooms => [...floorRooms].sort(byPosition));
+
+    let best = null;
+    const consider = (rooms) => {
+      const time = this.calculateTravelTime(rooms, costModel);
+      if (!best || time < best.time) best = { rooms, time };
+    };
+
+    // A plan places some of the group on the floors seen so far; following
+    // `previous` collects its rooms
+    const collect = (plan) => {
+      const rooms = [];
+      for (let step = plan; step; step = step.previous) rooms.push(...step.rooms);
+      return rooms;
+    };
+
+    for (let first = 0; first < floors.length; first++) {
+      if (search.corridor === 'shared') {
+        const anchors = search.anchors(costModel, null);
+        let pool = [];
+
+        for (let last = first; last < floors.length; last++) {
+          pool = [...pool, ...floors[last]].sort(byPosition);
+          const window = this.bestWindow(pool, numRooms, anchors);
+          if (window) consider(window.rooms);
+        }
+      } else {
+        // plans[c]: the shortest walk placing c rooms on floors first..last
+        let plans = [{ walk: 0, rooms: [], previous: null }];
+
+        for (let last = first; last < floors.length; last++) {
+          const anchors = search.anchors(costModel, floors[last][0].floor);
+          const windows = [];
+          for (let count = 0; count <= Math.min(numRooms, floors[last].length); count++) {
+            windows.push(this.bestWindow(floors[last], count, anchors));
+          }
+
+          const next = [];
+          plans.forEach((plan, placed) => {
+            windows.forEach((window, count) => {
+              const total = placed + count;
+              if (!plan || total > numRooms) return;
+
+              const walk = plan.walk + window.walk;
+              if (!next[total] || walk < next[total].walk) {
+                next[total] = { walk, rooms: window.rooms, previous: plan };
+              }
+            });
+          });
+
+          plans = next;
+          if (plans[numRooms]) consider(collect(plans[numRooms]));
+        }
+      }
+    }
+
+    return best ? this.sortByRoute(best.rooms) : null;
+  }
+
+  // Reference search: every combination of distinct rooms, lowest scoreOf
+  // (travel time by default) first. Only practical for small inputs; used
+  // for cost models without search hints and to check findAcrossFloors
+  // (see src/scripts/benchmarkAllocation.js).
+  findByEnumeration(rooms, numRooms, costModel, scoreOf = combination => this.calculateTravelTime(combination, costModel)) {
+    if (rooms.length < numRooms) return null;
+
     let bestCombination = null;
     let bestTime = Infinity;
 
-    const generateCombinations = (start, current) => {
+    const pick = (start, current) => {
       if (current.length === numRooms) {
-        const time = this.calculateTravelTime(current);
+        const time = scoreOf(current);
         if (time < bestTime) {
           bestTime = time;
           bestCombination = [...current];
@@ -86,28 +519,254 @@ class AlgorithmService {
         return;
       }
 
-      for (let i = start; i < availableRoomsByFloor.length; i++) {
-        for (let j = 0; j < availableRoomsByFloor[i].length; j++) {
-          current.push(availableRoomsByFloor[i][j]);
-          generateCombinations(i, current);
-          current.pop();
-        }
+      for (let i = start; i <= rooms.length - (numRooms - current.length); i++) {
+        current.push(rooms[i]);
+        pick(i + 1, current);
+        current.pop();
       }
     };
 
-    generateCombinations(0, []);
+    pick(0, []);
+
+    return bestCombination;
+  }
+
+  // The `numRooms` lowest-priced rooms; among rooms on the price boundary,
+  // the ones that keep the group closest together
+  findCheapestRooms(rooms, numRooms, costModel, priceOf) {
+    if (rooms.length < numRooms) return null;
+
+    const sorted = [...rooms].sort((a, b) => priceOf(a) - priceOf(b));
+    const boundary = priceOf(sorted[numRooms - 1]);
+    const cheaper = sorted.filter(room => priceOf(room) < boundary);
+    const atBoundary = sorted.filter(room => priceOf(room) === boundary);
+
+    return [...cheaper, ...this.extendAllocation(cheaper, atBoundary, numRooms - cheaper.length, costModel)];
+  }
+
+  // Distinct room sets a guest can choose between, each with the labels it
+  // earns: 'best' (what findOptimalRooms allocates, under the property's
+  // fragmentation settings if it has them), 'one_floor' (the
+  // shortest walk on a single floor) and 'cheapest' (lowest price, by
+  // priceOf). Labelled sets come first, then the best set of every other
+  // floor and the best set across floors, by travel time; at most `limit`.
+  async findRoomOptions(availableRoomsByFloor, numRooms, costModel, { limit, priceOf, fragmentation = null }) {
+    const best = await this.findOptimalRooms(availableRoomsByFloor, numRooms, costModel, null, fragmentation);
+    if (!best) return [];
+
+    const options = new Map();
+    const add = (rooms, label) => {
+      const sorted = this.sortByRoute(rooms);
+      const key = sorted.map(room => room.roomId ?? room.roomNumber).join(',');
+
+      if (!options.has(key)) {
+        const floors = [...new Set(sorted.map(room => room.floor))];
+        options.set(key, {
+          rooms: sorted,
+          travelTime: this.calculateTravelTime(sorted, costModel),
+          floors,
+          strategy: floors.length === 1 ? 'same_floor' : 'across_floors',
+          labels: []
+        });
+      }
+      if (label) options.get(key).labels.push(label);
+    };
+
+    add(best.rooms, 'best');
+
+    const singleFloor = availableRoomsByFloor
+      .filter(floorRooms => floorRooms.length >= numRooms)
+      .map(floorRooms => this.findBestOnSingleFloor(floorRooms, numRooms, costModel))
+      .filter(Boolean)
+      .map(rooms => ({ rooms, travelTime: this.calculateTravelTime(rooms, costModel) }))
+      .sort((a, b) => a.travelTime - b.travelTime);
+    if (singleFloor.length > 0) add(singleFloor[0].rooms, 'one_floor');
+
+    add(this.findCheapestRooms(availableRoomsByFloor.flat(), numRooms, costModel, priceOf), 'cheapest');
+
+    singleFloor.slice(1).forEach(({ rooms }) => add(rooms));
+    const acrossFloors = this.findAcrossFloors(availableRoomsByFloor, numRooms, costModel);
+    if (acrossFloors) add(acrossFloors);
+
+    const all = [...options.values()];
+    const labelled = all.filter(option => option.labels.length > 0);
+    const others = all
+      .filter(option => option.labels.length === 0)
+      .sort((a, b) => a.travelTime - b.travelTime);
+
+    return [...labelled, ...others].slice(0, limit);
+  }
+
+  // How findOptimalRooms reaches its choice, for staff: every floor with its
+  // free rooms and its best `candidates` sets (the windows Priority 1
+  // compares) by travel time, plus the rooms they strand under the
+  // 'fragmentation' strategy; the best set if the group may span floors
+  // (what Priority 2 would pick by travel time); the winner and the rule
+  // that picked it, in words too
+  async explainAllocation(availableRoomsByFloor, numRooms, costModel, { candidates, fragmentation = null }) {
+    const score = (rooms) => {
+      const { horizontal, vertical, total } = travelCostService.breakdown(rooms, costModel);
+      const scored = { rooms: this.sortByRoute(rooms), travelTime: total, horizontal, vertical };
+      if (fragmentation) scored.fragmentation = this.calculateFragmentation(rooms, fragmentation);
+      return scored;
+    };
+    const rank = (set) => set.travelTime + (fragmentation ? fragmentation.weight * set.fragmentation : 0);
+
+    const floors = availableRoomsByFloor.map(floorRooms => {
+      const sets = [];
+      for (let i = 0; i <= floorRooms.length - numRooms; i++) {
+        sets.push(score(floorRooms.slice(i, i + numRooms)));
+      }
+      sets.sort((a, b) => rank(a) - rank(b));
 
-    if (bestCombination) {
-      const floors = [...new Set(bestCombination.map(r => r.floor))].sort((a, b) => a - b);
       return {
-        rooms: bestCombination,
-        travelTime: bestTime,
-        floors: floors,
-        strategy: 'across_floors'
+        floor: floorRooms[0].floor,
+        freeRooms: floorRooms.length,
+        fits: floorRooms.length >= numRooms,
+        considered: sets.length,
+        candidates: sets.slice(0, candidates)
       };
+    });
+
+    const acrossFloors = this.findAcrossFloors(availableRoomsByFloor, numRooms, costModel);
+    const result = await this.findOptimalRooms(availableRoomsByFloor, numRooms, costModel, null, fragmentation);
+    const fitting = floors.filter(floor => floor.fits);
+
+    let rule;
+    let reason;
+    if (!result) {
+      const free = floors.reduce((sum, floor) => sum + floor.freeRooms, 0);
+      rule = 'not_enough_rooms';
+      reason = `Only ${free} rooms are free, ${numRooms} needed`;
+    } else if (fragmentation) {
+      const stranded = parseFloat(result.fragmentation.toFixed(2));
+      const balance = `${result.travelTime} min walk, ` +
+        (stranded < 0 ? `using up ${-stranded}` : `stranding ${stranded} more`) +
+        ` rooms per night in runs shorter than ${fragmentation.minRun}`;
+      rule = `${result.strategy}_least_fragmentation`;
+      reason = result.strategy === 'same_floor'
+        ? `Floor ${result.floors[0]} balances walk and fragmentation best (${balance})`
+        : `No floor has ${numRooms} free rooms; floors ${result.floors.join(', ')} balance walk and fragmentation best (${balance})`;
+    } else if (result.strategy === 'same_floor') {
+      const ties = fitting
+        .filter(floor => floor.floor !== result.floors[0] && floor.candidates[0].travelTime === result.travelTime)
+        .map(floor => floor.floor);
+      rule = ties.length > 0 ? 'same_floor_tie_lower_floor' : 'same_floor_shortest_walk';
+      if (ties.length > 0) {
+        reason = `Floor ${result.floors[0]} ties with floor${ties.length > 1 ? 's' : ''} ${ties.join(', ')} at ${result.travelTime} min; the lowest floor wins`;
+      } else if (fitting.length === 1) {
+        reason = `Floor ${result.floors[0]} is the only floor with ${numRooms} free rooms (${result.travelTime} min walk)`;
+      } else {
+        reason = `Floor ${result.floors[0]} has the shortest walk (${result.travelTime} min) of the ${fitting.length} floors with ${numRooms} free rooms`;
+      }
+
+      const acrossTime = acrossFloors ? this.calculateTravelTime(acrossFloors, costModel) : Infinity;
+      if (acrossTime < result.travelTime) {
+        reason += `; rooms across floors would walk ${acrossTime} min, but keeping the group on one floor comes first`;
+      }
+    } else {
+      rule = 'across_floors_shortest_walk';
+      reason = `No floor has ${numRooms} free rooms; floors ${result.floors.join(', ')} give the shortest walk (${result.travelTime} min)`;
     }
 
-    return null;
+    return {
+      floors,
+      acrossFloors: acrossFloors ? { ...score(acrossFloors), floors: [...new Set(acrossFloors.map(room => room.floor))] } : null,
+      winner: result ? { ...score(result.rooms), floors: result.floors, strategy: result.strategy } : null,
+      rule,
+      reason
+    };
+  }
+
+  // Pick `count` more rooms from candidates to join an existing group,
+  // greedily adding whichever room keeps the group's travel time lowest
+  extendAllocation(fixedRooms, candidates, count, costModel) {
+    if (candidates.length < count) return null;
+    this.assertSingleProperty([...fixedRooms, ...candidates]);
+
+    const group = [...fixedRooms];
+    const remaining = [...candidates];
+    const added = [];
+
+    while (added.length < count) {
+      let bestIndex = 0;
+      let bestTime = Infinity;
+
+      remaining.forEach((room, index) => {
+        const time = this.calculateTravelTime([...group, room], costModel);
+        if (time < bestTime) {
+          bestTime = time;
+          bestIndex = index;
+        }
+      });
+
+      const [room] = remaining.splice(bestIndex, 1);
+      group.push(room);
+      added.push(room);
+    }
+
+    return added;
+  }
+
+  // Walking order through the building: floor by floor, along each corridor
+  sortByRoute(rooms) {
+    return [...rooms].sort((a, b) => a.floor - b.floor || a.position - b.position);
+  }
+
+  // Split rooms into `count` runs of consecutive rooms along the route, one
+  // per worker. Runs first even out the workload (weightOf gives each
+  // room's share), then keep their floor and corridor spans short, so a run
+  // breaks at a floor change rather than mid-corridor. Runs are empty when
+  // there are fewer rooms than workers.
+  splitRoute(rooms, count, weightOf = () => 1, costModel) {
+    const route = this.sortByRoute(rooms);
+    const n = route.length;
+
+    const load = [0];
+    route.forEach(room => load.push(load[load.length - 1] + weightOf(room)));
+
+    // span[p][i]: travel time of the run route[p..p+i) under the cost model
+    const span = route.map((_, p) => {
+      const row = [0];
+      for (let i = p + 1; i <= n; i++) {
+        row.push(this.calculateTravelTime(route.slice(p, i), costModel));
+      }
+      return row;
+    });
+
+    const better = (a, b) => a.maxLoad < b.maxLoad || (a.maxLoad === b.maxLoad && a.travel < b.travel);
+
+    // best[j][i]: cheapest split of the first i rooms into j runs; the last
+    // run starts at best[j][i].start
+    const best = [Array.from({ length: n + 1 }, (_, i) => (i === 0 ? { maxLoad: 0, travel: 0 } : null))];
+    for (let j = 1; j <= count; j++) {
+      best.push([]);
+      for (let i = 0; i <= n; i++) {
+        let choice = null;
+        for (let p = 0; p <= i; p++) {
+          const previous = best[j - 1][p];
+          if (!previous) continue;
+
+          const candidate = {
+            maxLoad: Math.max(previous.maxLoad, load[i] - load[p]),
+            travel: previous.travel + (p === i ? 0 : span[p][i - p]),
+            start: p
+          };
+          if (!choice || better(candidate, choice)) choice = candidate;
+        }
+        best[j].push(choice);
+      }
+    }
+
+    const runs = [];
+    for (let j = count, i = n; j > 0; j--) {
+      const start = best[j][i].start;
+      runs.unshift(route.slice(start, i));
+      i = start;
+    }
+
+    // Hand out the work before the empty runs
+    return [...runs.filter(run => run.length > 0), ...runs.filter(run => run.length === 0)];
   }
 
   // New method for PDF examples validation
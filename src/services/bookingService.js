@@ -1,115 +1,1212 @@
 const { Sequelize, Op } = require('sequelize');
-const { RoomPostgres, BookingPostgres, UserPostgres } = require('../models');
+const { RoomPostgres, BookingPostgres, RoomNightPostgres, GuestPostgres } = require('../models');
+const { sequelize } = require('../config/database');
 const algorithmService = require('./algorithmService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const bookingStateService = require('./bookingStateService');
+const guestService = require('./guestService');
+const propertyService = require('./propertyService');
+const roomBlockService = require('./roomBlockService');
+const housekeepingService = require('./housekeepingService');
+const emailService = require('../utils/emailService');
+const Helpers = require('../utils/helpers');
+const AppError = require('../utils/appError');
+const {
+  BOOKING_RULES,
+  PREFERENCE_WEIGHTS,
+  ACCESSIBLE_ROOM_FEATURE,
+  ALLOCATION_EXCLUSIONS,
+  BOOKING_RESET_STATUSES,
+  APP_CONSTANTS,
+  ERROR_MESSAGES,
+  STATUS_CODES
+} = require('../utils/constants');
 
 const Room = RoomPostgres;
 const Booking = BookingPostgres;
-const User = UserPostgres;
+const RoomNight = RoomNightPostgres;
+const Guest = GuestPostgres;
+
+// A room picked for a booking turned out to be blocked once it was locked.
+// Like a lost race on the unique (room, night) index, the allocation is re-run.
+const roomsTakenError = (details) => {
+  const error = new AppError(ERROR_MESSAGES.ROOMS_TAKEN, STATUS_CODES.CONFLICT, details);
+  error.name = 'RoomsTakenError';
+  return error;
+};
 
 class BookingService {
-  async validateBooking(numRooms, checkInDate, checkOutDate) {
-    // Validate number of rooms
-    if (!numRooms || numRooms < 1 || numRooms > 5) {
-      return { valid: false, message: 'Number of rooms must be between 1 and 5' };
+  // Where-clause fragment limiting a query to one property (none when unscoped)
+  propertyScope(propertyId) {
+    return propertyId ? { propertyId } : {};
+  }
+
+  // Where-clause fragment for rooms meeting a guest's requirements: enough
+  // room for the party, one of the accepted beds and views, and every
+  // requested accessibility feature and amenity
+  requirementScope(requirements = {}) {
+    const where = {};
+    if (requirements.adults) where.maxAdults = { [Op.gte]: requirements.adults };
+    if (requirements.children) where.maxChildren = { [Op.gte]: requirements.children };
+    if (requirements.bedConfiguration && requirements.bedConfiguration.length > 0) {
+      where.bedConfiguration = requirements.bedConfiguration;
+    }
+    if (requirements.view && requirements.view.length > 0) where.view = requirements.view;
+    if (requirements.smoking !== undefined) where.smoking = requirements.smoking;
+    if (requirements.accessibility && requirements.accessibility.length > 0) {
+      where.accessibility = { [Op.contains]: requirements.accessibility };
+    }
+    if (requirements.amenities && requirements.amenities.length > 0) {
+      where.amenities = { [Op.contains]: requirements.amenities };
     }
 
-    // Validate dates
-    const checkIn = new Date(checkInDate);
-    const checkOut = new Date(checkOutDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    return where;
+  }
+
+  // Rooms for a guest arriving today must already be clean; housekeeping
+  // has until the check-in date for later arrivals
+  isSameDayArrival(checkInDate) {
+    return Helpers.toDateOnly(checkInDate) === Helpers.today();
+  }
+
+  // Room IDs with at least one occupied night in [checkInDate, checkOutDate)
+  async getOccupiedRoomIds(checkInDate, checkOutDate, options = {}) {
+    const occupiedNights = await RoomNight.findAll({
+      attributes: ['roomId'],
+      where: {
+        stayDate: {
+          [Op.gte]: Helpers.toDateOnly(checkInDate),
+          [Op.lt]: Helpers.toDateOnly(checkOutDate)
+        }
+      },
+      transaction: options.transaction
+    });
+
+    return [...new Set(occupiedNights.map(night => night.roomId))];
+  }
+
+  // Sellable rooms that are free and not blocked for maintenance for every
+  // night of the requested stay, limited to options.propertyId and
+  // options.requirements when given. For a same-day arrival only clean
+  // rooms qualify, unless options.ignoreHousekeeping is set.
+  async getAvailableRooms(checkInDate, checkOutDate, options = {}) {
+    const unavailableRoomIds = [
+      ...await this.getOccupiedRoomIds(checkInDate, checkOutDate, options),
+      ...await roomBlockService.getBlockedRoomIds(checkInDate, checkOutDate, options)
+    ];
 
-    if (checkIn < today) {
-      return { valid: false, message: 'Check-in date cannot be in the past' };
+    const where = {
+      ...this.requirementScope(options.requirements),
+      isAvailable: true,
+      ...this.propertyScope(options.propertyId)
+    };
+    if (unavailableRoomIds.length > 0) {
+      where.roomId = { [Op.notIn]: unavailableRoomIds };
     }
+    if (!options.ignoreHousekeeping && this.isSameDayArrival(checkInDate)) {
+      where.housekeepingStatus = 'clean';
+    }
+
+    return await Room.findAll({
+      where,
+      order: [['floor', 'ASC'], ['position', 'ASC']],
+      transaction: options.transaction
+    });
+  }
+
+  // Group rooms into per-floor arrays (ascending floor) for the algorithm
+  groupRoomsByFloor(rooms) {
+    const roomsByFloor = {};
+    rooms.forEach(room => {
+      if (!roomsByFloor[room.floor]) roomsByFloor[room.floor] = [];
+      roomsByFloor[room.floor].push(room);
+    });
 
-    if (checkOut <= checkIn) {
-      return { valid: false, message: 'Check-out date must be after check-in date' };
+    return Object.values(roomsByFloor)
+      .sort((a, b) => a[0].floor - b[0].floor);
+  }
+
+  // What the 'fragmentation' allocation strategy needs to know about a stay
+  // (see algorithmService.calculateFragmentation): the property's weight and
+  // minimum run, and for every night the sellable rooms still free, by floor
+  // in position order. Null for properties allocating by travel time.
+  async getFragmentation(property, checkInDate, checkOutDate, options = {}) {
+    const settings = propertyService.getAllocation(property);
+    if (settings.strategy !== 'fragmentation') return null;
+
+    const rooms = await Room.findAll({
+      attributes: ['roomId', 'roomNumber', 'floor', 'position'],
+      where: { isAvailable: true, ...this.propertyScope(property.propertyId) },
+      order: [['floor', 'ASC'], ['position', 'ASC']],
+      transaction: options.transaction
+    });
+    const occupiedNights = await RoomNight.findAll({
+      attributes: ['roomId', 'stayDate'],
+      where: {
+        roomId: rooms.map(room => room.roomId),
+        stayDate: {
+          [Op.gte]: Helpers.toDateOnly(checkInDate),
+          [Op.lt]: Helpers.toDateOnly(checkOutDate)
+        }
+      },
+      transaction: options.transaction
+    });
+    const blocked = await roomBlockService.getBlockedRoomIdsByNight(checkInDate, checkOutDate, {
+      propertyId: property.propertyId,
+      transaction: options.transaction
+    });
+
+    return {
+      weight: settings.fragmentationWeight,
+      minRun: settings.minRun,
+      nights: Helpers.getStayNights(checkInDate, checkOutDate).map(night => {
+        const taken = new Set(blocked.get(night));
+        occupiedNights
+          .filter(occupied => Helpers.toDateOnly(occupied.stayDate) === night)
+          .forEach(occupied => taken.add(occupied.roomId));
+
+        const freeByFloor = new Map();
+        rooms.filter(room => !taken.has(room.roomId)).forEach(room => {
+          if (!freeByFloor.has(room.floor)) freeByFloor.set(room.floor, []);
+          freeByFloor.get(room.floor).push(room);
+        });
+        return freeByFloor;
+      })
+    };
+  }
+
+  // Guest preferences (as validated on bookings) turned into the checks the
+  // allocation search applies (see algorithmService.findPreferredRooms):
+  // the per-room hard filter, the per-room penalty in minutes and the
+  // constraints on the set as a whole. Null without preferences.
+  resolvePreferences(preferences, property, checkInDate) {
+    if (!preferences) return null;
+
+    const pricing = propertyService.getPricing(property);
+    const lifts = preferences.avoidLift ? propertyService.getLiftPositions(property) : {};
+    const { min = -Infinity, max = Infinity } = preferences.floors || {};
+
+    return {
+      allows: (room) => preferences.maxPricePerNight === undefined ||
+        this.calculateNightlyPrice(room, checkInDate, pricing) <= preferences.maxPricePerNight,
+      penalty: (room) => {
+        const floorsOutside = Math.max(0, min - room.floor, room.floor - max);
+        const nearLift = (lifts[room.floor] || [])
+          .some(position => Math.abs(position - room.position) <= PREFERENCE_WEIGHTS.LIFT_DISTANCE);
+
+        return floorsOutside * PREFERENCE_WEIGHTS.OUTSIDE_FLOOR_RANGE + (nearLift ? PREFERENCE_WEIGHTS.NEAR_LIFT : 0);
+      },
+      roomTypes: preferences.roomTypes || null,
+      accessibleRooms: preferences.accessibleRooms || 0,
+      isAccessible: (room) => (room.accessibility || []).includes(ACCESSIBLE_ROOM_FEATURE),
+      adjacent: Boolean(preferences.adjacent)
+    };
+  }
+
+  async findOptimalRooms(numRooms, checkInDate, checkOutDate, options = {}) {
+    const availableRooms = await this.getAvailableRooms(checkInDate, checkOutDate, options);
+
+    if (availableRooms.length < numRooms) {
+      return null;
     }
 
-    // Check minimum stay (1 night)
-    const nights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
-    if (nights < 1) {
-      return { valid: false, message: 'Minimum stay is 1 night' };
+    const result = await algorithmService.findOptimalRooms(
+      this.groupRoomsByFloor(availableRooms),
+      numRooms,
+      options.costModel,
+      options.preferences,
+      options.fragmentation
+    );
+
+    if (!result) {
+      return null;
     }
 
-    return { valid: true, nights };
+    return {
+      rooms: result.rooms,
+      travelTime: result.travelTime,
+      floors: result.floors,
+      strategy: result.strategy
+    };
   }
 
-  async findOptimalRooms(numRooms, checkInDate, checkOutDate) {
-    try {
-      // Get all available rooms
-      const availableRooms = await Room.findAll({
-        where: { isAvailable: true },
-        order: [['floor', 'ASC'], ['position', 'ASC']]
+  // Ranked room sets for a stay within one property (options.property,
+  // default property otherwise), each priced for the stay: the best
+  // allocation, the best on one floor, the cheapest and other alternatives
+  // (see algorithmService.findRoomOptions)
+  async getRoomOptions(numRooms, checkInDate, checkOutDate, options = {}) {
+    const property = options.property || await propertyService.getDefaultProperty();
+    const pricing = propertyService.getPricing(property);
+
+    const availableRooms = await this.getAvailableRooms(checkInDate, checkOutDate, {
+      propertyId: property.propertyId,
+      requirements: options.requirements
+    });
+
+    if (availableRooms.length < numRooms) {
+      return [];
+    }
+
+    const roomOptions = await algorithmService.findRoomOptions(
+      this.groupRoomsByFloor(availableRooms),
+      numRooms,
+      propertyService.getTravelCost(property),
+      {
+        limit: options.limit || BOOKING_RULES.ROOM_OPTIONS,
+        priceOf: room => this.calculateStayPrice([room], checkInDate, checkOutDate, pricing),
+        fragmentation: await this.getFragmentation(property, checkInDate, checkOutDate)
+      }
+    );
+
+    return roomOptions.map(option => ({
+      ...option,
+      totalPrice: this.calculateStayPrice(option.rooms, checkInDate, checkOutDate, pricing)
+    }));
+  }
+
+  // Why an allocation for this stay comes out the way it does, for staff:
+  // each room of the property that getAvailableRooms would leave out with
+  // its reasons (ALLOCATION_EXCLUSIONS, plus the requirement keys it fails)
+  // and algorithmService.explainAllocation over the rest
+  async explainAllocation(numRooms, checkInDate, checkOutDate, options = {}) {
+    const property = options.property || await propertyService.getDefaultProperty();
+    const costModel = propertyService.getTravelCost(property);
+    const scope = this.propertyScope(property.propertyId);
+    const requirements = options.requirements || {};
+
+    const rooms = await Room.findAll({ where: scope, order: [['floor', 'ASC'], ['position', 'ASC']] });
+    const occupied = new Set(await this.getOccupiedRoomIds(checkInDate, checkOutDate));
+    const blocked = new Set(await roomBlockService.getBlockedRoomIds(checkInDate, checkOutDate, { propertyId: property.propertyId }));
+    const sameDay = this.isSameDayArrival(checkInDate);
+
+    // Rooms meeting each requirement on its own, so a room can be told which
+    // ones it misses
+    const meeting = {};
+    for (const key of Object.keys(requirements)) {
+      const matches = await Room.findAll({
+        attributes: ['roomId'],
+        where: { ...this.requirementScope({ [key]: requirements[key] }), ...scope }
       });
+      meeting[key] = new Set(matches.map(room => room.roomId));
+    }
 
-      // Get all bookings that overlap with the requested dates
-      const conflictingBookings = await Booking.findAll({
-        where: {
-          [Op.or]: [
-            // Check-in between existing booking
-            {
-              checkInDate: { [Op.lte]: checkOutDate },
-              checkOutDate: { [Op.gte]: checkInDate },
-              status: 'confirmed'
-            }
-          ]
-        }
+    const excluded = [];
+    const eligible = [];
+    rooms.forEach(room => {
+      const unmet = Object.keys(meeting).filter(key => !meeting[key].has(room.roomId));
+      const reasons = [];
+      if (!room.isAvailable) reasons.push('not_sellable');
+      if (occupied.has(room.roomId)) reasons.push('occupied');
+      if (blocked.has(room.roomId)) reasons.push('blocked');
+      if (sameDay && room.housekeepingStatus !== 'clean') reasons.push('not_clean');
+      if (unmet.length > 0) reasons.push('requirements');
+
+      if (reasons.length === 0) {
+        eligible.push(room);
+      } else {
+        excluded.push({ room, reasons, unmetRequirements: unmet });
+      }
+    });
+
+    const explanation = await algorithmService.explainAllocation(
+      this.groupRoomsByFloor(eligible),
+      numRooms,
+      costModel,
+      {
+        candidates: BOOKING_RULES.EXPLAIN_CANDIDATES,
+        fragmentation: await this.getFragmentation(property, checkInDate, checkOutDate)
+      }
+    );
+
+    // Floors where every room was left out still show up, with nothing free
+    const floors = [...new Set(rooms.map(room => room.floor))].map(floor =>
+      explanation.floors.find(entry => entry.floor === floor) ||
+        { floor, freeRooms: 0, fits: false, considered: 0, candidates: [] }
+    );
+
+    return {
+      costModel,
+      totalRooms: rooms.length,
+      eligibleRooms: eligible.length,
+      exclusions: Object.fromEntries(ALLOCATION_EXCLUSIONS.map(reason =>
+        [reason, excluded.filter(entry => entry.reasons.includes(reason)).length]
+      )),
+      excluded,
+      ...explanation,
+      floors
+    };
+  }
+
+  // The rooms a guest picked (e.g. one of getRoomOptions' sets), provided
+  // every one of them is still free for the stay and meets the requirements
+  async findChosenRooms(roomNumbers, checkInDate, checkOutDate, options = {}) {
+    const availableRooms = await this.getAvailableRooms(checkInDate, checkOutDate, options);
+    const chosen = availableRooms.filter(room => roomNumbers.includes(room.roomNumber));
+
+    if (chosen.length < roomNumbers.length) {
+      const free = new Set(chosen.map(room => room.roomNumber));
+      throw new AppError(
+        ERROR_MESSAGES.CHOSEN_ROOMS_UNAVAILABLE,
+        STATUS_CODES.CONFLICT,
+        roomNumbers.filter(roomNumber => !free.has(roomNumber)).map(roomNumber => ({ roomNumber }))
+      );
+    }
+
+    const rooms = algorithmService.sortByRoute(chosen);
+    const floors = [...new Set(rooms.map(room => room.floor))];
+
+    return {
+      rooms,
+      travelTime: algorithmService.calculateTravelTime(rooms, options.costModel),
+      floors,
+      strategy: 'chosen'
+    };
+  }
+
+  // Lock the rooms picked for a stay. Concurrent allocators that picked the
+  // same rooms queue up here. Blocks are read again under the lock: a block
+  // takes the same row lock, so one committed after availability was read is
+  // seen now, and one created later sees this booking.
+  async lockRooms(rooms, checkInDate, checkOutDate, options = {}) {
+    const roomIds = rooms.map(room => room.roomId);
+    await Room.findAll({
+      where: { roomId: roomIds },
+      lock: options.transaction.LOCK.UPDATE,
+      transaction: options.transaction
+    });
+
+    const blockedIds = new Set(await roomBlockService.getBlockedRoomIds(checkInDate, checkOutDate, options));
+    const blockedRooms = rooms.filter(room => blockedIds.has(room.roomId));
+    if (blockedRooms.length > 0) {
+      throw roomsTakenError(blockedRooms.map(room => ({ roomNumber: room.roomNumber })));
+    }
+  }
+
+  // Occupy every night of the stay for the given rooms
+  async reserveRoomNights(bookingId, rooms, checkInDate, checkOutDate, options = {}) {
+    const nights = Helpers.getStayNights(checkInDate, checkOutDate);
+    const roomNights = [];
+
+    rooms.forEach(room => {
+      nights.forEach(stayDate => {
+        roomNights.push({ roomId: room.roomId, stayDate, bookingId });
+      });
+    });
+
+    return await RoomNight.bulkCreate(roomNights, {
+      transaction: options.transaction,
+      ignoreDuplicates: options.ignoreDuplicates
+    });
+  }
+
+  // Free every night held by a booking
+  async releaseRoomNights(bookingId, options = {}) {
+    return await RoomNight.destroy({
+      where: { bookingId },
+      transaction: options.transaction
+    });
+  }
+
+  // Free a booking's nights from a date onward, keeping earlier nights as history
+  async releaseRoomNightsFrom(bookingId, fromDate, options = {}) {
+    return await RoomNight.destroy({
+      where: {
+        bookingId,
+        stayDate: { [Op.gte]: Helpers.toDateOnly(fromDate) }
+      },
+      transaction: options.transaction
+    });
+  }
+
+  // Staff reset of a property: every active booking is closed (holds
+  // expire, confirmed bookings are cancelled, stays in progress complete)
+  // and all of the property's nights are freed, in one transaction, so no
+  // booking is left active without rooms behind it
+  async resetBookings(propertyId) {
+    return await sequelize.transaction(async (transaction) => {
+      const bookings = await Booking.findAll({
+        where: { propertyId, status: Object.keys(BOOKING_RESET_STATUSES) },
+        lock: transaction.LOCK.UPDATE,
+        transaction
       });
 
-      // Get room numbers that are already booked
-      const bookedRoomNumbers = new Set();
-      conflictingBookings.forEach(booking => {
-        if (Array.isArray(booking.rooms)) {
-          booking.rooms.forEach(roomNumber => {
-            bookedRoomNumbers.add(roomNumber);
+      for (const booking of bookings) {
+        await bookingStateService.transition(booking, BOOKING_RESET_STATUSES[booking.status], { holdExpiresAt: null }, { transaction });
+      }
+
+      const roomIds = (await Room.findAll({ attributes: ['roomId'], where: { propertyId }, transaction }))
+        .map(room => room.roomId);
+
+      await RoomNight.destroy({ where: { roomId: roomIds }, transaction });
+      await Room.update({ isAvailable: true, status: 'not-booked' }, { where: { propertyId }, transaction });
+
+      return { totalRooms: roomIds.length, resetBookings: bookings.length };
+    });
+  }
+
+  // One-off migration from the legacy global flag (npm run migrate:occupancy):
+  // bookings used to flip rooms to isAvailable=false instead of recording
+  // nights. Record nights for active bookings that have none and make those
+  // rooms sellable again. A booking with a night another booking already
+  // holds gets no nights at all and is returned with the clashing nights,
+  // to be moved by hand. Bookings already migrated are skipped, so running
+  // it again only reports the clashes left.
+  async syncLegacyOccupancy() {
+    const bookings = await Booking.findAll({
+      where: {
+        status: 'confirmed',
+        checkOutDate: { [Op.gt]: Helpers.today() }
+      }
+    });
+
+    let migrated = 0;
+    const clashes = [];
+    for (const booking of bookings) {
+      await sequelize.transaction(async (transaction) => {
+        const existing = await RoomNight.count({ where: { bookingId: booking.bookingId }, transaction });
+        if (existing > 0) return;
+
+        const rooms = await this.getBookingRooms(booking, { lock: true, transaction });
+        const taken = await RoomNight.findAll({
+          where: {
+            roomId: rooms.map(room => room.roomId),
+            stayDate: { [Op.gte]: Helpers.toDateOnly(booking.checkInDate), [Op.lt]: Helpers.toDateOnly(booking.checkOutDate) }
+          },
+          order: [['stayDate', 'ASC']],
+          transaction
+        });
+
+        if (taken.length > 0) {
+          const roomNumbers = new Map(rooms.map(room => [room.roomId, room.roomNumber]));
+          const holders = await Booking.findAll({
+            attributes: ['bookingId', 'reference'],
+            where: { bookingId: [...new Set(taken.map(night => night.bookingId))] },
+            transaction
+          });
+          const references = new Map(holders.map(holder => [holder.bookingId, holder.reference]));
+
+          clashes.push({
+            bookingId: booking.bookingId,
+            reference: booking.reference,
+            nights: taken.map(night => ({
+              roomNumber: roomNumbers.get(night.roomId),
+              stayDate: Helpers.toDateOnly(night.stayDate),
+              heldBy: references.get(night.bookingId) || night.bookingId
+            }))
           });
+          return;
         }
+
+        await this.reserveRoomNights(booking.bookingId, rooms, booking.checkInDate, booking.checkOutDate, { transaction });
+        migrated++;
       });
+    }
 
-      // Filter out rooms that are already booked
-      const trulyAvailableRooms = availableRooms.filter(
-        room => !bookedRoomNumbers.has(room.roomNumber)
-      );
+    await Room.update(
+      { isAvailable: true, status: 'not-booked' },
+      { where: { status: 'booked' } }
+    );
+
+    return { migrated, clashes };
+  }
+
+  // The Room rows behind a booking's room numbers, within its property, in
+  // floor and position order as the allocation algorithm expects. With
+  // options.lock the rows are locked for update.
+  async getBookingRooms(booking, options = {}) {
+    return await Room.findAll({
+      where: { roomNumber: booking.rooms, ...this.propertyScope(booking.propertyId) },
+      order: [['floor', 'ASC'], ['position', 'ASC']],
+      lock: options.lock ? options.transaction.LOCK.UPDATE : undefined,
+      transaction: options.transaction
+    });
+  }
+
+  // Draw booking reference codes until one is unused. The unique index is
+  // the final guard: a concurrent duplicate fails the insert and the
+  // allocation transaction is retried with a fresh code.
+  async generateUniqueReference(options = {}) {
+    for (let attempt = 0; attempt < BOOKING_RULES.REFERENCE_ATTEMPTS; attempt++) {
+      const reference = Helpers.generateBookingReference();
+      const taken = await Booking.count({ where: { reference }, transaction: options.transaction });
+      if (!taken) return reference;
+    }
+
+    throw new AppError(ERROR_MESSAGES.REFERENCE_UNAVAILABLE, STATUS_CODES.SERVER_ERROR);
+  }
+
+  async findByReference(reference, options = {}) {
+    const booking = await Booking.findOne({
+      where: { reference: reference.toUpperCase(), ...this.propertyScope(options.propertyId) },
+      include: [{ model: Guest, as: 'guest' }]
+    });
+
+    if (!booking) {
+      throw new AppError(ERROR_MESSAGES.BOOKING_NOT_FOUND, STATUS_CODES.NOT_FOUND);
+    }
+
+    return booking;
+  }
+
+  // Admin listing: filtered, sorted and paginated. Rows are ordered by
+  // sortBy with bookingId as tie-breaker, so keyset cursors stay stable while
+  // bookings are added. A cursor continues after (next) or before (prev) the
+  // row it was made from; without one, page/limit offsets are used.
+  async listBookings(query = {}) {
+    const {
+      status,
+      paymentStatus,
+      startDate,
+      endDate,
+      roomNumber,
+      guest,
+      guestId,
+      propertyId,
+      sortBy = 'createdAt',
+      sortOrder = 'desc',
+      page = 1,
+      cursor,
+      limit = APP_CONSTANTS.PAGINATION_LIMIT
+    } = query;
+
+    const where = this.propertyScope(propertyId);
+    if (status) where.status = status;
+    if (paymentStatus) where.paymentStatus = paymentStatus;
+    if (guestId) where.guestId = guestId;
+    if (roomNumber) where.rooms = { [Op.contains]: [roomNumber] };
+
+    // Stays overlapping [startDate, endDate]
+    if (startDate) where.checkOutDate = { [Op.gt]: Helpers.toDateOnly(startDate) };
+    if (endDate) where.checkInDate = { [Op.lte]: Helpers.toDateOnly(endDate) };
+
+    const guestInclude = { model: Guest, as: 'guest' };
+    if (guest) {
+      const term = `%${guest}%`;
+      guestInclude.required = true;
+      guestInclude.where = {
+        [Op.or]: [
+          { firstName: { [Op.iLike]: term } },
+          { lastName: { [Op.iLike]: term } },
+          { email: { [Op.iLike]: term } },
+          { phone: { [Op.iLike]: term } }
+        ]
+      };
+    }
+
+    let position = null;
+    if (cursor) {
+      position = Helpers.decodeCursor(cursor);
+
+      const valid = position
+        && ['next', 'prev'].includes(position.dir)
+        && position.id
+        && position.sortBy === sortBy
+        && position.sortOrder === sortOrder;
+      if (!valid) {
+        throw new AppError(ERROR_MESSAGES.INVALID_CURSOR, STATUS_CODES.BAD_REQUEST);
+      }
+    }
+
+    // Paging backwards reads the rows before the cursor in reverse order
+    const backwards = Boolean(position && position.dir === 'prev');
+    const ascending = (sortOrder === 'asc') !== backwards;
+    const direction = ascending ? 'ASC' : 'DESC';
+    const beyond = ascending ? Op.gt : Op.lt;
+
+    const pageWhere = position
+      ? {
+          [Op.and]: [
+            where,
+            {
+              [Op.or]: [
+                { [sortBy]: { [beyond]: position.value } },
+                { [sortBy]: position.value, bookingId: { [beyond]: position.id } }
+              ]
+            }
+          ]
+        }
+      : where;
+
+    const [total, rows] = await Promise.all([
+      Booking.count({ where, include: guest ? [guestInclude] : [] }),
+      Booking.findAll({
+        where: pageWhere,
+        include: [guestInclude],
+        order: [[sortBy, direction], ['bookingId', direction]],
+        limit: limit + 1,
+        offset: position ? 0 : (page - 1) * limit
+      })
+    ]);
+
+    const hasMore = rows.length > limit;
+    const bookings = rows.slice(0, limit);
+    if (backwards) bookings.reverse();
+
+    const hasNext = backwards || hasMore;
+    const hasPrev = position ? !backwards || hasMore : page > 1;
+
+    const cursorFor = (booking, dir) => Helpers.encodeCursor({
+      dir,
+      value: booking.get(sortBy),
+      id: booking.bookingId,
+      sortBy,
+      sortOrder
+    });
+
+    return {
+      bookings,
+      pagination: {
+        total,
+        limit,
+        page: position ? null : page,
+        totalPages: Math.ceil(total / limit),
+        hasNext,
+        hasPrev,
+        nextCursor: hasNext && bookings.length ? cursorFor(bookings[bookings.length - 1], 'next') : null,
+        prevCursor: hasPrev && bookings.length ? cursorFor(bookings[0], 'prev') : null
+      }
+    };
+  }
+
+  // Give bookings made before references existed a code of their own
+  async backfillReferences() {
+    const bookings = await Booking.findAll({ where: { reference: null } });
+
+    for (const booking of bookings) {
+      await booking.update({ reference: await this.generateUniqueReference() });
+    }
+
+    return bookings.length;
+  }
+
+  // Run an allocate-and-reserve transaction. The unique (room, night) index
+  // makes double-booking impossible; if a concurrent booking wins the race for
+  // the chosen rooms, or a block lands on them, the whole transaction is re-run
+  // against fresh availability.
+  async withAllocationRetry(work) {
+    for (let attempt = 1; attempt <= BOOKING_RULES.ALLOCATION_RETRIES; attempt++) {
+      try {
+        return await sequelize.transaction(work);
+      } catch (error) {
+        if (!['SequelizeUniqueConstraintError', 'RoomsTakenError'].includes(error.name)) throw error;
+        console.warn(`⚠️ Rooms taken mid-flight (attempt ${attempt}/${BOOKING_RULES.ALLOCATION_RETRIES}), re-allocating...`);
+      }
+    }
+
+    throw new AppError(ERROR_MESSAGES.ROOMS_TAKEN, STATUS_CODES.CONFLICT);
+  }
+
+  // Allocate and reserve rooms atomically within one property
+  // (options.property, default property otherwise), considering only rooms
+  // that meet options.requirements, and weighing options.preferences (see
+  // resolvePreferences). With options.roomNumbers exactly those rooms are
+  // booked instead, if they are all free.
+  // With options.hold the booking is created as a pending hold that expires
+  // after BOOKING_RULES.HOLD_MINUTES unless confirmed.
+  async createBooking(numRooms, checkInDate, checkOutDate, options = {}) {
+    const property = options.property || await propertyService.getDefaultProperty();
+
+    return await this.withAllocationRetry(async (transaction) => {
+      const guest = await guestService.resolveGuest(options, { transaction });
+      const allocationOptions = {
+        propertyId: property.propertyId,
+        requirements: options.requirements,
+        costModel: propertyService.getTravelCost(property),
+        preferences: this.resolvePreferences(options.preferences, property, checkInDate),
+        transaction
+      };
+      const optimalResult = options.roomNumbers
+        ? await this.findChosenRooms(options.roomNumbers, checkInDate, checkOutDate, allocationOptions)
+        : await this.findOptimalRooms(numRooms, checkInDate, checkOutDate, {
+          ...allocationOptions,
+          fragmentation: await this.getFragmentation(property, checkInDate, checkOutDate, { transaction })
+        });
+
+      if (!optimalResult) {
+        throw new AppError(
+          options.requirements || options.preferences ? ERROR_MESSAGES.NO_MATCHING_ROOMS : ERROR_MESSAGES.NO_ROOMS_AVAILABLE,
+          STATUS_CODES.BAD_REQUEST
+        );
+      }
+
+      await this.lockRooms(optimalResult.rooms, checkInDate, checkOutDate, { propertyId: property.propertyId, transaction });
+
+      const booking = await Booking.create({
+        propertyId: property.propertyId,
+        rooms: optimalResult.rooms.map(room => room.roomNumber),
+        totalRooms: numRooms,
+        travelTime: optimalResult.travelTime,
+        totalPrice: this.calculateStayPrice(optimalResult.rooms, checkInDate, checkOutDate, propertyService.getPricing(property)),
+        checkInDate,
+        checkOutDate,
+        reference: await this.generateUniqueReference({ transaction }),
+        guestId: guest ? guest.guestId : null,
+        requirements: options.requirements || null,
+        specialRequests: options.specialRequests || null,
+        status: options.hold ? 'pending' : 'confirmed',
+        confirmedAt: options.hold ? null : new Date(),
+        paymentStatus: 'pending',
+        holdToken: options.hold ? Helpers.generateId(16) : null,
+        holdExpiresAt: options.hold
+          ? new Date(Date.now() + BOOKING_RULES.HOLD_MINUTES * 60 * 1000)
+          : null
+      }, { transaction });
+
+      await this.reserveRoomNights(booking.bookingId, optimalResult.rooms, checkInDate, checkOutDate, { transaction });
+
+      await booking.reload({ include: [{ model: Guest, as: 'guest' }], transaction });
+
+      return { booking, ...optimalResult };
+    });
+  }
+
+  // Change the dates and/or room count of a booking. Current rooms are kept
+  // wherever they are free for the new dates; only the missing rooms go
+  // through allocation. A checked-in stay can only move its check-out date
+  // and add rooms (see modifyStayInProgress). Returns the updated booking
+  // and a diff.
+  async modifyBooking(bookingId, changes, options = {}) {
+    return await this.withAllocationRetry(async (transaction) => {
+      const booking = await this.findBookingForUpdate(bookingId, transaction, options);
+      const property = await booking.getProperty({ transaction });
+
+      if (!['pending', 'confirmed', 'checked_in'].includes(booking.status)) {
+        throw new AppError(`Cannot modify a ${booking.status} booking`, STATUS_CODES.CONFLICT);
+      }
 
-      // Group by floor for algorithm
-      const roomsByFloor = {};
-      const formattedRooms = trulyAvailableRooms.map(room => ({
-        number: room.roomNumber,
-        floor: room.floor,
-        position: room.position,
-        roomId: room.roomId,
-        roomType: room.roomType,
-        basePrice: room.basePrice
-      }));
-
-      formattedRooms.forEach(room => {
-        if (!roomsByFloor[room.floor]) roomsByFloor[room.floor] = [];
-        roomsByFloor[room.floor].push(room);
+      const checkInDate = Helpers.toDateOnly(changes.checkInDate || booking.checkInDate);
+      const checkOutDate = Helpers.toDateOnly(changes.checkOutDate || booking.checkOutDate);
+      const numRooms = changes.numRooms || booking.totalRooms;
+
+      if (checkOutDate <= checkInDate) {
+        throw new AppError('Check-out date must be after check-in date', STATUS_CODES.BAD_REQUEST);
+      }
+
+      const previous = {
+        rooms: booking.rooms,
+        totalRooms: booking.totalRooms,
+        checkInDate: Helpers.toDateOnly(booking.checkInDate),
+        checkOutDate: Helpers.toDateOnly(booking.checkOutDate),
+        travelTime: booking.travelTime,
+        totalPrice: parseFloat(booking.totalPrice)
+      };
+
+      const details = changes.specialRequests !== undefined ? { specialRequests: changes.specialRequests } : {};
+
+      // Same stay and room count: only the details change, the rooms stay put
+      if (checkInDate === previous.checkInDate && checkOutDate === previous.checkOutDate && numRooms === previous.totalRooms) {
+        await booking.update(details, { transaction });
+
+        return {
+          booking,
+          diff: {
+            keptRooms: previous.rooms,
+            addedRooms: [],
+            removedRooms: [],
+            previous,
+            current: previous,
+            priceDifference: 0
+          }
+        };
+      }
+
+      if (booking.status === 'checked_in') {
+        return await this.modifyStayInProgress(booking, property, { checkInDate, checkOutDate, numRooms }, {
+          previous,
+          details,
+          transaction
+        });
+      }
+
+      // The booking's own nights must not count against it
+      await this.releaseRoomNights(booking.bookingId, { transaction });
+
+      // Rooms the booking could move to still have to meet its requirements.
+      // Its current rooms are already assigned, so only new rooms for a
+      // same-day arrival have to be clean.
+      const availableRooms = await this.getAvailableRooms(checkInDate, checkOutDate, {
+        propertyId: booking.propertyId,
+        requirements: booking.requirements || undefined,
+        ignoreHousekeeping: true,
+        transaction
       });
+      const availableIds = new Set(availableRooms.map(room => room.roomId));
+      const currentRooms = await this.getBookingRooms(booking, { transaction });
 
-      // Convert to array for algorithm
-      const availableRoomsByFloor = Object.values(roomsByFloor)
-        .sort((a, b) => a[0].floor - b[0].floor);
+      const costModel = propertyService.getTravelCost(property);
+      let keptRooms = currentRooms.filter(room => availableIds.has(room.roomId));
+      if (keptRooms.length > numRooms) {
+        const bestSubset = await algorithmService.findOptimalRooms(this.groupRoomsByFloor(keptRooms), numRooms, costModel);
+        keptRooms = bestSubset.rooms;
+      }
+
+      const keptIds = new Set(keptRooms.map(room => room.roomId));
+      const sameDayArrival = this.isSameDayArrival(checkInDate);
+      const candidates = availableRooms.filter(room => !keptIds.has(room.roomId) &&
+        (!sameDayArrival || room.housekeepingStatus === 'clean'));
+      const missing = numRooms - keptRooms.length;
 
-      // Find optimal rooms using algorithm service
-      const result = await algorithmService.findOptimalRooms(availableRoomsByFloor, numRooms);
+      let addedRooms = [];
+      if (missing > 0 && keptRooms.length === 0) {
+        const fragmentation = await this.getFragmentation(property, checkInDate, checkOutDate, { transaction });
+        const allocation = candidates.length >= missing
+          ? await algorithmService.findOptimalRooms(this.groupRoomsByFloor(candidates), missing, costModel, null, fragmentation)
+          : null;
+        addedRooms = allocation ? allocation.rooms : null;
+      } else if (missing > 0) {
+        addedRooms = algorithmService.extendAllocation(keptRooms, candidates, missing, costModel);
+      }
 
-      if (!result) {
-        return null;
+      if (!addedRooms) {
+        throw new AppError(ERROR_MESSAGES.NO_ROOMS_AVAILABLE, STATUS_CODES.CONFLICT);
       }
 
+      const finalRooms = [...keptRooms, ...addedRooms];
+      await this.lockRooms(finalRooms, checkInDate, checkOutDate, { propertyId: booking.propertyId, transaction });
+
+      await booking.update({
+        ...details,
+        rooms: finalRooms.map(room => room.roomNumber),
+        totalRooms: numRooms,
+        checkInDate,
+        checkOutDate,
+        travelTime: algorithmService.calculateTravelTime(finalRooms, costModel),
+        totalPrice: this.calculateStayPrice(finalRooms, checkInDate, checkOutDate, propertyService.getPricing(property))
+      }, { transaction });
+
+      await this.reserveRoomNights(booking.bookingId, finalRooms, checkInDate, checkOutDate, { transaction });
+
+      const keptNumbers = keptRooms.map(room => room.roomNumber);
+      const currentTotal = parseFloat(booking.totalPrice);
+
       return {
-        rooms: result.rooms,
-        travelTime: result.travelTime,
-        floors: result.floors,
-        strategy: result.strategy
+        booking,
+        diff: {
+          keptRooms: keptNumbers,
+          addedRooms: addedRooms.map(room => room.roomNumber),
+          removedRooms: previous.rooms.filter(roomNumber => !keptNumbers.includes(roomNumber)),
+          previous,
+          current: {
+            rooms: booking.rooms,
+            totalRooms: numRooms,
+            checkInDate,
+            checkOutDate,
+            travelTime: booking.travelTime,
+            totalPrice: currentTotal
+          },
+          priceDifference: parseFloat((currentTotal - previous.totalPrice).toFixed(2))
+        }
       };
-    } catch (error) {
-      console.error('Error in findOptimalRooms:', error);
-      return null;
+    });
+  }
+
+  // Modify a checked-in stay. The guests are in their rooms and the nights
+  // already spent are history: the check-in date and current rooms stay as
+  // they are, the check-out date may move (to tomorrow at the earliest) and
+  // rooms may be added from tonight. Current rooms must be free for any
+  // extra nights. The price only changes by the nights added or dropped,
+  // at the stay's own rate.
+  async modifyStayInProgress(booking, property, stay, options = {}) {
+    const { previous, details, transaction } = options;
+    const { checkInDate, checkOutDate, numRooms } = stay;
+    const today = Helpers.today();
+
+    if (checkInDate !== previous.checkInDate) {
+      throw new AppError('Cannot change the check-in date of a stay in progress', STATUS_CODES.CONFLICT);
+    }
+    if (numRooms < previous.totalRooms) {
+      throw new AppError('Cannot remove rooms from a stay in progress', STATUS_CODES.CONFLICT);
+    }
+    if (checkOutDate <= today) {
+      throw new AppError('Check-out date of a stay in progress must be after today', STATUS_CODES.BAD_REQUEST);
+    }
+
+    const pricing = propertyService.getPricing(property);
+    const costModel = propertyService.getTravelCost(property);
+    const currentRooms = await this.getBookingRooms(booking, { transaction });
+    let priceDifference = 0;
+
+    if (checkOutDate < previous.checkOutDate) {
+      await this.releaseRoomNightsFrom(booking.bookingId, checkOutDate, { transaction });
+      priceDifference -= this.calculateNightsPrice(currentRooms, checkInDate, checkOutDate, previous.checkOutDate, pricing);
+    } else if (checkOutDate > previous.checkOutDate) {
+      const freeIds = new Set((await this.getAvailableRooms(previous.checkOutDate, checkOutDate, {
+        propertyId: booking.propertyId,
+        ignoreHousekeeping: true,
+        transaction
+      })).map(room => room.roomId));
+      const takenRooms = currentRooms.filter(room => !freeIds.has(room.roomId));
+
+      if (takenRooms.length > 0) {
+        throw new AppError(
+          ERROR_MESSAGES.STAY_EXTENSION_UNAVAILABLE,
+          STATUS_CODES.CONFLICT,
+          takenRooms.map(room => ({ roomNumber: room.roomNumber }))
+        );
+      }
+
+      await this.lockRooms(currentRooms, previous.checkOutDate, checkOutDate, { propertyId: booking.propertyId, transaction });
+      await this.reserveRoomNights(booking.bookingId, currentRooms, previous.checkOutDate, checkOutDate, { transaction });
+      priceDifference += this.calculateNightsPrice(currentRooms, checkInDate, previous.checkOutDate, checkOutDate, pricing);
+    }
+
+    // Added rooms are occupied from tonight, so they must be clean already
+    let addedRooms = [];
+    const missing = numRooms - previous.totalRooms;
+    if (missing > 0) {
+      const candidates = await this.getAvailableRooms(today, checkOutDate, {
+        propertyId: booking.propertyId,
+        requirements: booking.requirements || undefined,
+        transaction
+      });
+      addedRooms = algorithmService.extendAllocation(currentRooms, candidates, missing, costModel);
+
+      if (!addedRooms) {
+        throw new AppError(ERROR_MESSAGES.NO_ROOMS_AVAILABLE, STATUS_CODES.CONFLICT);
+      }
+
+      await this.lockRooms(addedRooms, today, checkOutDate, { propertyId: booking.propertyId, transaction });
+      await this.reserveRoomNights(booking.bookingId, addedRooms, today, checkOutDate, { transaction });
+      priceDifference += this.calculateNightsPrice(addedRooms, checkInDate, today, checkOutDate, pricing);
+    }
+
+    const finalRooms = [...currentRooms, ...addedRooms];
+    priceDifference = parseFloat(priceDifference.toFixed(2));
+
+    await booking.update({
+      ...details,
+      rooms: finalRooms.map(room => room.roomNumber),
+      totalRooms: numRooms,
+      checkOutDate,
+      travelTime: algorithmService.calculateTravelTime(finalRooms, costModel),
+      totalPrice: parseFloat((previous.totalPrice + priceDifference).toFixed(2))
+    }, { transaction });
+
+    return {
+      booking,
+      diff: {
+        keptRooms: previous.rooms,
+        addedRooms: addedRooms.map(room => room.roomNumber),
+        removedRooms: [],
+        previous,
+        current: {
+          rooms: booking.rooms,
+          totalRooms: numRooms,
+          checkInDate,
+          checkOutDate,
+          travelTime: booking.travelTime,
+          totalPrice: parseFloat(booking.totalPrice)
+        },
+        priceDifference
+      }
+    };
+  }
+
+  // Cancel a booking under the cancellation policy and release its rooms.
+  // Returns the booking together with the policy that was applied.
+  async cancelBooking(bookingId, options = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const booking = await this.findBookingForUpdate(bookingId, transaction, options);
+      const policy = cancellationPolicyService.evaluate(booking);
+
+      await bookingStateService.transition(booking, 'cancelled', {
+        cancellationFee: policy.cancellationFee,
+        refundAmount: policy.refundAmount,
+        paymentStatus: policy.paymentStatus,
+        holdExpiresAt: null
+      }, { transaction });
+
+      await this.releaseRoomNights(booking.bookingId, { transaction });
+
+      return { booking, policy };
+    });
+  }
+
+  // Lock a booking for a state change. With options.propertyId a booking of
+  // another property is reported as not found.
+  async findBookingForUpdate(bookingId, transaction, options = {}) {
+    const booking = await Booking.findOne({
+      where: { bookingId, ...this.propertyScope(options.propertyId) },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!booking) {
+      throw new AppError(ERROR_MESSAGES.BOOKING_NOT_FOUND, STATUS_CODES.NOT_FOUND);
     }
+
+    return booking;
+  }
+
+  // Front desk: guest arrives. Allowed from the check-in date until check-out.
+  async checkIn(bookingId, options = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const booking = await this.findBookingForUpdate(bookingId, transaction, options);
+      bookingStateService.assertTransition(booking, 'checked_in');
+
+      const today = Helpers.today();
+      if (today < Helpers.toDateOnly(booking.checkInDate) || today >= Helpers.toDateOnly(booking.checkOutDate)) {
+        throw new AppError(
+          `Check-in is only possible from ${Helpers.toDateOnly(booking.checkInDate)} until ${Helpers.toDateOnly(booking.checkOutDate)}`,
+          STATUS_CODES.CONFLICT
+        );
+      }
+
+      return await bookingStateService.transition(booking, 'checked_in', {}, { transaction });
+    });
+  }
+
+  // Front desk: guest leaves. Nights from today on are released, so an early
+  // departure frees the rest of the stay, and the rooms go to housekeeping
+  // as dirty.
+  async checkOut(bookingId, options = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const booking = await this.findBookingForUpdate(bookingId, transaction, options);
+
+      await bookingStateService.transition(booking, 'completed', {}, { transaction });
+      const releasedNights = await this.releaseRoomNightsFrom(booking.bookingId, Helpers.today(), { transaction });
+      await housekeepingService.markDirty(await this.getBookingRooms(booking, { transaction }), { transaction });
+
+      return { booking, releasedNights };
+    });
+  }
+
+  // Front desk: guest never arrived. Only once the check-in date has come;
+  // every night from today on goes back into inventory.
+  async markNoShow(bookingId, options = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const booking = await this.findBookingForUpdate(bookingId, transaction, options);
+      bookingStateService.assertTransition(booking, 'no_show');
+
+      if (Helpers.today() < Helpers.toDateOnly(booking.checkInDate)) {
+        throw new AppError('Cannot mark a no-show before the check-in date', STATUS_CODES.CONFLICT);
+      }
+
+      await bookingStateService.transition(booking, 'no_show', {}, { transaction });
+      const releasedNights = await this.releaseRoomNightsFrom(booking.bookingId, Helpers.today(), { transaction });
+
+      return { booking, releasedNights };
+    });
+  }
+
+  async findHold(holdToken, options = {}) {
+    const hold = await Booking.findOne({
+      where: { holdToken, ...this.propertyScope(options.propertyId) },
+      lock: options.transaction ? options.transaction.LOCK.UPDATE : undefined,
+      transaction: options.transaction
+    });
+
+    if (!hold) {
+      throw new AppError(ERROR_MESSAGES.HOLD_NOT_FOUND, STATUS_CODES.NOT_FOUND);
+    }
+
+    return hold;
+  }
+
+  // Turn an active hold into a confirmed booking, keeping its rooms. Guest
+  // details and special requests may be supplied at confirmation.
+  async confirmHold(holdToken, details = {}, options = {}) {
+    const result = await sequelize.transaction(async (transaction) => {
+      const hold = await this.findHold(holdToken, { propertyId: options.propertyId, transaction });
+
+      if (hold.status !== 'pending') {
+        throw new AppError(ERROR_MESSAGES.HOLD_NOT_ACTIVE, STATUS_CODES.CONFLICT);
+      }
+
+      if (hold.holdExpiresAt < new Date()) {
+        await this.expireHold(hold, { transaction });
+        return { expired: true };
+      }
+
+      const changes = { holdExpiresAt: null };
+      const guest = await guestService.resolveGuest(details, { transaction });
+      if (guest) changes.guestId = guest.guestId;
+      if (details.specialRequests) changes.specialRequests = details.specialRequests;
+
+      await bookingStateService.transition(hold, 'confirmed', changes, { transaction });
+      await hold.reload({ include: [{ model: Guest, as: 'guest' }], transaction });
+
+      return { booking: hold };
+    });
+
+    // Raised outside the transaction so the expiry above is committed
+    if (result.expired) {
+      throw new AppError(ERROR_MESSAGES.HOLD_EXPIRED, STATUS_CODES.GONE);
+    }
+
+    return result.booking;
+  }
+
+  // Give the rooms of an active hold back before it expires
+  async releaseHold(holdToken, options = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const hold = await this.findHold(holdToken, { propertyId: options.propertyId, transaction });
+
+      if (hold.status !== 'pending') {
+        throw new AppError(ERROR_MESSAGES.HOLD_NOT_ACTIVE, STATUS_CODES.CONFLICT);
+      }
+
+      await bookingStateService.transition(hold, 'cancelled', { holdExpiresAt: null }, { transaction });
+      await this.releaseRoomNights(hold.bookingId, { transaction });
+
+      return hold;
+    });
+  }
+
+  async expireHold(hold, options = {}) {
+    await bookingStateService.transition(hold, 'expired', {}, options);
+    await this.releaseRoomNights(hold.bookingId, options);
+  }
+
+  // Expire every pending hold past its deadline; run by the hold sweeper
+  async releaseExpiredHolds() {
+    const expiredHolds = await Booking.findAll({
+      where: {
+        status: 'pending',
+        holdExpiresAt: { [Op.lt]: new Date() }
+      }
+    });
+
+    for (const hold of expiredHolds) {
+      await sequelize.transaction(async (transaction) => {
+        // Re-check under lock: the guest may have confirmed in the meantime
+        const current = await Booking.findByPk(hold.bookingId, { lock: transaction.LOCK.UPDATE, transaction });
+        if (current && current.status === 'pending') {
+          await this.expireHold(current, { transaction });
+        }
+      });
+    }
+
+    return expiredHolds.length;
+  }
+
+  // Price of a stay: base price per room per night, plus the property's
+  // weekend surcharge when checking in on a weekend day
+  calculateStayPrice(rooms, checkInDate, checkOutDate, pricing = propertyService.getPricing()) {
+    return this.calculateNightsPrice(rooms, checkInDate, checkInDate, checkOutDate, pricing);
+  }
+
+  // Price of the nights [fromDate, toDate) of rooms on a stay that checked
+  // in on checkInDate, at that stay's rate
+  calculateNightsPrice(rooms, checkInDate, fromDate, toDate, pricing = propertyService.getPricing()) {
+    const nights = Helpers.getStayNights(fromDate, toDate).length;
+
+    let totalPrice = 0;
+    rooms.forEach(room => {
+      totalPrice += this.calculateNightlyPrice(room, checkInDate, pricing) * nights;
+    });
+
+    return parseFloat(totalPrice.toFixed(2));
+  }
+
+  // A room's rate per night for a stay starting on checkInDate
+  calculateNightlyPrice(room, checkInDate, pricing = propertyService.getPricing()) {
+    let pricePerNight = parseFloat(room.basePrice);
+    if (pricing.weekendDays.includes(new Date(checkInDate).getDay())) {
+      pricePerNight *= 1 + pricing.weekendSurcharge;
+    }
+
+    return pricePerNight;
   }
 
   async calculateTotalPrice(optimalRooms, checkInDate, checkOutDate) {
@@ -180,9 +1277,8 @@ class BookingService {
       const booking = await Booking.findByPk(bookingId, {
         include: [
           {
-            model: User,
-            as: 'user',
-            attributes: ['name', 'email', 'phone']
+            model: Guest,
+            as: 'guest'
           }
         ]
       });
@@ -190,11 +1286,7 @@ class BookingService {
       if (!booking) return null;
 
       // Get room details
-      const rooms = await Room.findAll({
-        where: {
-          roomNumber: booking.rooms
-        }
-      });
+      const rooms = await this.getBookingRooms(booking);
 
       return {
         booking,
@@ -209,6 +1301,17 @@ class BookingService {
     }
   }
 
+  // Email the guest their confirmation. Skipped when the booking has no guest
+  // email or SMTP is not configured; never fails the booking itself.
+  async sendConfirmationEmail(bookingId) {
+    if (!emailService.isConfigured()) return false;
+
+    const summary = await this.getBookingSummary(bookingId);
+    if (!summary || !summary.booking.guest || !summary.booking.guest.email) return false;
+
+    return await emailService.sendBookingConfirmation(summary.booking, summary.booking.guest, summary.rooms);
+  }
+
   // New method to validate against PDF examples
   async testPDFExamples() {
     console.log('📋 Testing PDF Examples...');
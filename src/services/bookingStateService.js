@@ -0,0 +1,38 @@
+const AppError = require('../utils/appError');
+const {
+  BOOKING_TRANSITIONS,
+  BOOKING_STATUS_TIMESTAMPS,
+  STATUS_CODES
+} = require('../utils/constants');
+
+class BookingStateService {
+  canTransition(fromStatus, toStatus) {
+    return (BOOKING_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  assertTransition(booking, toStatus) {
+    if (!this.canTransition(booking.status, toStatus)) {
+      throw new AppError(
+        `Cannot move a ${booking.status} booking to ${toStatus}`,
+        STATUS_CODES.CONFLICT,
+        { from: booking.status, to: toStatus, allowed: BOOKING_TRANSITIONS[booking.status] || [] }
+      );
+    }
+  }
+
+  // Move a booking to a new status, stamping the matching timestamp and
+  // saving any extra attribute changes in the same update
+  async transition(booking, toStatus, changes = {}, options = {}) {
+    this.assertTransition(booking, toStatus);
+
+    const update = { ...changes, status: toStatus };
+    const timestampField = BOOKING_STATUS_TIMESTAMPS[toStatus];
+    if (timestampField) {
+      update[timestampField] = new Date();
+    }
+
+    return await booking.update(update, { transaction: options.transaction });
+  }
+}
+
+module.exports = new BookingStateService();
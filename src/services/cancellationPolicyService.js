@@ -0,0 +1,63 @@
+const bookingStateService = require('./bookingStateService');
+const Helpers = require('../utils/helpers');
+const AppError = require('../utils/appError');
+const { BOOKING_RULES, ERROR_MESSAGES, STATUS_CODES } = require('../utils/constants');
+
+class CancellationPolicyService {
+  // Check-in moment of a booking: check-in date at the hotel's check-in time
+  getCheckInTime(booking) {
+    return new Date(`${Helpers.toDateOnly(booking.checkInDate)}T${BOOKING_RULES.CHECK_IN_TIME}:00`);
+  }
+
+  // Decide how a booking may be cancelled right now and what it costs.
+  // Free up to CANCELLATION_HOURS before check-in; inside that window the
+  // first LATE_CANCELLATION_PENALTY_NIGHTS nights are charged; after check-in
+  // time the booking can no longer be cancelled.
+  evaluate(booking, now = new Date()) {
+    bookingStateService.assertTransition(booking, 'cancelled');
+
+    const totalPrice = parseFloat(booking.totalPrice);
+    const amountPaid = booking.paymentStatus === 'paid' ? totalPrice : 0;
+    const checkInTime = this.getCheckInTime(booking);
+    const freeUntil = new Date(checkInTime.getTime() - BOOKING_RULES.CANCELLATION_HOURS * 60 * 60 * 1000);
+    const hoursBeforeCheckIn = (checkInTime - now) / (60 * 60 * 1000);
+
+    // An unconfirmed hold has nothing to charge or refund
+    if (booking.status === 'pending') {
+      return this.buildPolicy('hold_release', 0, amountPaid, hoursBeforeCheckIn, freeUntil, booking.paymentStatus);
+    }
+
+    if (hoursBeforeCheckIn <= 0) {
+      throw new AppError(ERROR_MESSAGES.CANCELLATION_DEADLINE, STATUS_CODES.CONFLICT);
+    }
+
+    let penalty = 0;
+    let type = 'free';
+
+    if (now > freeUntil) {
+      const nights = Helpers.getStayNights(booking.checkInDate, booking.checkOutDate).length;
+      const penaltyNights = Math.min(BOOKING_RULES.LATE_CANCELLATION_PENALTY_NIGHTS, nights);
+      penalty = parseFloat((totalPrice / nights * penaltyNights).toFixed(2));
+      type = 'late';
+    }
+
+    return this.buildPolicy(type, penalty, amountPaid, hoursBeforeCheckIn, freeUntil, booking.paymentStatus);
+  }
+
+  buildPolicy(type, penalty, amountPaid, hoursBeforeCheckIn, freeUntil, paymentStatus) {
+    const refundAmount = parseFloat(Math.max(amountPaid - penalty, 0).toFixed(2));
+
+    return {
+      type,
+      freeCancellationHours: BOOKING_RULES.CANCELLATION_HOURS,
+      freeCancellationUntil: freeUntil.toISOString(),
+      hoursBeforeCheckIn: parseFloat(hoursBeforeCheckIn.toFixed(1)),
+      cancellationFee: penalty,
+      amountPaid,
+      refundAmount,
+      paymentStatus: refundAmount > 0 ? 'refunded' : paymentStatus
+    };
+  }
+}
+
+module.exports = new CancellationPolicyService();
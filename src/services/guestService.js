@@ -0,0 +1,111 @@
+const { Op } = require('sequelize');
+const { GuestPostgres, BookingPostgres } = require('../models');
+const AppError = require('../utils/appError');
+const { ERROR_MESSAGES, STATUS_CODES } = require('../utils/constants');
+
+const Guest = GuestPostgres;
+const Booking = BookingPostgres;
+
+class GuestService {
+  async getGuest(guestId, options = {}) {
+    const guest = await Guest.findByPk(guestId, {
+      include: options.withBookings
+        ? [{ model: Booking, as: 'bookings' }]
+        : [],
+      order: options.withBookings ? [[{ model: Booking, as: 'bookings' }, 'checkInDate', 'DESC']] : undefined,
+      transaction: options.transaction
+    });
+
+    if (!guest) {
+      throw new AppError(ERROR_MESSAGES.GUEST_NOT_FOUND, STATUS_CODES.NOT_FOUND);
+    }
+
+    return guest;
+  }
+
+  async createGuest(details, options = {}) {
+    if (details.email) {
+      const existing = await Guest.findOne({ where: { email: details.email }, transaction: options.transaction });
+      if (existing) {
+        throw new AppError(ERROR_MESSAGES.GUEST_EXISTS, STATUS_CODES.CONFLICT);
+      }
+    }
+
+    return await Guest.create(details, { transaction: options.transaction });
+  }
+
+  async updateGuest(guestId, changes) {
+    const guest = await this.getGuest(guestId);
+
+    if (changes.email && changes.email !== guest.email) {
+      const existing = await Guest.findOne({ where: { email: changes.email } });
+      if (existing) {
+        throw new AppError(ERROR_MESSAGES.GUEST_EXISTS, STATUS_CODES.CONFLICT);
+      }
+    }
+
+    return await guest.update(changes);
+  }
+
+  // Front-desk lookup: free text matches name, email, phone or document
+  // number; the specific filters narrow further.
+  async searchGuests({ q, email, phone, documentNumber, limit = 20 }) {
+    const where = {};
+
+    if (q) {
+      const term = `%${q}%`;
+      const [first, ...rest] = q.split(/\s+/);
+
+      where[Op.or] = [
+        { firstName: { [Op.iLike]: term } },
+        { lastName: { [Op.iLike]: term } },
+        { email: { [Op.iLike]: term } },
+        { phone: { [Op.iLike]: term } },
+        { documentNumber: { [Op.iLike]: term } }
+      ];
+
+      // "Jane Doe" should find first name Jane, last name Doe
+      if (rest.length > 0) {
+        where[Op.or].push({
+          firstName: { [Op.iLike]: `%${first}%` },
+          lastName: { [Op.iLike]: `%${rest.join(' ')}%` }
+        });
+      }
+    }
+
+    if (email) where.email = email;
+    if (phone) where.phone = phone;
+    if (documentNumber) where.documentNumber = documentNumber;
+
+    return await Guest.findAll({
+      where,
+      order: [['lastName', 'ASC'], ['firstName', 'ASC']],
+      limit
+    });
+  }
+
+  // Resolve the guest for a booking request: an existing guestId, or inline
+  // details. Inline details with a known email link the booking to that guest
+  // without touching the stored profile, which only guest updates may change.
+  // Returns null when the request names no guest.
+  async resolveGuest({ guest, guestId } = {}, options = {}) {
+    if (guestId) {
+      return await this.getGuest(guestId, options);
+    }
+
+    if (!guest) {
+      return null;
+    }
+
+    if (guest.email) {
+      const existing = await Guest.findOne({ where: { email: guest.email }, transaction: options.transaction });
+      if (existing) {
+        return existing;
+      }
+    }
+
+    return await Guest.create(guest, { transaction: options.transaction });
+  }
+}
+
+module.exports = new GuestService();
@@ -0,0 +1,39 @@
+const bookingService = require('./bookingService');
+const { BOOKING_RULES } = require('../utils/constants');
+
+let sweepTimer = null;
+
+// Release the rooms of holds that were never confirmed
+const sweep = async () => {
+  try {
+    const released = await bookingService.releaseExpiredHolds();
+    if (released > 0) {
+      console.log(`🧹 Released ${released} expired room hold(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Hold sweeper error:', error.message);
+  }
+};
+
+const start = () => {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(sweep, BOOKING_RULES.HOLD_SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  sweep();
+
+  console.log(`⏱️ Hold sweeper running every ${BOOKING_RULES.HOLD_SWEEP_INTERVAL_MS / 1000}s`);
+};
+
+const stop = () => {
+  if (!sweepTimer) return;
+
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  start,
+  stop,
+  sweep
+};
@@ -0,0 +1,159 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { RoomPostgres, RoomNightPostgres, BookingPostgres } = require('../models');
+const roomBlockService = require('./roomBlockService');
+const Helpers = require('../utils/helpers');
+const AppError = require('../utils/appError');
+const {
+  HOUSEKEEPING_STATUSES,
+  HOUSEKEEPING_TRANSITIONS,
+  ERROR_MESSAGES,
+  STATUS_CODES
+} = require('../utils/constants');
+
+const Room = RoomPostgres;
+const RoomNight = RoomNightPostgres;
+const Booking = BookingPostgres;
+
+// Zero count per housekeeping status
+const emptySummary = () => Object.fromEntries(HOUSEKEEPING_STATUSES.map(status => [status, 0]));
+
+class HousekeepingService {
+  canTransition(fromStatus, toStatus) {
+    return (HOUSEKEEPING_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  assertTransition(room, toStatus) {
+    if (!this.canTransition(room.housekeepingStatus, toStatus)) {
+      throw new AppError(
+        `Cannot move room ${room.roomNumber} from ${room.housekeepingStatus} to ${toStatus}`,
+        STATUS_CODES.CONFLICT,
+        { from: room.housekeepingStatus, to: toStatus, allowed: HOUSEKEEPING_TRANSITIONS[room.housekeepingStatus] || [] }
+      );
+    }
+  }
+
+  // Staff update of one room of the property
+  async setStatus(property, roomNumber, status) {
+    return await sequelize.transaction(async (transaction) => {
+      const room = await Room.findOne({
+        where: { roomNumber, propertyId: property.propertyId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!room) {
+        throw new AppError(ERROR_MESSAGES.ROOM_NOT_FOUND, STATUS_CODES.NOT_FOUND);
+      }
+
+      this.assertTransition(room, status);
+
+      return await room.update({
+        housekeepingStatus: status,
+        housekeepingUpdatedAt: new Date()
+      }, { transaction });
+    });
+  }
+
+  // Move a locked room forward along path (housekeeping statuses in order)
+  // up to status, one checked transition at a time. A room off the path, or
+  // already at or past status, is left alone.
+  async advanceStatus(room, path, status, options = {}) {
+    const from = path.indexOf(room.housekeepingStatus);
+    const to = path.indexOf(status);
+    if (from === -1 || from >= to) return room;
+
+    for (const next of path.slice(from + 1, to + 1)) {
+      this.assertTransition(room, next);
+      await room.update({
+        housekeepingStatus: next,
+        housekeepingUpdatedAt: new Date()
+      }, { transaction: options.transaction });
+    }
+
+    return room;
+  }
+
+  // Rooms a guest has just left need cleaning, whatever their state was
+  async markDirty(rooms, options = {}) {
+    if (rooms.length === 0) return 0;
+
+    const [updated] = await Room.update({
+      housekeepingStatus: 'dirty',
+      housekeepingUpdatedAt: new Date()
+    }, {
+      where: { roomId: rooms.map(room => room.roomId) },
+      transaction: options.transaction
+    });
+
+    return updated;
+  }
+
+  // Every room of the property grouped by floor, with its housekeeping
+  // status and what the front desk expects of it today: occupied tonight,
+  // out of order, a guest arriving or one still due to leave
+  async getBoard(property) {
+    const scope = { propertyId: property.propertyId };
+    const today = Helpers.today();
+
+    const rooms = await Room.findAll({
+      where: scope,
+      order: [['floor', 'ASC'], ['position', 'ASC']]
+    });
+
+    const occupiedRoomIds = new Set(
+      (await RoomNight.findAll({
+        attributes: ['roomId'],
+        where: { roomId: rooms.map(room => room.roomId), stayDate: today }
+      })).map(night => night.roomId)
+    );
+    const blockedRoomIds = new Set(
+      await roomBlockService.getBlockedRoomIds(today, Helpers.addDays(today, 1), scope)
+    );
+
+    const bookings = await Booking.findAll({
+      attributes: ['rooms', 'status', 'checkInDate', 'checkOutDate'],
+      where: {
+        ...scope,
+        [Op.or]: [
+          { checkInDate: today, status: ['pending', 'confirmed'] },
+          { checkOutDate: today, status: 'checked_in' }
+        ]
+      }
+    });
+    const arrivals = new Set();
+    const departures = new Set();
+    bookings.forEach(booking => {
+      const target = Helpers.toDateOnly(booking.checkInDate) === today ? arrivals : departures;
+      (booking.rooms || []).forEach(roomNumber => target.add(roomNumber));
+    });
+
+    const summary = emptySummary();
+    const floors = [];
+    rooms.forEach(room => {
+      let floor = floors[floors.length - 1];
+      if (!floor || floor.floor !== room.floor) {
+        floor = { floor: room.floor, summary: emptySummary(), rooms: [] };
+        floors.push(floor);
+      }
+
+      summary[room.housekeepingStatus]++;
+      floor.summary[room.housekeepingStatus]++;
+      floor.rooms.push({
+        roomNumber: room.roomNumber,
+        position: room.position,
+        roomType: room.roomType,
+        housekeepingStatus: room.housekeepingStatus,
+        housekeepingUpdatedAt: room.housekeepingUpdatedAt,
+        occupied: occupiedRoomIds.has(room.roomId),
+        outOfOrder: blockedRoomIds.has(room.roomId),
+        arrival: arrivals.has(room.roomNumber),
+        departure: departures.has(room.roomNumber)
+      });
+    });
+
+    return { date: today, totalRooms: rooms.length, summary, floors };
+  }
+}
+
+module.exports = new HousekeepingService();
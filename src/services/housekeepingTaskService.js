@@ -0,0 +1,227 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { RoomPostgres, BookingPostgres, HousekeepingTaskPostgres } = require('../models');
+const algorithmService = require('./algorithmService');
+const propertyService = require('./propertyService');
+const housekeepingService = require('./housekeepingService');
+const Helpers = require('../utils/helpers');
+const AppError = require('../utils/appError');
+const {
+  HOUSEKEEPING_TASK_MINUTES,
+  HOUSEKEEPING_TASK_TRANSITIONS,
+  ERROR_MESSAGES,
+  STATUS_CODES
+} = require('../utils/constants');
+
+const Room = RoomPostgres;
+const Booking = BookingPostgres;
+const HousekeepingTask = HousekeepingTaskPostgres;
+
+const roomAttributes = ['roomId', 'roomNumber', 'floor', 'position'];
+
+// Housekeeping status a departure room moves to as its clean progresses,
+// stepping through CLEANING_PATH (see housekeepingService.advanceStatus).
+// Only dirty or cleaning rooms follow; a room already inspected or clean
+// is left alone.
+const CLEANING_PATH = ['dirty', 'cleaning', 'inspected'];
+const ROOM_STATUS_FOR_TASK = {
+  in_progress: 'cleaning',
+  done: 'inspected'
+};
+
+class HousekeepingTaskService {
+  canTransition(fromStatus, toStatus) {
+    return (HOUSEKEEPING_TASK_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  assertTransition(task, toStatus) {
+    if (!this.canTransition(task.status, toStatus)) {
+      throw new AppError(
+        `Cannot move a ${task.status} task to ${toStatus}`,
+        STATUS_CODES.CONFLICT,
+        { from: task.status, to: toStatus, allowed: HOUSEKEEPING_TASK_TRANSITIONS[task.status] || [] }
+      );
+    }
+  }
+
+  // The rooms that need service on a date: departures (stays ending that
+  // day, checked out or not) and stayovers (stays running through it). A
+  // room with both a departure and an arrival gets one departure clean.
+  async findWork(property, date, options = {}) {
+    const bookings = await Booking.findAll({
+      attributes: ['bookingId', 'rooms', 'checkInDate', 'checkOutDate'],
+      where: {
+        propertyId: property.propertyId,
+        [Op.or]: [
+          { checkOutDate: date, status: ['confirmed', 'checked_in', 'completed'] },
+          { checkInDate: { [Op.lt]: date }, checkOutDate: { [Op.gt]: date }, status: ['confirmed', 'checked_in'] }
+        ]
+      },
+      transaction: options.transaction
+    });
+
+    const work = new Map();
+    bookings.forEach(booking => {
+      const type = Helpers.toDateOnly(booking.checkOutDate) === date ? 'departure' : 'stayover';
+      (booking.rooms || []).forEach(roomNumber => {
+        if (work.has(roomNumber) && work.get(roomNumber).type === 'departure') return;
+        work.set(roomNumber, { type, bookingId: booking.bookingId });
+      });
+    });
+
+    const rooms = await Room.findAll({
+      where: { propertyId: property.propertyId, roomNumber: [...work.keys()] },
+      transaction: options.transaction
+    });
+
+    return rooms.map(room => ({ room, ...work.get(room.roomNumber) }));
+  }
+
+  // Build the day's task list and share the pending tasks out between the
+  // attendants. Each attendant gets one stretch of the building's route
+  // (floor by floor, along the corridor), with the estimated minutes as
+  // even as the stretches allow. Running it again picks up new departures
+  // and stayovers, drops pending tasks that are no longer needed and
+  // reassigns whatever has not been started; started and finished tasks
+  // keep their attendant.
+  async generateTasks(property, { date, attendants }) {
+    const taskDate = date ? Helpers.toDateOnly(date) : Helpers.today();
+
+    return await sequelize.transaction(async (transaction) => {
+      const scope = { propertyId: property.propertyId, taskDate };
+      const work = await this.findWork(property, taskDate, { transaction });
+      const existing = await HousekeepingTask.findAll({ where: scope, lock: transaction.LOCK.UPDATE, transaction });
+      const existingByRoom = new Map(existing.map(task => [task.roomId, task]));
+      const needed = new Set(work.map(({ room }) => room.roomId));
+
+      const obsolete = existing.filter(task => task.status === 'pending' && !needed.has(task.roomId));
+      if (obsolete.length > 0) {
+        await HousekeepingTask.destroy({ where: { taskId: obsolete.map(task => task.taskId) }, transaction });
+      }
+
+      for (const { room, type, bookingId } of work) {
+        const task = existingByRoom.get(room.roomId);
+        if (!task) {
+          await HousekeepingTask.create({
+            ...scope,
+            roomId: room.roomId,
+            bookingId,
+            type,
+            estimatedMinutes: HOUSEKEEPING_TASK_MINUTES[type]
+          }, { transaction });
+        } else if (task.status === 'pending' && task.type !== type) {
+          await task.update({ type, bookingId, estimatedMinutes: HOUSEKEEPING_TASK_MINUTES[type] }, { transaction });
+        }
+      }
+
+      const pending = await HousekeepingTask.findAll({
+        where: { ...scope, status: 'pending' },
+        include: [{ model: Room, as: 'room', attributes: roomAttributes }],
+        transaction
+      });
+
+      const costModel = propertyService.getTravelCost(property);
+      const stops = pending.map(task => ({ floor: task.room.floor, position: task.room.position, task }));
+      const runs = algorithmService.splitRoute(stops, attendants.length, stop => stop.task.estimatedMinutes, costModel);
+
+      for (const [index, run] of runs.entries()) {
+        for (const [sequence, { task }] of run.entries()) {
+          await task.update({ attendant: attendants[index], sequence: sequence + 1 }, { transaction });
+        }
+      }
+
+      const tasks = await this.listTasks(property, { date: taskDate }, { transaction });
+
+      return {
+        date: taskDate,
+        totalTasks: tasks.length,
+        estimatedMinutes: tasks.reduce((sum, task) => sum + task.estimatedMinutes, 0),
+        assignments: this.summarizeByAttendant(tasks, attendants, costModel)
+      };
+    });
+  }
+
+  // Tasks of one day (default today), in each attendant's route order
+  async listTasks(property, query = {}, options = {}) {
+    const where = {
+      propertyId: property.propertyId,
+      taskDate: query.date ? Helpers.toDateOnly(query.date) : Helpers.today()
+    };
+    if (query.attendant) where.attendant = query.attendant;
+    if (query.status) where.status = query.status;
+
+    const tasks = await HousekeepingTask.findAll({
+      where,
+      include: [{ model: Room, as: 'room', attributes: roomAttributes }],
+      order: [['attendant', 'ASC'], ['sequence', 'ASC'], [{ model: Room, as: 'room' }, 'roomNumber', 'ASC']],
+      transaction: options.transaction
+    });
+
+    return tasks.map(task => this.toTaskJSON(task));
+  }
+
+  // A task with the minutes it actually took, once started and finished
+  toTaskJSON(task) {
+    const data = task.toJSON();
+    data.actualMinutes = task.startedAt && task.completedAt
+      ? Math.round((new Date(task.completedAt) - new Date(task.startedAt)) / 60000)
+      : null;
+    return data;
+  }
+
+  // Per-attendant workload: their rooms in route order, the estimated
+  // minutes and the walking time under the property's cost model
+  summarizeByAttendant(tasks, attendants, costModel) {
+    return attendants.map(attendant => {
+      const own = tasks.filter(task => task.attendant === attendant);
+      const rooms = algorithmService.sortByRoute(own.map(task => task.room));
+
+      return {
+        attendant,
+        tasks: own.length,
+        rooms: rooms.map(room => room.roomNumber),
+        floors: [...new Set(rooms.map(room => room.floor))],
+        estimatedMinutes: own.reduce((sum, task) => sum + task.estimatedMinutes, 0),
+        travelTime: algorithmService.calculateTravelTime(rooms, costModel),
+        done: own.filter(task => task.status === 'done').length
+      };
+    });
+  }
+
+  // Attendant progress: start or finish a task (or put a started task back).
+  // Start and completion times are recorded, and a departure clean moves
+  // its room's housekeeping status along.
+  async updateTask(property, taskId, status) {
+    return await sequelize.transaction(async (transaction) => {
+      const task = await HousekeepingTask.findOne({
+        where: { taskId, propertyId: property.propertyId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!task) {
+        throw new AppError(ERROR_MESSAGES.TASK_NOT_FOUND, STATUS_CODES.NOT_FOUND);
+      }
+
+      this.assertTransition(task, status);
+
+      const update = { status };
+      if (status === 'in_progress') update.startedAt = new Date();
+      if (status === 'done') update.completedAt = new Date();
+      if (status === 'pending') update.startedAt = null;
+      await task.update(update, { transaction });
+
+      const roomStatus = ROOM_STATUS_FOR_TASK[status];
+      if (task.type === 'departure' && roomStatus) {
+        const room = await Room.findByPk(task.roomId, { lock: transaction.LOCK.UPDATE, transaction });
+        await housekeepingService.advanceStatus(room, CLEANING_PATH, roomStatus, { transaction });
+      }
+
+      await task.reload({ include: [{ model: Room, as: 'room', attributes: roomAttributes }], transaction });
+
+      return this.toTaskJSON(task);
+    });
+  }
+}
+
+module.exports = new HousekeepingTaskService();
@@ -0,0 +1,560 @@
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  RoomPostgres,
+  RoomNightPostgres,
+  RoomBlockPostgres,
+  HousekeepingTaskPostgres,
+  MaintenanceTicketPostgres,
+  BookingPostgres,
+  PropertyPostgres
+} = require('../models');
+const Helpers = require('../utils/helpers');
+const AppError = require('../utils/appError');
+const {
+  ROOM_ATTRIBUTE_DEFAULTS,
+  LAYOUT_ROOM_COLUMNS,
+  LAYOUT_LIST_COLUMNS,
+  ERROR_MESSAGES,
+  STATUS_CODES
+} = require('../utils/constants');
+const { layoutSchema, layoutRoomListSchema } = require('../validators/layoutValidator');
+
+const Room = RoomPostgres;
+const RoomNight = RoomNightPostgres;
+const RoomBlock = RoomBlockPostgres;
+const HousekeepingTask = HousekeepingTaskPostgres;
+const MaintenanceTicket = MaintenanceTicketPostgres;
+const Booking = BookingPostgres;
+const Property = PropertyPostgres;
+
+const DEFAULT_LAYOUT_PATH = path.join(__dirname, '../config/hotelLayout.json');
+
+// Validated layouts, so allocation does not re-read and re-validate them on
+// every request: the layout file by path, each property's own layout by
+// property id together with the updatedAt it was resolved at
+const resolvedLayouts = new Map();
+
+// Each building is described once, declaratively: a property's own layout,
+// or the layout file (HOTEL_LAYOUT_PATH, default src/config/hotelLayout.json).
+// Every seeding path builds its rooms from here.
+class LayoutService {
+  getLayoutPath() {
+    return process.env.HOTEL_LAYOUT_PATH || DEFAULT_LAYOUT_PATH;
+  }
+
+  loadLayout(filePath = this.getLayoutPath()) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new AppError(`Cannot read hotel layout ${filePath}: ${error.message}`, STATUS_CODES.SERVER_ERROR);
+    }
+
+    return this.validateLayout(raw);
+  }
+
+  // Schema check plus the rules a schema cannot express: unique room
+  // numbers, unique positions per floor and a price for every room.
+  // Returns the normalized layout.
+  validateLayout(layout) {
+    const { error, value } = layoutSchema.validate(layout, { abortEarly: false });
+
+    const errors = error
+      ? error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+      : [];
+
+    if (errors.length === 0) {
+      const seenNumbers = new Set();
+
+      value.floors.forEach((floor, floorIndex) => {
+        const seenPositions = new Set();
+
+        this.expandFloor(value, floor).forEach((room, roomIndex) => {
+          const field = `floors.${floorIndex}.rooms.${roomIndex}`;
+
+          if (seenPositions.has(room.position)) {
+            errors.push({ field, message: `Position ${room.position} is used twice on floor ${floor.floor}` });
+          }
+          if (seenNumbers.has(room.roomNumber)) {
+            errors.push({ field, message: `Room number ${room.roomNumber} is used twice` });
+          }
+          if (room.basePrice === undefined) {
+            errors.push({ field, message: `No base price for room type ${room.roomType}` });
+          }
+
+          seenPositions.add(room.position);
+          seenNumbers.add(room.roomNumber);
+        });
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new AppError(ERROR_MESSAGES.INVALID_LAYOUT, STATUS_CODES.BAD_REQUEST, errors);
+    }
+
+    return value;
+  }
+
+  // Rooms of one floor. A count is numbered floor * floorMultiplier +
+  // position; listed rooms may carry their own number, type, price and
+  // attributes. Price and attributes fall back to the floor, then the room
+  // type, then the defaults.
+  expandFloor(layout, floor) {
+    const { floorMultiplier, firstPosition } = layout.numbering;
+    const rooms = Array.isArray(floor.rooms)
+      ? floor.rooms
+      : Array.from({ length: floor.rooms }, (_, index) => ({ position: firstPosition + index }));
+
+    return rooms.map(room => {
+      const roomType = room.roomType || floor.roomType;
+      const typeDefaults = layout.roomTypes[roomType] || {};
+
+      const expanded = {
+        roomNumber: room.roomNumber || floor.floor * floorMultiplier + room.position,
+        floor: floor.floor,
+        position: room.position,
+        roomType,
+        basePrice: room.basePrice ?? floor.basePrice ?? typeDefaults.basePrice
+      };
+
+      Object.keys(ROOM_ATTRIBUTE_DEFAULTS).forEach(attribute => {
+        expanded[attribute] = room[attribute] ?? floor[attribute] ?? typeDefaults[attribute] ?? ROOM_ATTRIBUTE_DEFAULTS[attribute];
+      });
+
+      return expanded;
+    });
+  }
+
+  buildRooms(layout) {
+    return layout.floors.flatMap(floor => this.expandFloor(layout, floor));
+  }
+
+  summarize(rooms) {
+    const roomsPerFloor = {};
+    rooms.forEach(room => {
+      roomsPerFloor[room.floor] = (roomsPerFloor[room.floor] || 0) + 1;
+    });
+
+    return {
+      totalRooms: rooms.length,
+      totalFloors: Object.keys(roomsPerFloor).length,
+      roomsPerFloor
+    };
+  }
+
+  // Lifts and staircases per floor ({ floor: [{ type, position }] }): a
+  // floor's own, or the building-wide ones. Floors without any are left out.
+  getTransport(layout) {
+    const transport = {};
+    layout.floors.forEach(floor => {
+      const cores = floor.transport || layout.transport || [];
+      if (cores.length > 0) transport[floor.floor] = cores;
+    });
+
+    return transport;
+  }
+
+  // The layout a property is built from: its own, or the layout file.
+  // Resolved once and cached; a property's entry is dropped by
+  // clearLayoutCache and ignored once the property has changed since.
+  getPropertyLayout(property) {
+    if (!property || !property.layout) {
+      const filePath = this.getLayoutPath();
+      if (!resolvedLayouts.has(filePath)) {
+        resolvedLayouts.set(filePath, { layout: this.loadLayout(filePath) });
+      }
+      return resolvedLayouts.get(filePath).layout;
+    }
+
+    const version = property.updatedAt ? new Date(property.updatedAt).getTime() : null;
+    const cached = resolvedLayouts.get(property.propertyId);
+    if (cached && cached.version === version) return cached.layout;
+
+    const layout = this.validateLayout(property.layout);
+    resolvedLayouts.set(property.propertyId, { version, layout });
+    return layout;
+  }
+
+  // Forget a property's resolved layout (after it changes)
+  clearLayoutCache(propertyId) {
+    resolvedLayouts.delete(propertyId);
+  }
+
+  // Create a property's rooms from its layout when it has none. With reset,
+  // the property's rooms and their nights, blocks, housekeeping tasks and
+  // tickets are removed first (admin/testing only), all in one transaction;
+  // rooms still booked from tonight on are reported as conflicts instead,
+  // as in importLayout. Other properties are never touched.
+  async seedRooms({ property, reset = false, layout } = {}) {
+    if (!property) {
+      throw new AppError('A property is required to seed rooms', STATUS_CODES.SERVER_ERROR);
+    }
+
+    // Load (and validate) before touching anything, so a bad layout
+    // never leaves the hotel without rooms
+    const plan = this.buildRooms(layout || this.getPropertyLayout(property));
+    const scope = { propertyId: property.propertyId };
+
+    return await sequelize.transaction(async (transaction) => {
+      // Serialize seeding and imports into the same property
+      await Property.findByPk(property.propertyId, { lock: transaction.LOCK.UPDATE, transaction });
+
+      if (reset) {
+        const current = await Room.findAll({ attributes: ['roomId', 'roomNumber'], where: scope, transaction });
+        const conflicts = await this.findRoomConflicts(current, { transaction });
+        if (conflicts.length > 0) {
+          throw new AppError(ERROR_MESSAGES.RESEED_CONFLICT, STATUS_CODES.CONFLICT, conflicts);
+        }
+
+        const roomIds = current.map(room => room.roomId);
+        if (roomIds.length > 0) {
+          await RoomNight.destroy({ where: { roomId: roomIds }, transaction });
+          await RoomBlock.destroy({ where: { roomId: roomIds }, transaction });
+          await HousekeepingTask.destroy({ where: { roomId: roomIds }, transaction });
+          await MaintenanceTicket.destroy({ where: { roomId: roomIds }, transaction });
+        }
+        await Room.destroy({ where: scope, transaction });
+      } else {
+        const existing = await Room.count({ where: scope, transaction });
+        if (existing > 0) {
+          return { created: 0, totalRooms: existing, rooms: [] };
+        }
+      }
+
+      const rooms = plan.map(room => ({
+        ...room,
+        propertyId: property.propertyId,
+        status: 'not-booked'
+      }));
+
+      await Room.bulkCreate(rooms, { transaction });
+
+      return { created: rooms.length, totalRooms: rooms.length, rooms };
+    });
+  }
+
+  // Normalize an import to { name, numbering, rooms, warnings }, plus the
+  // lifts and staircases (transport) of a floors layout. Accepts CSV text
+  // (one room per line), a flat room list ({ rooms: [...] } or a bare
+  // array) or a declarative floors layout. Numbering defaults to the
+  // property's current scheme.
+  parseImport(body, numbering) {
+    if (typeof body === 'string') {
+      // Empty cells mean "not given", so defaults apply; list cells are
+      // semicolon-separated
+      const rooms = Helpers.parseCsv(body).map(row => Object.fromEntries(
+        Object.entries(row)
+          .filter(([, value]) => value !== '')
+          .map(([column, value]) => [
+            column,
+            LAYOUT_LIST_COLUMNS.includes(column) ? value.split(';').map(item => item.trim()).filter(Boolean) : value
+          ])
+      ));
+      return this.validateRoomList({ numbering, rooms }, { csv: true });
+    }
+
+    if (Array.isArray(body)) {
+      return this.validateRoomList({ numbering, rooms: body });
+    }
+
+    if (body && body.floors) {
+      const layout = this.validateLayout({ numbering, ...body });
+      return {
+        ...this.validateRoomList({ name: layout.name, numbering: layout.numbering, rooms: this.buildRooms(layout) }),
+        transport: this.getTransport(layout)
+      };
+    }
+
+    return this.validateRoomList({ numbering, ...body });
+  }
+
+  // Check a flat room list. Duplicate room numbers, two rooms in one spot
+  // and positions the numbering scheme cannot express are errors; floors or
+  // positions left empty inside the building are reported as warnings, since
+  // a corridor may well have a stairwell where a room would be.
+  validateRoomList(input, { csv = false } = {}) {
+    const { error, value } = layoutRoomListSchema.validate(input, { abortEarly: false });
+
+    // CSV errors point at the line in the file (line 1 is the header)
+    const fieldFor = (index, column) => (csv ? `line ${index + 2}.${column}` : `rooms.${index}.${column}`);
+
+    const errors = error
+      ? error.details.map(detail => {
+        const [part, index, ...rest] = detail.path;
+        const field = part === 'rooms' && index !== undefined
+          ? fieldFor(index, rest.join('.'))
+          : detail.path.join('.');
+        return { field, message: detail.message };
+      })
+      : [];
+
+    if (errors.length > 0) {
+      throw new AppError(ERROR_MESSAGES.INVALID_LAYOUT, STATUS_CODES.BAD_REQUEST, errors);
+    }
+
+    const { floorMultiplier, firstPosition } = value.numbering;
+    const seenNumbers = new Set();
+    const seenPositions = new Set();
+    const positionsByFloor = {};
+
+    value.rooms.forEach((room, index) => {
+      const spot = `${room.floor}:${room.position}`;
+
+      if (seenNumbers.has(room.roomNumber)) {
+        errors.push({ field: fieldFor(index, 'roomNumber'), message: `Room number ${room.roomNumber} is used twice` });
+      }
+      if (seenPositions.has(spot)) {
+        errors.push({ field: fieldFor(index, 'position'), message: `Position ${room.position} is used twice on floor ${room.floor}` });
+      }
+      if (room.position < firstPosition || room.position >= floorMultiplier) {
+        errors.push({
+          field: fieldFor(index, 'position'),
+          message: `Position ${room.position} is out of range (${firstPosition}-${floorMultiplier - 1})`
+        });
+      }
+
+      seenNumbers.add(room.roomNumber);
+      seenPositions.add(spot);
+      (positionsByFloor[room.floor] = positionsByFloor[room.floor] || []).push(room.position);
+    });
+
+    if (errors.length > 0) {
+      throw new AppError(ERROR_MESSAGES.INVALID_LAYOUT, STATUS_CODES.BAD_REQUEST, errors);
+    }
+
+    const warnings = [];
+    const floors = Object.keys(positionsByFloor).map(Number).sort((a, b) => a - b);
+
+    for (let floor = floors[0]; floor < floors[floors.length - 1]; floor++) {
+      if (!positionsByFloor[floor]) {
+        warnings.push({ field: `floor ${floor}`, message: `Floor ${floor} has no rooms` });
+      }
+    }
+
+    floors.forEach(floor => {
+      const taken = new Set(positionsByFloor[floor]);
+      const missing = [];
+      for (let position = firstPosition; position < Math.max(...taken); position++) {
+        if (!taken.has(position)) missing.push(position);
+      }
+
+      if (missing.length > 0) {
+        warnings.push({ field: `floor ${floor}`, message: `Floor ${floor} has no room at position ${missing.join(', ')}` });
+      }
+    });
+
+    return { name: value.name, numbering: value.numbering, rooms: value.rooms, warnings };
+  }
+
+  // Compare imported rooms with a property's rooms table, by room number.
+  // Removed rooms that still have nights from today on are conflicts.
+  async diffRooms(property, rooms, options = {}) {
+    const current = await Room.findAll({
+      where: { propertyId: property.propertyId },
+      order: [['floor', 'ASC'], ['position', 'ASC']],
+      transaction: options.transaction
+    });
+    const currentByNumber = new Map(current.map(room => [room.roomNumber, room]));
+    const importedNumbers = new Set(rooms.map(room => room.roomNumber));
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    rooms.forEach(room => {
+      const existing = currentByNumber.get(room.roomNumber);
+      if (!existing) {
+        added.push(room);
+        return;
+      }
+
+      const before = this.toRoomRow(existing);
+      const changes = {};
+      LAYOUT_ROOM_COLUMNS.forEach(column => {
+        if (JSON.stringify(before[column]) !== JSON.stringify(room[column])) {
+          changes[column] = { from: before[column], to: room[column] };
+        }
+      });
+
+      if (Object.keys(changes).length > 0) {
+        changed.push({ roomId: existing.roomId, roomNumber: room.roomNumber, changes });
+      } else {
+        unchanged++;
+      }
+    });
+
+    const removed = current.filter(room => !importedNumbers.has(room.roomNumber));
+    const conflicts = await this.findRoomConflicts(removed, options);
+
+    return {
+      summary: {
+        added: added.length,
+        changed: changed.length,
+        removed: removed.length,
+        unchanged
+      },
+      added,
+      changed,
+      removed: removed.map(room => this.toRoomRow(room)),
+      conflicts,
+      removedRoomIds: removed.map(room => room.roomId)
+    };
+  }
+
+  // Rooms that are occupied tonight or later, with the bookings holding them
+  async findRoomConflicts(rooms, options = {}) {
+    if (rooms.length === 0) return [];
+
+    const nights = await RoomNight.findAll({
+      where: {
+        roomId: rooms.map(room => room.roomId),
+        stayDate: { [Op.gte]: Helpers.today() }
+      },
+      transaction: options.transaction
+    });
+    if (nights.length === 0) return [];
+
+    const bookingIds = [...new Set(nights.map(night => night.bookingId).filter(Boolean))];
+    const bookings = await Booking.findAll({
+      attributes: ['bookingId', 'reference'],
+      where: { bookingId: bookingIds },
+      transaction: options.transaction
+    });
+    const referenceById = new Map(bookings.map(booking => [booking.bookingId, booking.reference]));
+
+    return rooms
+      .map(room => {
+        const roomNights = nights.filter(night => night.roomId === room.roomId);
+        return {
+          roomNumber: room.roomNumber,
+          nights: roomNights.length,
+          bookings: [...new Set(roomNights.map(night => referenceById.get(night.bookingId)).filter(Boolean))]
+        };
+      })
+      .filter(conflict => conflict.nights > 0);
+  }
+
+  // Replace a property's rooms with an imported layout. A dry run only
+  // reports the diff; otherwise the diff is applied in one transaction and
+  // the layout stored on the property, so a reseed rebuilds the same rooms.
+  async importLayout(property, body, { dryRun = false } = {}) {
+    const current = this.getPropertyLayout(property);
+    const { name, numbering, rooms, warnings, transport } = this.parseImport(body, current.numbering);
+
+    if (dryRun) {
+      const { removedRoomIds, ...diff } = await this.diffRooms(property, rooms);
+      return { dryRun: true, applied: false, ...diff, warnings };
+    }
+
+    const result = await sequelize.transaction(async (transaction) => {
+      // Serialize imports into the same property
+      await Property.findByPk(property.propertyId, { lock: transaction.LOCK.UPDATE, transaction });
+
+      const { removedRoomIds, ...diff } = await this.diffRooms(property, rooms, { transaction });
+
+      if (diff.conflicts.length > 0) {
+        throw new AppError(ERROR_MESSAGES.LAYOUT_CONFLICT, STATUS_CODES.CONFLICT, diff.conflicts);
+      }
+
+      if (removedRoomIds.length > 0) {
+        await RoomNight.destroy({ where: { roomId: removedRoomIds }, transaction });
+        await RoomBlock.destroy({ where: { roomId: removedRoomIds }, transaction });
+        await HousekeepingTask.destroy({ where: { roomId: removedRoomIds }, transaction });
+        await MaintenanceTicket.destroy({ where: { roomId: removedRoomIds }, transaction });
+        await Room.destroy({ where: { roomId: removedRoomIds }, transaction });
+      }
+
+      for (const { roomId, changes } of diff.changed) {
+        const update = {};
+        Object.keys(changes).forEach(column => {
+          update[column] = changes[column].to;
+        });
+        await Room.update(update, { where: { roomId }, transaction });
+      }
+
+      if (diff.added.length > 0) {
+        await Room.bulkCreate(
+          diff.added.map(room => ({ ...room, propertyId: property.propertyId, status: 'not-booked' })),
+          { transaction }
+        );
+      }
+
+      await property.update({
+        layout: this.toLayout(name || property.name, numbering, rooms, transport || this.getTransport(current))
+      }, { transaction });
+
+      return { dryRun: false, applied: true, ...diff, warnings };
+    });
+
+    this.clearLayoutCache(property.propertyId);
+
+    return result;
+  }
+
+  // A property's rooms as a flat, re-importable room list
+  async exportLayout(property) {
+    const rooms = await Room.findAll({
+      where: { propertyId: property.propertyId },
+      order: [['floor', 'ASC'], ['position', 'ASC']]
+    });
+
+    return {
+      name: property.name,
+      numbering: this.getPropertyLayout(property).numbering,
+      rooms: rooms.map(room => this.toRoomRow(room))
+    };
+  }
+
+  // A room list as CSV text, in the import column order
+  toCsv(rooms) {
+    return Helpers.toCsv(
+      rooms.map(room => {
+        const row = { ...room };
+        LAYOUT_LIST_COLUMNS.forEach(column => {
+          row[column] = (room[column] || []).join(';');
+        });
+        return row;
+      }),
+      LAYOUT_ROOM_COLUMNS
+    );
+  }
+
+  toRoomRow(room) {
+    const row = {};
+    LAYOUT_ROOM_COLUMNS.forEach(column => {
+      row[column] = room[column];
+    });
+    row.basePrice = parseFloat(room.basePrice);
+
+    return row;
+  }
+
+  // Declarative layout listing every room of a flat room list, with the
+  // lifts and staircases of each floor (a room list carries none, so an
+  // import keeps the ones already declared)
+  toLayout(name, numbering, rooms, transport = {}) {
+    const roomsByFloor = {};
+    rooms.forEach(({ floor, ...room }) => {
+      (roomsByFloor[floor] = roomsByFloor[floor] || []).push(room);
+    });
+
+    return {
+      name,
+      numbering,
+      roomTypes: {},
+      floors: Object.keys(roomsByFloor)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(floor => ({
+          floor,
+          rooms: roomsByFloor[floor].sort((a, b) => a.position - b.position),
+          ...(transport[floor] ? { transport: transport[floor] } : {})
+        }))
+    };
+  }
+}
+
+module.exports = new LayoutService();
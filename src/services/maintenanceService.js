@@ -0,0 +1,186 @@
+const { sequelize } = require('../config/database');
+const { RoomPostgres, MaintenanceTicketPostgres } = require('../models');
+const roomBlockService = require('./roomBlockService');
+const AppError = require('../utils/appError');
+const {
+  OUT_OF_ORDER_SEVERITIES,
+  MAINTENANCE_TICKET_TRANSITIONS,
+  ERROR_MESSAGES,
+  STATUS_CODES
+} = require('../utils/constants');
+
+const Room = RoomPostgres;
+const MaintenanceTicket = MaintenanceTicketPostgres;
+
+const roomAttributes = ['roomId', 'roomNumber', 'floor', 'position'];
+const withRoom = (where) => [{ model: Room, as: 'room', attributes: roomAttributes, where }];
+
+// Reason recorded on the block a ticket puts on its room
+const blockReason = (ticket) => `Maintenance ticket (${ticket.severity}): ${ticket.description}`;
+
+class MaintenanceService {
+  canTransition(fromStatus, toStatus) {
+    return (MAINTENANCE_TICKET_TRANSITIONS[fromStatus] || []).includes(toStatus);
+  }
+
+  assertTransition(ticket, toStatus) {
+    if (!this.canTransition(ticket.status, toStatus)) {
+      throw new AppError(
+        `Cannot move a ${ticket.status} ticket to ${toStatus}`,
+        STATUS_CODES.CONFLICT,
+        { from: ticket.status, to: toStatus, allowed: MAINTENANCE_TICKET_TRANSITIONS[ticket.status] || [] }
+      );
+    }
+  }
+
+  // Tickets of one property, newest first, filtered by status, severity,
+  // floor or room number
+  async listTickets(propertyId, query = {}) {
+    const where = { propertyId };
+    if (query.status) where.status = query.status;
+    if (query.severity) where.severity = query.severity;
+
+    const roomWhere = {};
+    if (query.floor) roomWhere.floor = query.floor;
+    if (query.roomNumber) roomWhere.roomNumber = query.roomNumber;
+
+    return await MaintenanceTicket.findAll({
+      where,
+      include: withRoom(Object.keys(roomWhere).length > 0 ? roomWhere : undefined),
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  // Tickets of a room that are not closed yet
+  async getOpenTickets(roomId) {
+    return await MaintenanceTicket.findAll({
+      where: { roomId, status: ['open', 'in_progress'] },
+      order: [['createdAt', 'DESC']]
+    });
+  }
+
+  // A ticket with its room. With options.lock the ticket row is locked for
+  // update instead (Postgres cannot lock across the outer join).
+  async getTicket(ticketId, options = {}) {
+    const where = { ticketId };
+    if (options.propertyId) where.propertyId = options.propertyId;
+
+    const ticket = await MaintenanceTicket.findOne({
+      where,
+      include: options.lock ? undefined : withRoom(),
+      lock: options.lock ? options.transaction.LOCK.UPDATE : undefined,
+      transaction: options.transaction
+    });
+
+    if (!ticket) {
+      throw new AppError(ERROR_MESSAGES.TICKET_NOT_FOUND, STATUS_CODES.NOT_FOUND);
+    }
+
+    return ticket;
+  }
+
+  // Put the ticket's room out of order until the ticket closes
+  async takeOutOfOrder(ticket, room, options = {}) {
+    const { block, affectedBookings } = await roomBlockService.openBlock(room, blockReason(ticket), options);
+    await ticket.update({ outOfOrder: true, blockId: block.blockId }, { transaction: options.transaction });
+    return affectedBookings;
+  }
+
+  // Return the ticket's room to inventory from today
+  async returnToService(ticket, options = {}) {
+    if (ticket.blockId) {
+      await roomBlockService.endBlock(ticket.blockId, options);
+    }
+    await ticket.update({ outOfOrder: false }, { transaction: options.transaction });
+  }
+
+  // Open a ticket against a room of the property. High and critical
+  // tickets take the room out of order unless details.outOfOrder says
+  // otherwise; bookings holding the room from today on are returned so
+  // they can be moved.
+  async openTicket(property, details) {
+    return await sequelize.transaction(async (transaction) => {
+      const room = await Room.findOne({
+        where: { roomNumber: details.roomNumber, propertyId: property.propertyId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!room) {
+        throw new AppError(ERROR_MESSAGES.ROOM_NOT_FOUND, STATUS_CODES.NOT_FOUND);
+      }
+
+      const ticket = await MaintenanceTicket.create({
+        propertyId: property.propertyId,
+        roomId: room.roomId,
+        severity: details.severity,
+        description: details.description,
+        reportedBy: details.reportedBy || null
+      }, { transaction });
+
+      const outOfOrder = details.outOfOrder ?? OUT_OF_ORDER_SEVERITIES.includes(ticket.severity);
+      const affectedBookings = outOfOrder
+        ? await this.takeOutOfOrder(ticket, room, { transaction })
+        : [];
+
+      await ticket.reload({ include: withRoom(), transaction });
+
+      return { ticket, affectedBookings };
+    });
+  }
+
+  // Change an open ticket: severity, description, progress (open or
+  // in_progress) or whether the room is out of order
+  async updateTicket(property, ticketId, changes) {
+    return await sequelize.transaction(async (transaction) => {
+      const ticket = await this.getTicket(ticketId, { propertyId: property.propertyId, lock: true, transaction });
+
+      if (ticket.status === 'closed') {
+        throw new AppError('Cannot change a closed ticket', STATUS_CODES.CONFLICT);
+      }
+      if (changes.status && changes.status !== ticket.status) {
+        this.assertTransition(ticket, changes.status);
+      }
+
+      const { outOfOrder, ...fields } = changes;
+      await ticket.update(fields, { transaction });
+
+      let affectedBookings = [];
+      if (outOfOrder === true && !ticket.outOfOrder) {
+        const room = await Room.findByPk(ticket.roomId, { lock: transaction.LOCK.UPDATE, transaction });
+        affectedBookings = await this.takeOutOfOrder(ticket, room, { transaction });
+      } else if (outOfOrder === false && ticket.outOfOrder) {
+        await this.returnToService(ticket, { transaction });
+      }
+
+      await ticket.reload({ include: withRoom(), transaction });
+
+      return { ticket, affectedBookings };
+    });
+  }
+
+  // Close a ticket; a room it kept out of order is sellable again from today
+  async closeTicket(property, ticketId, details = {}) {
+    return await sequelize.transaction(async (transaction) => {
+      const ticket = await this.getTicket(ticketId, { propertyId: property.propertyId, lock: true, transaction });
+      this.assertTransition(ticket, 'closed');
+
+      const wasOutOfOrder = ticket.outOfOrder;
+      if (wasOutOfOrder) {
+        await this.returnToService(ticket, { transaction });
+      }
+
+      await ticket.update({
+        status: 'closed',
+        resolution: details.resolution || null,
+        closedAt: new Date()
+      }, { transaction });
+
+      await ticket.reload({ include: withRoom(), transaction });
+
+      return { ticket, returnedToService: wasOutOfOrder };
+    });
+  }
+}
+
+module.exports = new MaintenanceService();
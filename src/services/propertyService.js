@@ -0,0 +1,226 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { PropertyPostgres, RoomPostgres, BookingPostgres } = require('../models');
+const layoutService = require('./layoutService');
+const travelCostService = require('./travelCostService');
+const AppError = require('../utils/appError');
+const { PRICING_RULES, ALLOCATION_RULES, DEFAULT_PROPERTY_CODE, ERROR_MESSAGES, STATUS_CODES } = require('../utils/constants');
+
+const Property = PropertyPostgres;
+const Room = RoomPostgres;
+const Booking = BookingPostgres;
+
+// Cost model and lift positions per property, kept while the property is
+// unchanged (same updatedAt) and built from the same resolved layout
+const resolvedTravel = new Map();
+
+class PropertyService {
+  // The property behind the unscoped routes, created on first use. When
+  // concurrent first requests race to create it, the unique code lets one
+  // insert win and the others pick up its row.
+  async getDefaultProperty() {
+    const existing = await Property.findOne({ where: { isDefault: true } });
+    if (existing) return existing;
+
+    let property = await Property.findOne({ where: { code: DEFAULT_PROPERTY_CODE } });
+    if (!property) {
+      try {
+        return await Property.create({ code: DEFAULT_PROPERTY_CODE, name: 'Main Building', isDefault: true });
+      } catch (error) {
+        if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+        property = await Property.findOne({ where: { code: DEFAULT_PROPERTY_CODE } });
+      }
+    }
+
+    return property.isDefault ? property : await property.update({ isDefault: true });
+  }
+
+  // One-off migration from the single-hotel schema: create the default
+  // property, hand it every room and booking that has no property yet and
+  // drop the old global room-number constraint, which the per-property
+  // unique index replaces.
+  async ensureDefaultProperty() {
+    const property = await this.getDefaultProperty();
+    const unassigned = { where: { propertyId: { [Op.is]: null } } };
+
+    const [rooms] = await Room.update({ propertyId: property.propertyId }, unassigned);
+    const [bookings] = await Booking.update({ propertyId: property.propertyId }, unassigned);
+
+    try {
+      await sequelize.query('ALTER TABLE rooms DROP CONSTRAINT IF EXISTS rooms_room_number_key');
+    } catch (error) {
+      console.warn('Could not drop legacy rooms_room_number_key:', error.message);
+    }
+
+    return { property, rooms, bookings };
+  }
+
+  // Find a property by numeric id or by code
+  async getProperty(idOrCode) {
+    const where = /^\d+$/.test(String(idOrCode))
+      ? { propertyId: parseInt(idOrCode, 10) }
+      : { code: String(idOrCode).toLowerCase() };
+
+    const property = await Property.findOne({ where });
+
+    if (!property) {
+      throw new AppError(ERROR_MESSAGES.PROPERTY_NOT_FOUND, STATUS_CODES.NOT_FOUND);
+    }
+
+    return property;
+  }
+
+  async listProperties() {
+    const properties = await Property.findAll({ order: [['propertyId', 'ASC']] });
+    const counts = await Room.findAll({
+      attributes: ['propertyId', [sequelize.fn('COUNT', sequelize.col('room_id')), 'count']],
+      group: ['propertyId'],
+      raw: true
+    });
+
+    const roomCounts = {};
+    counts.forEach(row => {
+      roomCounts[row.propertyId] = parseInt(row.count, 10);
+    });
+
+    return properties.map(property => ({
+      ...property.toJSON(),
+      totalRooms: roomCounts[property.propertyId] || 0
+    }));
+  }
+
+  // Create a property and seed its rooms. The layout is validated before
+  // anything is written; without one the property uses the layout file.
+  async createProperty(details) {
+    if (details.layout) {
+      details.layout = layoutService.validateLayout(details.layout);
+    }
+
+    const existing = await Property.findOne({ where: { code: details.code } });
+    if (existing) {
+      throw new AppError(ERROR_MESSAGES.PROPERTY_EXISTS, STATUS_CODES.CONFLICT);
+    }
+
+    const property = await Property.create(details);
+    const seeded = await layoutService.seedRooms({ property });
+
+    return { property, seeded };
+  }
+
+  // Name, address, pricing, travel cost and allocation changes. Layout
+  // changes go through the layout import, which knows how to reconcile
+  // existing rooms.
+  async updateProperty(idOrCode, changes) {
+    const property = await this.getProperty(idOrCode);
+
+    if (changes.code && changes.code !== property.code) {
+      const existing = await Property.findOne({ where: { code: changes.code } });
+      if (existing) {
+        throw new AppError(ERROR_MESSAGES.PROPERTY_EXISTS, STATUS_CODES.CONFLICT);
+      }
+    }
+
+    if (changes.pricing) {
+      changes.pricing = { ...property.pricing, ...changes.pricing };
+    }
+
+    if (changes.travelCost) {
+      const { origin, ...rest } = changes.travelCost;
+      changes.travelCost = { ...property.travelCost, ...rest };
+      if (origin) {
+        changes.travelCost.origin = { ...(property.travelCost || {}).origin, ...origin };
+      }
+    }
+
+    if (changes.allocation) {
+      changes.allocation = { ...property.allocation, ...changes.allocation };
+    }
+
+    await property.update(changes);
+    this.clearCache(property.propertyId);
+
+    return property;
+  }
+
+  // Forget what was resolved from a property's settings and layout
+  clearCache(propertyId) {
+    resolvedTravel.delete(propertyId);
+    layoutService.clearLayoutCache(propertyId);
+  }
+
+  // Seed every property that has no rooms yet (startup and auto-fix)
+  async seedAllProperties() {
+    await this.ensureDefaultProperty();
+
+    const properties = await Property.findAll({ order: [['propertyId', 'ASC']] });
+    const results = [];
+
+    for (const property of properties) {
+      const { created, totalRooms } = await layoutService.seedRooms({ property });
+      results.push({ property, created, totalRooms });
+    }
+
+    return results;
+  }
+
+  // A property's pricing rules merged over the defaults
+  getPricing(property) {
+    const pricing = (property && property.pricing) || {};
+
+    return {
+      weekendSurcharge: pricing.weekendSurcharge ?? PRICING_RULES.WEEKEND_SURCHARGE,
+      weekendDays: pricing.weekendDays || PRICING_RULES.WEEKEND_DAYS
+    };
+  }
+
+  // The cost model allocation uses for a property: its travelCost settings
+  // merged over the defaults, with the lifts and staircases of its layout
+  getTravelCost(property) {
+    return this.resolveTravel(property).costModel;
+  }
+
+  // A property's allocation strategy merged over the defaults
+  getAllocation(property) {
+    const allocation = (property && property.allocation) || {};
+
+    return {
+      strategy: allocation.strategy || ALLOCATION_RULES.STRATEGY,
+      fragmentationWeight: allocation.fragmentationWeight ?? ALLOCATION_RULES.FRAGMENTATION_WEIGHT,
+      minRun: allocation.minRun ?? ALLOCATION_RULES.MIN_RUN
+    };
+  }
+
+  // Positions of the lifts on each floor of a property ({ floor: [position] })
+  getLiftPositions(property) {
+    return this.resolveTravel(property).liftPositions;
+  }
+
+  // The cost model and lift positions of a property, from the cache while
+  // neither the property nor its layout has changed
+  resolveTravel(property) {
+    const layout = layoutService.getPropertyLayout(property);
+    const key = property ? property.propertyId : null;
+    const version = property && property.updatedAt ? new Date(property.updatedAt).getTime() : null;
+
+    const cached = resolvedTravel.get(key);
+    if (cached && cached.layout === layout && cached.version === version) return cached;
+
+    const transport = layoutService.getTransport(layout);
+    const resolved = {
+      layout,
+      version,
+      costModel: travelCostService.resolve((property && property.travelCost) || {}, transport),
+      liftPositions: Object.fromEntries(
+        Object.entries(transport).map(([floor, cores]) => [
+          floor,
+          cores.filter(core => core.type === 'lift').map(core => core.position)
+        ])
+      )
+    };
+    resolvedTravel.set(key, resolved);
+
+    return resolved;
+  }
+}
+
+module.exports = new PropertyService();
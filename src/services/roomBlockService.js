@@ -0,0 +1,295 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { RoomPostgres, RoomBlockPostgres, RoomNightPostgres, BookingPostgres, MaintenanceTicketPostgres } = require('../models');
+const Helpers = require('../utils/helpers');
+const AppError = require('../utils/appError');
+const { ERROR_MESSAGES, STATUS_CODES } = require('../utils/constants');
+
+const Room = RoomPostgres;
+const RoomBlock = RoomBlockPostgres;
+const RoomNight = RoomNightPostgres;
+const Booking = BookingPostgres;
+const MaintenanceTicket = MaintenanceTicketPostgres;
+
+const roomAttributes = ['roomId', 'roomNumber', 'floor', 'position'];
+
+class RoomBlockService {
+  // Where-clause fragment for blocks covering at least one night of
+  // [startDate, endDate): they start before the range ends and end after
+  // it starts, or have no end yet
+  overlapScope(startDate, endDate) {
+    return {
+      startDate: { [Op.lt]: Helpers.toDateOnly(endDate) },
+      endDate: { [Op.or]: { [Op.gt]: Helpers.toDateOnly(startDate), [Op.is]: null } }
+    };
+  }
+
+  // Room IDs blocked for at least one night in [checkInDate, checkOutDate)
+  async getBlockedRoomIds(checkInDate, checkOutDate, options = {}) {
+    const where = this.overlapScope(checkInDate, checkOutDate);
+    if (options.propertyId) where.propertyId = options.propertyId;
+
+    const blocks = await RoomBlock.findAll({
+      attributes: ['roomId'],
+      where,
+      transaction: options.transaction
+    });
+
+    return [...new Set(blocks.map(block => block.roomId))];
+  }
+
+  // Per night of [checkInDate, checkOutDate), the set of room IDs blocked
+  // that night
+  async getBlockedRoomIdsByNight(checkInDate, checkOutDate, options = {}) {
+    const where = this.overlapScope(checkInDate, checkOutDate);
+    if (options.propertyId) where.propertyId = options.propertyId;
+
+    const blocks = await RoomBlock.findAll({
+      attributes: ['roomId', 'startDate', 'endDate'],
+      where,
+      transaction: options.transaction
+    });
+
+    return new Map(Helpers.getStayNights(checkInDate, checkOutDate).map(night => [
+      night,
+      new Set(blocks
+        .filter(block => Helpers.toDateOnly(block.startDate) <= night &&
+          (!block.endDate || night < Helpers.toDateOnly(block.endDate)))
+        .map(block => block.roomId))
+    ]));
+  }
+
+  // Blocks of one property, soonest first. query.roomNumber limits them to
+  // one room; query.from/query.to to those overlapping that range.
+  async listBlocks(propertyId, query = {}) {
+    const where = { propertyId };
+    if (query.from || query.to) {
+      Object.assign(where, this.overlapScope(query.from || '0001-01-01', query.to || '9999-12-31'));
+    }
+
+    const roomWhere = query.roomNumber ? { roomNumber: query.roomNumber } : undefined;
+
+    return await RoomBlock.findAll({
+      where,
+      include: [{ model: Room, as: 'room', attributes: roomAttributes, where: roomWhere }],
+      order: [['startDate', 'ASC'], [{ model: Room, as: 'room' }, 'roomNumber', 'ASC']]
+    });
+  }
+
+  // A block with its room. With options.lock the block row is locked for
+  // update instead (Postgres cannot lock across the outer join).
+  async getBlock(blockId, options = {}) {
+    const where = { blockId };
+    if (options.propertyId) where.propertyId = options.propertyId;
+
+    const block = await RoomBlock.findOne({
+      where,
+      include: options.lock ? undefined : [{ model: Room, as: 'room', attributes: roomAttributes }],
+      lock: options.lock ? options.transaction.LOCK.UPDATE : undefined,
+      transaction: options.transaction
+    });
+
+    if (!block) {
+      throw new AppError(ERROR_MESSAGES.BLOCK_NOT_FOUND, STATUS_CODES.NOT_FOUND);
+    }
+
+    return block;
+  }
+
+  // Bookings holding the room for any night of [startDate, endDate) (from
+  // startDate on when there is no endDate), with the nights that clash
+  async findAffectedBookings(roomId, startDate, endDate, options = {}) {
+    const stayDate = { [Op.gte]: Helpers.toDateOnly(startDate) };
+    if (endDate) stayDate[Op.lt] = Helpers.toDateOnly(endDate);
+
+    const nights = await RoomNight.findAll({
+      where: {
+        roomId,
+        bookingId: { [Op.ne]: null },
+        stayDate
+      },
+      order: [['stayDate', 'ASC']],
+      transaction: options.transaction
+    });
+    if (nights.length === 0) return [];
+
+    const bookings = await Booking.findAll({
+      where: { bookingId: [...new Set(nights.map(night => night.bookingId))] },
+      order: [['checkInDate', 'ASC']],
+      transaction: options.transaction
+    });
+
+    return bookings.map(booking => ({
+      bookingId: booking.bookingId,
+      reference: booking.reference,
+      status: booking.status,
+      checkInDate: Helpers.toDateOnly(booking.checkInDate),
+      checkOutDate: Helpers.toDateOnly(booking.checkOutDate),
+      rooms: booking.rooms,
+      nights: nights
+        .filter(night => night.bookingId === booking.bookingId)
+        .map(night => Helpers.toDateOnly(night.stayDate))
+    }));
+  }
+
+  // Check a block's room and dates: the room may not be blocked twice for
+  // the same night (unless allowOverlap is set), and bookings in the way are
+  // reported as a conflict unless force is set. Returns the affected bookings.
+  async checkBlock(room, startDate, endDate, { force = false, allowOverlap = false, excludeBlockId, transaction } = {}) {
+    const where = { roomId: room.roomId, ...this.overlapScope(startDate, endDate || '9999-12-31') };
+    if (excludeBlockId) where.blockId = { [Op.ne]: excludeBlockId };
+
+    const overlapping = allowOverlap ? null : await RoomBlock.findOne({ where, transaction });
+    if (overlapping) {
+      throw new AppError(ERROR_MESSAGES.BLOCK_OVERLAP, STATUS_CODES.CONFLICT, [{
+        blockId: overlapping.blockId,
+        startDate: overlapping.startDate,
+        endDate: overlapping.endDate,
+        reason: overlapping.reason
+      }]);
+    }
+
+    const affectedBookings = await this.findAffectedBookings(room.roomId, startDate, endDate, { transaction });
+    if (affectedBookings.length > 0 && !force) {
+      throw new AppError(ERROR_MESSAGES.BLOCK_CONFLICT, STATUS_CODES.CONFLICT, affectedBookings);
+    }
+
+    return affectedBookings;
+  }
+
+  // Take a room of the property out of service. The room row is locked so
+  // the check runs against bookings committed before it; a booking locks the
+  // same row and reads blocks again before reserving (see
+  // bookingService.lockRooms), so it cannot land on this block either.
+  async createBlock(property, details) {
+    return await sequelize.transaction(async (transaction) => {
+      const room = await Room.findOne({
+        where: { roomNumber: details.roomNumber, propertyId: property.propertyId },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!room) {
+        throw new AppError(ERROR_MESSAGES.ROOM_NOT_FOUND, STATUS_CODES.NOT_FOUND);
+      }
+
+      const startDate = Helpers.toDateOnly(details.startDate);
+      const endDate = Helpers.toDateOnly(details.endDate);
+      const affectedBookings = await this.checkBlock(room, startDate, endDate, {
+        force: details.force,
+        transaction
+      });
+
+      const block = await RoomBlock.create({
+        propertyId: property.propertyId,
+        roomId: room.roomId,
+        startDate,
+        endDate,
+        reason: details.reason
+      }, { transaction });
+
+      await block.reload({ include: [{ model: Room, as: 'room', attributes: roomAttributes }], transaction });
+
+      return { block, affectedBookings };
+    });
+  }
+
+  // A block opened by a maintenance ticket ends with the ticket, so it is
+  // changed through the ticket only; otherwise the ticket would keep a
+  // stale blockId and outOfOrder flag
+  async assertNotTicketBlock(block, options = {}) {
+    const ticket = await MaintenanceTicket.findOne({
+      attributes: ['ticketId'],
+      where: { blockId: block.blockId },
+      transaction: options.transaction
+    });
+
+    if (ticket) {
+      throw new AppError(ERROR_MESSAGES.BLOCK_OWNED_BY_TICKET, STATUS_CODES.CONFLICT, {
+        ticketId: ticket.ticketId,
+        ticket: `/api/maintenance/tickets/${ticket.ticketId}`
+      });
+    }
+  }
+
+  // Change a block's dates or reason; new dates are checked like a new block
+  async updateBlock(property, blockId, changes) {
+    return await sequelize.transaction(async (transaction) => {
+      const block = await this.getBlock(blockId, { propertyId: property.propertyId, lock: true, transaction });
+      await this.assertNotTicketBlock(block, { transaction });
+      const startDate = Helpers.toDateOnly(changes.startDate || block.startDate);
+      const endDate = changes.endDate || block.endDate ? Helpers.toDateOnly(changes.endDate || block.endDate) : null;
+
+      if (endDate && endDate <= startDate) {
+        throw new AppError('End date must be after start date', STATUS_CODES.BAD_REQUEST);
+      }
+
+      const room = await Room.findByPk(block.roomId, { lock: transaction.LOCK.UPDATE, transaction });
+      const affectedBookings = await this.checkBlock(room, startDate, endDate, {
+        force: changes.force,
+        excludeBlockId: block.blockId,
+        transaction
+      });
+
+      await block.update({
+        startDate,
+        endDate,
+        reason: changes.reason || block.reason
+      }, { transaction });
+
+      await block.reload({ include: [{ model: Room, as: 'room', attributes: roomAttributes }], transaction });
+
+      return { block, affectedBookings };
+    });
+  }
+
+  // Out of order from today until further notice (a maintenance ticket).
+  // The room is broken whatever is booked, so bookings never stop the block
+  // and other blocks may overlap it; the bookings to move are returned.
+  async openBlock(room, reason, options = {}) {
+    const startDate = Helpers.today();
+    const affectedBookings = await this.checkBlock(room, startDate, null, {
+      force: true,
+      allowOverlap: true,
+      transaction: options.transaction
+    });
+
+    const block = await RoomBlock.create({
+      propertyId: room.propertyId,
+      roomId: room.roomId,
+      startDate,
+      endDate: null,
+      reason: Helpers.truncate(reason, 250)
+    }, { transaction: options.transaction });
+
+    return { block, affectedBookings };
+  }
+
+  // End an open-ended block: the room is sellable again from today. A block
+  // that has not covered a night yet is simply removed.
+  async endBlock(blockId, options = {}) {
+    const block = await RoomBlock.findByPk(blockId, { transaction: options.transaction });
+    if (!block) return null;
+
+    const today = Helpers.today();
+    if (Helpers.toDateOnly(block.startDate) >= today) {
+      await block.destroy({ transaction: options.transaction });
+      return null;
+    }
+
+    return await block.update({ endDate: today }, { transaction: options.transaction });
+  }
+
+  // Put the room back in service
+  async deleteBlock(property, blockId) {
+    return await sequelize.transaction(async (transaction) => {
+      const block = await this.getBlock(blockId, { propertyId: property.propertyId, lock: true, transaction });
+      await this.assertNotTicketBlock(block, { transaction });
+      await block.reload({ include: [{ model: Room, as: 'room', attributes: roomAttributes }], transaction });
+      await block.destroy({ transaction });
+      return block;
+    });
+  }
+}
+
+module.exports = new RoomBlockService();
@@ -1,5 +1,11 @@
 const { Sequelize, Op } = require('sequelize');
-const { RoomPostgres } = require('../models/postgresql');
+const { RoomPostgres } = require('../models');
+const bookingService = require('./bookingService');
+const propertyService = require('./propertyService');
+const Helpers = require('../utils/helpers');
+const AppError = require('../utils/appError');
+const { ERROR_MESSAGES, STATUS_CODES } = require('../utils/constants');
+
 const Room = RoomPostgres;
 
 class RoomService {
@@ -110,47 +116,38 @@ class RoomService {
     return layout;
   }
 
-  async getRoomRecommendations(numRooms, preferences = {}) {
-    const availableRooms = await Room.findAll({
-      where: { isAvailable: true },
-      order: [['floor', 'ASC'], ['position', 'ASC']]
+  // Rooms the allocation would pick for a stay (tonight unless
+  // options.checkInDate/checkOutDate are given) under guest preferences, the
+  // same way bookings are allocated (bookingService.findOptimalRooms), with
+  // the stay's price. GET /api/rooms/recommendations.
+  async getRoomRecommendations(numRooms, preferences = {}, options = {}) {
+    const property = options.property || await propertyService.getDefaultProperty();
+    const checkInDate = options.checkInDate || Helpers.today();
+    const checkOutDate = options.checkOutDate || Helpers.addDays(checkInDate, 1);
+
+    const recommendation = await bookingService.findOptimalRooms(numRooms, checkInDate, checkOutDate, {
+      propertyId: property.propertyId,
+      requirements: options.requirements,
+      costModel: propertyService.getTravelCost(property),
+      preferences: bookingService.resolvePreferences(
+        Object.keys(preferences).length > 0 ? preferences : null,
+        property,
+        checkInDate
+      ),
+      fragmentation: await bookingService.getFragmentation(property, checkInDate, checkOutDate)
     });
 
-    // Apply preferences
-    let filteredRooms = availableRooms;
-    
-    if (preferences.floor) {
-      filteredRooms = filteredRooms.filter(room => room.floor === parseInt(preferences.floor));
-    }
-    
-    if (preferences.roomType) {
-      filteredRooms = filteredRooms.filter(room => room.roomType === preferences.roomType);
-    }
-    
-    if (preferences.maxPrice) {
-      filteredRooms = filteredRooms.filter(room => room.basePrice <= parseFloat(preferences.maxPrice));
+    if (!recommendation) {
+      throw new AppError(
+        options.requirements || Object.keys(preferences).length > 0 ? ERROR_MESSAGES.NO_MATCHING_ROOMS : ERROR_MESSAGES.NO_ROOMS_AVAILABLE,
+        STATUS_CODES.BAD_REQUEST
+      );
     }
 
-    // Group by floor
-    const roomsByFloor = {};
-    filteredRooms.forEach(room => {
-      if (!roomsByFloor[room.floor]) roomsByFloor[room.floor] = [];
-      roomsByFloor[room.floor].push({
-        number: room.roomNumber,
-        floor: room.floor,
-        position: room.position,
-        roomId: room.roomId,
-        roomType: room.roomType,
-        basePrice: room.basePrice
-      });
-    });
-
-    // Find optimal rooms
-    const algorithmService = require('./algorithmService');
-    const availableRoomsByFloor = Object.values(roomsByFloor)
-      .sort((a, b) => a[0].floor - b[0].floor);
-
-    return await algorithmService.findOptimalRooms(availableRoomsByFloor, numRooms);
+    return {
+      ...recommendation,
+      totalPrice: bookingService.calculateStayPrice(recommendation.rooms, checkInDate, checkOutDate, propertyService.getPricing(property))
+    };
   }
 }
 
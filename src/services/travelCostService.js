@@ -0,0 +1,160 @@
+const AppError = require('../utils/appError');
+const { TRAVEL_TIME, STATUS_CODES } = require('../utils/constants');
+
+// Lowest and highest of a list of numbers
+const extent = (values) => [Math.min(...values), Math.max(...values)];
+
+// Distance from the lowest to the highest of a list of numbers
+const span = (values) => {
+  const [min, max] = extent(values);
+  return max - min;
+};
+
+// The one place travel time between rooms is worked out. A cost model turns
+// a set of rooms into horizontal and vertical walking; the property's
+// settings pick the model and weigh each room along a corridor and each
+// floor between them.
+class TravelCostService {
+  constructor() {
+    this.models = {};
+
+    // From the origin (the lobby by default) up or down to the farthest
+    // floor, then along the corridor: from the origin position when one is
+    // set, otherwise across the rooms' own positions
+    this.registerModel('origin', (rooms, { origin }) => {
+      const positions = rooms.map(room => room.position);
+      if (origin.position !== null) positions.push(origin.position);
+
+      return {
+        rooms: span(positions),
+        floors: span([origin.floor, ...rooms.map(room => room.floor)])
+      };
+    }, {
+      corridor: 'shared',
+      anchors: ({ origin }) => [origin.position !== null ? [origin.position] : []]
+    });
+
+    // Between the rooms only, wherever the guest comes from
+    this.registerModel('span', (rooms) => ({
+      rooms: span(rooms.map(room => room.position)),
+      floors: span(rooms.map(room => room.floor))
+    }), {
+      corridor: 'shared',
+      anchors: () => [[]]
+    });
+
+    // Floors as in the origin model, but along each corridor from the lift
+    // or staircase that keeps the walk shortest, so rooms near a core are
+    // cheap. On the origin floor the walk starts at origin.position when
+    // one is set, and only heads for a core when the group has rooms on
+    // other floors. Floors with no declared core fall back to the rooms'
+    // own span.
+    this.registerModel('transport', (rooms, { origin, transport }) => {
+      const positionsByFloor = new Map();
+      rooms.forEach(room => {
+        if (!positionsByFloor.has(room.floor)) positionsByFloor.set(room.floor, []);
+        positionsByFloor.get(room.floor).push(room.position);
+      });
+
+      if (origin.position !== null) {
+        if (!positionsByFloor.has(origin.floor)) positionsByFloor.set(origin.floor, []);
+        positionsByFloor.get(origin.floor).push(origin.position);
+      }
+
+      const leavesOriginFloor = rooms.some(room => room.floor !== origin.floor);
+      let walk = 0;
+
+      positionsByFloor.forEach((positions, floor) => {
+        const cores = transport[floor] || [];
+        const needsCore = floor !== origin.floor || origin.position === null || leavesOriginFloor;
+
+        walk += cores.length > 0 && needsCore
+          ? Math.min(...cores.map(core => span([...positions, core])))
+          : span(positions);
+      });
+
+      return {
+        rooms: walk,
+        floors: span([origin.floor, ...rooms.map(room => room.floor)])
+      };
+    }, {
+      corridor: 'floor',
+      anchors: ({ origin, transport }, floor) => {
+        const cores = transport[floor] || [];
+        const start = floor === origin.floor && origin.position !== null ? [origin.position] : [];
+        return cores.length > 0 ? cores.map(core => [...start, core]) : [start];
+      }
+    });
+
+    this.defaults = this.resolve();
+  }
+
+  // Add or replace a cost model. calculate(rooms, settings) returns how many
+  // rooms along and floors between the walk covers; the weights are applied
+  // here.
+  //
+  // search tells the cross-floor search how the walk along corridors is
+  // counted, for a group with rooms on more than one floor whose floors
+  // cost the same whichever rooms it takes:
+  // - corridor 'shared': one walk across every room's position, as if all
+  //   floors shared one corridor; 'floor': one walk per floor, added up
+  // - anchors(settings, floor): the alternative sets of positions a walk
+  //   must also cover (floor is null for a shared corridor), e.g. the lobby
+  //   or each lift
+  // Models without search hints are searched by trying every combination.
+  registerModel(name, calculate, search = null) {
+    this.models[name] = { calculate, search };
+  }
+
+  getSearch(settings = this.defaults) {
+    const model = this.models[settings.model];
+    return model ? model.search : null;
+  }
+
+  // A property's travel cost settings (Property.travelCost) merged over the
+  // defaults (TRAVEL_TIME), with the lifts and staircases of its layout
+  // ({ floor: [{ type, position }] }). A property that has not picked a
+  // model walks via its lifts and staircases when the layout declares any.
+  resolve(settings = {}, transport = {}) {
+    const origin = settings.origin || {};
+    const cores = Object.fromEntries(
+      Object.entries(transport).map(([floor, list]) => [floor, list.map(core => core.position)])
+    );
+
+    return {
+      model: settings.model || (Object.keys(cores).length > 0 ? 'transport' : TRAVEL_TIME.DEFAULT_MODEL),
+      perRoom: settings.perRoom ?? TRAVEL_TIME.HORIZONTAL_PER_ROOM,
+      perFloor: settings.perFloor ?? TRAVEL_TIME.VERTICAL_PER_FLOOR,
+      origin: {
+        floor: origin.floor ?? TRAVEL_TIME.ORIGIN_FLOOR,
+        position: origin.position ?? null
+      },
+      transport: cores
+    };
+  }
+
+  // Horizontal, vertical and total minutes for a set of rooms under resolved
+  // settings (the defaults when none are given)
+  breakdown(rooms, settings = this.defaults) {
+    if (!rooms || rooms.length === 0) {
+      return { horizontal: 0, vertical: 0, total: 0 };
+    }
+
+    const model = this.models[settings.model];
+    if (!model) {
+      throw new AppError(`Unknown travel cost model: ${settings.model}`, STATUS_CODES.SERVER_ERROR);
+    }
+
+    const walk = model.calculate(rooms, settings);
+    const horizontal = walk.rooms * settings.perRoom;
+    const vertical = walk.floors * settings.perFloor;
+
+    return { horizontal, vertical, total: horizontal + vertical };
+  }
+
+  travelTime(rooms, settings) {
+    return this.breakdown(rooms, settings).total;
+  }
+}
+
+module.exports = new TravelCostService();
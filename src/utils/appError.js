@@ -0,0 +1,12 @@
+// Operational error with an HTTP status code, raised by services and
+// translated into a JSON response by controllers and the error handler
+class AppError extends Error {
+  constructor(message, statusCode = 500, details) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+module.exports = AppError;
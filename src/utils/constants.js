@@ -1,56 +1,171 @@
-// Hotel configuration constants
-const HOTEL_CONFIG = {
-  TOTAL_ROOMS: 97,
-  TOTAL_FLOORS: 10,
-  ROOMS_PER_FLOOR: {
-    1: 10, 2: 10, 3: 10, 4: 10, 5: 10,
-    6: 10, 7: 10, 8: 10, 9: 10, 10: 7
-  },
-  FLOOR_10_ROOMS: [1001, 1002, 1003, 1004, 1005, 1006, 1007],
-  ROOM_TYPES: {
-    STANDARD: 'standard',
-    DELUXE: 'deluxe',
-    SUITE: 'suite'
-  },
-  ROOM_PRICES: {
-    standard: 100.00,
-    deluxe: 150.00,
-    suite: 200.00
-  },
-  // PDF Requirements
-  PDF_REQUIREMENTS: {
-    totalRooms: 97,
-    floors: 10,
-    roomsPerFloor: [10, 10, 10, 10, 10, 10, 10, 10, 10, 7],
-    travelTime: {
-      horizontalPerRoom: 1,
-      verticalPerFloor: 2
-    },
-    booking: {
-      maxRooms: 5,
-      prioritySameFloor: true,
-      minimizeTravelTime: true
-    }
-  }
-};
+// Room types a layout may use (matches the Room model enum)
+const ROOM_TYPES = ['standard', 'deluxe', 'suite'];
 
 // Travel time constants
 const TRAVEL_TIME = {
   HORIZONTAL_PER_ROOM: 1, // minutes
   VERTICAL_PER_FLOOR: 2,  // minutes
-  MAX_ROOMS_PER_BOOKING: 5
+  ORIGIN_FLOOR: 1,        // where guests start from (the lobby)
+  DEFAULT_MODEL: 'origin'
+};
+
+// Travel cost models a property can select (see travelCostService)
+const TRAVEL_COST_MODELS = ['origin', 'span', 'transport'];
+
+// How a property allocates rooms: 'travel_time' takes the shortest walk;
+// 'fragmentation' also weighs the runs of free rooms a set breaks up, to keep
+// blocks free for later groups
+const ALLOCATION_STRATEGIES = ['travel_time', 'fragmentation'];
+
+const ALLOCATION_RULES = {
+  STRATEGY: 'travel_time',
+  FRAGMENTATION_WEIGHT: 1, // Minutes per room left stranded in a short free run, per night of the stay
+  MIN_RUN: 4 // Free runs shorter than this are too short for a group
 };
 
+// Vertical transport a layout may declare on a floor
+const TRANSPORT_TYPES = ['lift', 'stairs'];
+
 // Booking rules
 const BOOKING_RULES = {
-  MAX_ROOMS: 5,
+  MAX_ROOMS: 60, // Largest group one booking allocates (see npm run benchmark:booking-api)
   MIN_STAY_NIGHTS: 1,
   MAX_STAY_NIGHTS: 30,
   CANCELLATION_HOURS: 24, // Free cancellation up to 24 hours before check-in
+  LATE_CANCELLATION_PENALTY_NIGHTS: 1, // Nights charged when cancelling inside the free window
+  ALLOCATION_RETRIES: 3, // Re-run allocation when chosen rooms are taken mid-flight
+  REFERENCE_ATTEMPTS: 5, // Fresh booking reference codes tried before giving up
+  ROOM_OPTIONS: 3, // Room sets offered to choose from by default
+  MAX_ROOM_OPTIONS: 10,
+  EXPLAIN_CANDIDATES: 3, // Best sets listed per floor when explaining an allocation
+  PREFERENCE_SELECTIONS: 4000, // Most candidate sets one preference search narrows down
+  HOLD_MINUTES: parseInt(process.env.HOLD_MINUTES, 10) || 15, // How long a quote keeps its rooms
+  HOLD_SWEEP_INTERVAL_MS: (parseInt(process.env.HOLD_SWEEP_INTERVAL_SECONDS, 10) || 60) * 1000,
   CHECK_IN_TIME: '14:00',
-  CHECK_OUT_TIME: '12:00'
+  CHECK_OUT_TIME: '12:00',
+  TIME_ZONE: process.env.HOTEL_TIME_ZONE || 'UTC' // IANA zone whose calendar date is "today" (Helpers.today)
 };
 
+// Soft allocation preferences, weighed in minutes against travel time
+const PREFERENCE_WEIGHTS = {
+  OUTSIDE_FLOOR_RANGE: 2, // Per room, per floor above or below the preferred range
+  NEAR_LIFT: 3, // Per room next to a lift, for guests avoiding lifts
+  LIFT_DISTANCE: 1 // Positions from a lift that still count as next to it
+};
+
+// Accessibility feature that makes a room count as accessible
+const ACCESSIBLE_ROOM_FEATURE = 'wheelchair';
+
+// Why a room was left out of an allocation
+const ALLOCATION_EXCLUSIONS = ['not_sellable', 'occupied', 'blocked', 'not_clean', 'requirements'];
+
+// Room attributes
+const BED_CONFIGURATIONS = ['single', 'twin', 'double', 'queen', 'king'];
+const ROOM_VIEWS = ['none', 'courtyard', 'city', 'garden', 'pool', 'sea', 'mountain'];
+const ACCESSIBILITY_FEATURES = ['wheelchair', 'step_free', 'roll_in_shower', 'grab_bars', 'hearing_kit', 'visual_alarm'];
+
+// Attribute values for rooms the layout says nothing about
+const ROOM_ATTRIBUTE_DEFAULTS = {
+  isAvailable: true,
+  maxAdults: 2,
+  maxChildren: 0,
+  bedConfiguration: 'double',
+  view: 'none',
+  smoking: false,
+  accessibility: [],
+  amenities: []
+};
+
+// Room columns of a layout import/export, in CSV column order. List
+// attributes are written as semicolon-separated cells in CSV.
+const LAYOUT_ROOM_COLUMNS = ['roomNumber', 'floor', 'position', 'roomType', 'basePrice', ...Object.keys(ROOM_ATTRIBUTE_DEFAULTS)];
+const LAYOUT_LIST_COLUMNS = ['accessibility', 'amenities'];
+
+// Default pricing rules; a property's own pricing overrides any of these
+const PRICING_RULES = {
+  WEEKEND_SURCHARGE: 0.2, // +20% per night when checking in on a weekend day
+  WEEKEND_DAYS: [5, 6]    // Friday, Saturday (Date#getDay)
+};
+
+// Code of the property serving the unscoped /api/rooms, /api/bookings and /api/holds routes
+const DEFAULT_PROPERTY_CODE = process.env.DEFAULT_PROPERTY_CODE || 'main';
+
+// Booking lifecycle. Every status change goes through this table;
+// moves that are not listed are rejected.
+const BOOKING_STATUSES = ['pending', 'confirmed', 'checked_in', 'completed', 'cancelled', 'expired', 'no_show'];
+
+const BOOKING_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'expired'],
+  confirmed: ['checked_in', 'cancelled', 'no_show'],
+  checked_in: ['completed'],
+  completed: [],
+  cancelled: [],
+  expired: [],
+  no_show: []
+};
+
+// Booking attribute stamped when a booking enters a status
+const BOOKING_STATUS_TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  checked_in: 'checkedInAt',
+  completed: 'checkedOutAt',
+  cancelled: 'cancelledAt',
+  no_show: 'noShowAt'
+};
+
+// Status a still-active booking ends in when staff reset a property's bookings
+const BOOKING_RESET_STATUSES = {
+  pending: 'expired',
+  confirmed: 'cancelled',
+  checked_in: 'completed'
+};
+
+// Housekeeping states of a room. Check-out makes a room dirty; staff move it
+// through cleaning and inspection back to clean, or flag it dirty again.
+const HOUSEKEEPING_STATUSES = ['dirty', 'cleaning', 'inspected', 'clean'];
+
+const HOUSEKEEPING_TRANSITIONS = {
+  dirty: ['cleaning'],
+  cleaning: ['inspected', 'dirty'],
+  inspected: ['clean', 'dirty'],
+  clean: ['dirty']
+};
+
+// Daily housekeeping tasks: a departure needs a full clean, a stayover a
+// service of the occupied room. Minutes are the planning estimate used to
+// balance attendants' workloads.
+const HOUSEKEEPING_TASK_TYPES = ['departure', 'stayover'];
+
+const HOUSEKEEPING_TASK_MINUTES = {
+  departure: 45,
+  stayover: 20
+};
+
+const HOUSEKEEPING_TASK_STATUSES = ['pending', 'in_progress', 'done'];
+
+const HOUSEKEEPING_TASK_TRANSITIONS = {
+  pending: ['in_progress', 'done'],
+  in_progress: ['done', 'pending'],
+  done: []
+};
+
+// Maintenance tickets. A ticket at one of the out-of-order severities takes
+// its room out of service until it is closed, unless staff say otherwise.
+const MAINTENANCE_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const OUT_OF_ORDER_SEVERITIES = ['high', 'critical'];
+
+const MAINTENANCE_TICKET_STATUSES = ['open', 'in_progress', 'closed'];
+
+const MAINTENANCE_TICKET_TRANSITIONS = {
+  open: ['in_progress', 'closed'],
+  in_progress: ['open', 'closed'],
+  closed: []
+};
+
+// Columns GET /api/bookings can sort by
+const BOOKING_SORT_FIELDS = ['createdAt', 'checkInDate', 'checkOutDate', 'totalPrice', 'status'];
+
 // Application constants
 const APP_CONSTANTS = {
   JWT_EXPIRE: '7d',
@@ -73,12 +188,36 @@ const ERROR_MESSAGES = {
   INVALID_CREDENTIALS: 'Invalid credentials',
   ACCOUNT_DEACTIVATED: 'Account is deactivated',
   ROOM_UNAVAILABLE: 'Room is not available',
-  MAX_ROOMS_EXCEEDED: 'Cannot book more than 5 rooms at once',
+  MAX_ROOMS_EXCEEDED: `Cannot book more than ${BOOKING_RULES.MAX_ROOMS} rooms at once`,
   MIN_STAY_REQUIRED: 'Minimum stay is 1 night',
   PAST_CHECKIN: 'Check-in date cannot be in the past',
   CANCELLATION_DEADLINE: 'Cannot cancel booking after check-in time',
   NO_ROOMS_AVAILABLE: 'No rooms available for selected dates',
-  INSUFFICIENT_ROOMS: 'Not enough rooms available'
+  NO_MATCHING_ROOMS: 'Not enough rooms matching the requirements are available for the selected dates',
+  INSUFFICIENT_ROOMS: 'Not enough rooms available',
+  ROOMS_TAKEN: 'The selected rooms were booked by someone else. Please try again',
+  CHOSEN_ROOMS_UNAVAILABLE: 'Some of the chosen rooms are not available for the selected dates',
+  STAY_EXTENSION_UNAVAILABLE: 'Some of the guests\' rooms are not free for the extra nights',
+  HOLD_NOT_FOUND: 'Hold not found',
+  HOLD_EXPIRED: 'Hold has expired. Please request a new quote',
+  HOLD_NOT_ACTIVE: 'Hold is no longer active',
+  GUEST_NOT_FOUND: 'Guest not found',
+  GUEST_EXISTS: 'A guest with this email already exists',
+  BOOKING_NOT_FOUND: 'Booking not found',
+  REFERENCE_UNAVAILABLE: 'Could not generate a unique booking reference',
+  INVALID_CURSOR: 'Invalid or expired pagination cursor',
+  PROPERTY_NOT_FOUND: 'Property not found',
+  PROPERTY_EXISTS: 'A property with this code already exists',
+  INVALID_LAYOUT: 'Invalid hotel layout',
+  LAYOUT_CONFLICT: 'The layout removes rooms that still have bookings',
+  RESEED_CONFLICT: 'Rooms still have bookings from tonight on. Reset the bookings before recreating the rooms',
+  ROOM_NOT_FOUND: 'Room not found',
+  BLOCK_NOT_FOUND: 'Maintenance block not found',
+  BLOCK_OVERLAP: 'The room already has a maintenance block in this period',
+  BLOCK_OWNED_BY_TICKET: 'The block belongs to a maintenance ticket. Update or close the ticket instead',
+  TASK_NOT_FOUND: 'Housekeeping task not found',
+  TICKET_NOT_FOUND: 'Maintenance ticket not found',
+  BLOCK_CONFLICT: 'The block overlaps existing bookings. Move them first or pass force to block anyway'
 };
 
 // Success messages
@@ -102,6 +241,7 @@ const STATUS_CODES = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  GONE: 410,
   SERVER_ERROR: 500
 };
 
@@ -196,9 +336,39 @@ const TEST_DATA = {
 };
 
 module.exports = {
-  HOTEL_CONFIG,
+  ROOM_TYPES,
+  BED_CONFIGURATIONS,
+  ROOM_VIEWS,
+  ACCESSIBILITY_FEATURES,
+  ROOM_ATTRIBUTE_DEFAULTS,
+  LAYOUT_ROOM_COLUMNS,
+  LAYOUT_LIST_COLUMNS,
   TRAVEL_TIME,
+  TRAVEL_COST_MODELS,
+  TRANSPORT_TYPES,
+  ALLOCATION_STRATEGIES,
+  ALLOCATION_RULES,
   BOOKING_RULES,
+  PREFERENCE_WEIGHTS,
+  ACCESSIBLE_ROOM_FEATURE,
+  ALLOCATION_EXCLUSIONS,
+  PRICING_RULES,
+  DEFAULT_PROPERTY_CODE,
+  BOOKING_STATUSES,
+  BOOKING_TRANSITIONS,
+  BOOKING_STATUS_TIMESTAMPS,
+  BOOKING_RESET_STATUSES,
+  BOOKING_SORT_FIELDS,
+  HOUSEKEEPING_STATUSES,
+  HOUSEKEEPING_TRANSITIONS,
+  HOUSEKEEPING_TASK_TYPES,
+  HOUSEKEEPING_TASK_MINUTES,
+  HOUSEKEEPING_TASK_STATUSES,
+  HOUSEKEEPING_TASK_TRANSITIONS,
+  MAINTENANCE_SEVERITIES,
+  OUT_OF_ORDER_SEVERITIES,
+  MAINTENANCE_TICKET_STATUSES,
+  MAINTENANCE_TICKET_TRANSITIONS,
   APP_CONSTANTS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
@@ -15,6 +15,11 @@ class EmailService {
     });
   }
 
+  // Without an SMTP host every send would fail; callers skip mail instead
+  isConfigured() {
+    return Boolean(process.env.SMTP_HOST);
+  }
+
   async sendEmail(to, subject, html, attachments = []) {
     try {
       const mailOptions = {
@@ -79,12 +84,12 @@ class EmailService {
     return await this.sendEmail(user.email, subject, html);
   }
 
-  async sendBookingConfirmation(booking, user, rooms) {
+  async sendBookingConfirmation(booking, guest, rooms) {
     const checkIn = new Date(booking.checkInDate);
     const checkOut = new Date(booking.checkOutDate);
     const nights = Math.ceil((checkOut - checkIn) / (1000 * 60 * 60 * 24));
 
-    const subject = `Booking Confirmation #${booking.bookingId}`;
+    const subject = `Booking Confirmation #${booking.reference}`;
     const html = `
       <!DOCTYPE html>
       <html>
@@ -106,12 +111,12 @@ class EmailService {
             <h1>✅ Booking Confirmed</h1>
           </div>
           <div class="content">
-            <h2>Dear ${user.name},</h2>
+            <h2>Dear ${guest.firstName} ${guest.lastName},</h2>
             <p>Your booking has been confirmed successfully!</p>
             
             <div class="booking-details">
               <h3>Booking Details:</h3>
-              <p><strong>Booking ID:</strong> ${booking.bookingId}</p>
+              <p><strong>Booking Reference:</strong> ${booking.reference}</p>
               <p><strong>Check-in:</strong> ${checkIn.toLocaleDateString()} (14:00)</p>
               <p><strong>Check-out:</strong> ${checkOut.toLocaleDateString()} (12:00)</p>
               <p><strong>Nights:</strong> ${nights}</p>
@@ -136,7 +141,7 @@ class EmailService {
               <li>Please bring a valid ID proof during check-in</li>
               <li>Check-in time is 14:00 and check-out time is 12:00</li>
               <li>Free cancellation available up to 24 hours before check-in</li>
-              <li>For any changes, please contact hotel reception</li>
+              <li>For any changes, please contact hotel reception quoting ${booking.reference}</li>
             </ul>
             
             <div class="footer">
@@ -150,11 +155,11 @@ class EmailService {
       </html>
     `;
 
-    return await this.sendEmail(user.email, subject, html);
+    return await this.sendEmail(guest.email, subject, html);
   }
 
-  async sendBookingCancellation(booking, user) {
-    const subject = `Booking Cancelled #${booking.bookingId}`;
+  async sendBookingCancellation(booking, guest) {
+    const subject = `Booking Cancelled #${booking.reference}`;
     const html = `
       <!DOCTYPE html>
       <html>
@@ -174,12 +179,12 @@ class EmailService {
             <h1>❌ Booking Cancelled</h1>
           </div>
           <div class="content">
-            <h2>Dear ${user.name},</h2>
+            <h2>Dear ${guest.firstName} ${guest.lastName},</h2>
             <p>Your booking has been cancelled successfully.</p>
             
             <div class="booking-details">
               <h3>Cancelled Booking Details:</h3>
-              <p><strong>Booking ID:</strong> ${booking.bookingId}</p>
+              <p><strong>Booking Reference:</strong> ${booking.reference}</p>
               <p><strong>Rooms:</strong> ${booking.rooms.join(', ')}</p>
               <p><strong>Check-in Date:</strong> ${new Date(booking.checkInDate).toLocaleDateString()}</p>
               <p><strong>Cancellation Date:</strong> ${new Date().toLocaleDateString()}</p>
@@ -199,7 +204,7 @@ class EmailService {
       </html>
     `;
 
-    return await this.sendEmail(user.email, subject, html);
+    return await this.sendEmail(guest.email, subject, html);
   }
 
   async sendPasswordReset(user, resetToken) {
@@ -1,6 +1,8 @@
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
+const travelCostService = require('../services/travelCostService');
+const { BOOKING_RULES } = require('./constants');
 
 class Helpers {
   // Generate unique ID
@@ -43,6 +45,120 @@ class Helpers {
     return Math.ceil(timeDiff / (1000 * 3600 * 24));
   }
 
+  // Normalize a date (Date or string) to a 'YYYY-MM-DD' date-only string (UTC)
+  static toDateOnly(date) {
+    return new Date(date).toISOString().slice(0, 10);
+  }
+
+  // The hotel's calendar date ('YYYY-MM-DD') at a moment, now by default, in
+  // BOOKING_RULES.TIME_ZONE. Every "today" check (check-in, check-out,
+  // no-shows, same-day arrivals, the past-date rule) reads it from here.
+  static today(now = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: BOOKING_RULES.TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(now);
+  }
+
+  // Shift a date by a number of days, returning a 'YYYY-MM-DD' string
+  static addDays(date, days) {
+    const result = new Date(this.toDateOnly(date));
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+  }
+
+  // List the nights of a stay: check-in date up to (not including) check-out date
+  static getStayNights(checkInDate, checkOutDate) {
+    const nights = [];
+    const end = this.toDateOnly(checkOutDate);
+
+    for (let night = this.toDateOnly(checkInDate); night < end; night = this.addDays(night, 1)) {
+      nights.push(night);
+    }
+
+    return nights;
+  }
+
+  // Opaque pagination cursor: base64url-encoded JSON
+  static encodeCursor(data) {
+    return Buffer.from(JSON.stringify(data)).toString('base64url');
+  }
+
+  // Decode a cursor made by encodeCursor; null when it is malformed
+  static decodeCursor(cursor) {
+    try {
+      return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // Parse CSV text (RFC 4180 quoting) into one object per data row, keyed
+  // by the header row. Blank lines are skipped; cells are trimmed.
+  static parseCsv(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(cell);
+        records.push(record);
+        record = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+    record.push(cell);
+    records.push(record);
+
+    const [header = [], ...rows] = records
+      .map(cells => cells.map(value => value.trim()))
+      .filter(cells => cells.some(value => value !== ''));
+
+    return rows.map(cells => {
+      const row = {};
+      header.forEach((column, index) => {
+        row[column] = cells[index] === undefined ? '' : cells[index];
+      });
+      return row;
+    });
+  }
+
+  // Render objects as CSV with the given columns as header
+  static toCsv(rows, columns) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+      columns.join(','),
+      ...rows.map(row => columns.map(column => escape(row[column])).join(','))
+    ].join('\n') + '\n';
+  }
+
   // Validate email
   static isValidEmail(email) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -137,26 +253,25 @@ class Helpers {
     return ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'].includes(ext);
   }
 
-  // Calculate travel time (helper for algorithm)
-  static calculateTravelTime(rooms) {
-    if (rooms.length <= 1) return 0;
-    
-    const positions = rooms.map(r => r.position).sort((a, b) => a - b);
-    const floors = [...new Set(rooms.map(r => r.floor))].sort((a, b) => a - b);
-    
-    const horizontalTime = positions[positions.length - 1] - positions[0];
-    const verticalTime = (floors[floors.length - 1] - floors[0]) * 2;
-    
-    return horizontalTime + verticalTime;
+  // Calculate travel time (helper for algorithm), under a resolved cost
+  // model or the default one
+  static calculateTravelTime(rooms, costModel) {
+    return travelCostService.travelTime(rooms, costModel);
   }
 
-  // Generate booking reference number
-  static generateBookingReference() {
+  // Generate booking reference number: HR + YYMM + random characters from an
+  // alphabet without look-alikes (0/O, 1/I/L), easy to read out over the phone
+  static generateBookingReference(length = 5) {
+    const alphabet = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
     const date = new Date();
     const year = date.getFullYear().toString().slice(-2);
     const month = String(date.getMonth() + 1).padStart(2, '0');
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    
+    let random = '';
+
+    for (let i = 0; i < length; i++) {
+      random += alphabet[crypto.randomInt(alphabet.length)];
+    }
+
     return `HR${year}${month}${random}`;
   }
 
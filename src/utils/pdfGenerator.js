@@ -3,8 +3,9 @@ const fs = require('fs');
 const path = require('path');
 
 class PDFGenerator {
-  // Generate booking invoice PDF
-  static async generateBookingInvoice(booking, user, rooms) {
+  // Generate booking invoice PDF. guest may be null: bookings made without
+  // guest details still get an invoice, billed to no one in particular.
+  static async generateBookingInvoice(booking, guest, rooms) {
     return new Promise((resolve, reject) => {
       try {
         const doc = new PDFDocument({ margin: 50 });
@@ -20,7 +21,7 @@ class PDFGenerator {
         // Generate PDF content
         this.addInvoiceHeader(doc, booking);
         this.addHotelInfo(doc);
-        this.addCustomerInfo(doc, user);
+        this.addCustomerInfo(doc, guest);
         this.addBookingDetails(doc, booking, rooms);
         this.addPaymentDetails(doc, booking);
         this.addFooter(doc);
@@ -43,7 +44,8 @@ class PDFGenerator {
     // Invoice details
     doc.fontSize(12)
        .fillColor('#666666')
-       .text(`Invoice No: ${booking.bookingId}`, { align: 'right' });
+       .text(`Invoice No: ${booking.bookingId}`, { align: 'right' })
+       .text(`Booking Reference: ${booking.reference}`, { align: 'right' });
     
     doc.text(`Date: ${new Date().toLocaleDateString()}`, { align: 'right' });
     
@@ -73,18 +75,28 @@ class PDFGenerator {
     doc.moveDown(2);
   }
 
-  static addCustomerInfo(doc, user) {
+  static addCustomerInfo(doc, guest) {
     doc.fontSize(12)
        .fillColor('#333333')
        .text('Bill To:', 50, doc.y);
     
     doc.fontSize(10)
-       .fillColor('#666666')
-       .text(user.name)
-       .text(`Email: ${user.email}`);
+       .fillColor('#666666');
+    
+    if (!guest) {
+      doc.text('No guest details on file');
+      doc.moveDown(2);
+      return;
+    }
+    
+    doc.text(`${guest.firstName} ${guest.lastName}`);
+    
+    if (guest.email) {
+      doc.text(`Email: ${guest.email}`);
+    }
     
-    if (user.phone) {
-      doc.text(`Phone: ${user.phone}`);
+    if (guest.phone) {
+      doc.text(`Phone: ${guest.phone}`);
     }
     
     doc.moveDown(2);
@@ -0,0 +1,35 @@
+const Joi = require('joi');
+const validate = require('./validate');
+const { propertyIdField } = require('./propertyValidator');
+
+// POST /api/admin/layout/import query validation schema
+// (the layout itself is checked by layoutService, whatever its format)
+const layoutImportQuerySchema = Joi.object({
+  propertyId: propertyIdField.optional(),
+
+  dryRun: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'dryRun must be true or false'
+    })
+});
+
+// GET /api/admin/layout/export query validation schema
+const layoutExportQuerySchema = Joi.object({
+  propertyId: propertyIdField.optional(),
+
+  format: Joi.string()
+    .lowercase()
+    .valid('json', 'csv')
+    .default('json')
+    .messages({
+      'any.only': 'Format must be json or csv'
+    })
+});
+
+module.exports = {
+  layoutImportQuerySchema,
+  layoutExportQuerySchema,
+  validateLayoutImportQuery: validate(layoutImportQuerySchema, 'query'),
+  validateLayoutExportQuery: validate(layoutExportQuerySchema, 'query')
+};
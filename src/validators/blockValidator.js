@@ -0,0 +1,123 @@
+const Joi = require('joi');
+const validate = require('./validate');
+
+const roomNumberField = Joi.number()
+  .integer()
+  .min(1)
+  .messages({
+    'number.base': 'Room number must be a number',
+    'number.integer': 'Room number must be an integer',
+    'number.min': 'Room number must be positive',
+    'any.required': 'Room number is required'
+  });
+
+const startDateField = Joi.date()
+  .messages({
+    'date.base': 'Please provide a valid start date',
+    'any.required': 'Start date is required'
+  });
+
+// The block ends on the morning of endDate, like a check-out
+const endDateField = Joi.date()
+  .greater(Joi.ref('startDate'))
+  .messages({
+    'date.base': 'Please provide a valid end date',
+    'date.greater': 'End date must be after start date',
+    'any.required': 'End date is required'
+  });
+
+const reasonField = Joi.string()
+  .trim()
+  .max(255)
+  .messages({
+    'string.empty': 'Reason cannot be empty',
+    'string.max': 'Reason cannot exceed 255 characters',
+    'any.required': 'Reason is required'
+  });
+
+// Block the room even when bookings hold some of its nights
+const forceField = Joi.boolean()
+  .default(false)
+  .messages({
+    'boolean.base': 'force must be true or false'
+  });
+
+// Block creation validation schema
+const createBlockSchema = Joi.object({
+  roomNumber: roomNumberField.required(),
+
+  startDate: startDateField.required(),
+
+  endDate: endDateField.required(),
+
+  reason: reasonField.required(),
+
+  force: forceField
+});
+
+// Block update validation schema
+const updateBlockSchema = Joi.object({
+  startDate: startDateField.optional(),
+
+  endDate: Joi.date()
+    .when('startDate', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('startDate'))
+    })
+    .optional()
+    .messages({
+      'date.base': 'Please provide a valid end date',
+      'date.greater': 'End date must be after start date'
+    }),
+
+  reason: reasonField.optional(),
+
+  force: forceField
+})
+  .or('startDate', 'endDate', 'reason')
+  .messages({
+    'object.missing': 'Provide at least one of startDate, endDate or reason'
+  });
+
+// Block list query parameters validation schema
+const blockQuerySchema = Joi.object({
+  roomNumber: roomNumberField.optional(),
+
+  from: Joi.date()
+    .optional()
+    .messages({
+      'date.base': 'Invalid from date format'
+    }),
+
+  to: Joi.date()
+    .when('from', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('from'))
+    })
+    .optional()
+    .messages({
+      'date.base': 'Invalid to date format',
+      'date.greater': 'To date must be after from date'
+    })
+});
+
+// Route parameter schema
+const blockIdParamSchema = Joi.object({
+  blockId: Joi.string()
+    .guid()
+    .required()
+    .messages({
+      'string.guid': 'Block ID must be a valid UUID'
+    })
+});
+
+module.exports = {
+  createBlockSchema,
+  updateBlockSchema,
+  blockQuerySchema,
+  blockIdParamSchema,
+  validateCreateBlock: validate(createBlockSchema, 'body'),
+  validateUpdateBlock: validate(updateBlockSchema, 'body'),
+  validateBlockQuery: validate(blockQuerySchema, 'query'),
+  validateBlockId: validate(blockIdParamSchema, 'params')
+};
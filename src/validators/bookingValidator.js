@@ -1,88 +1,335 @@
 const Joi = require('joi');
-const { ERROR_MESSAGES, BOOKING_RULES } = require('../utils/constants');
+const { BOOKING_RULES, BOOKING_STATUSES, BOOKING_SORT_FIELDS, ROOM_TYPES } = require('../utils/constants');
+const Helpers = require('../utils/helpers');
+const validate = require('./validate');
+const { guestSchema } = require('./guestValidator');
+const { roomRequirementFields } = require('./roomValidator');
 
-// Booking creation validation schema
-const createBookingSchema = Joi.object({
-  numRooms: Joi.number()
-    .integer()
+// Hold tokens are 16 random bytes, hex encoded
+const HOLD_TOKEN_PATTERN = /^[0-9a-f]{32}$/;
+
+// Check-in may be today, never earlier
+const notInPast = (value, helpers) => {
+  if (Helpers.toDateOnly(value) < Helpers.today()) {
+    return helpers.error('date.past');
+  }
+  return value;
+};
+
+const numRoomsField = Joi.number()
+  .integer()
+  .min(1)
+  .max(BOOKING_RULES.MAX_ROOMS)
+  .messages({
+    'number.base': 'Number of rooms must be a number',
+    'number.integer': 'Number of rooms must be an integer',
+    'number.min': `Minimum ${1} room required`,
+    'number.max': `Cannot book more than ${BOOKING_RULES.MAX_ROOMS} rooms at once`,
+    'any.required': 'Number of rooms is required',
+    'any.unknown': 'Number of rooms cannot be combined with a holdToken'
+  });
+
+const checkInField = Joi.date()
+  .custom(notInPast)
+  .messages({
+    'date.base': 'Please provide a valid check-in date',
+    'date.past': 'Check-in date cannot be in the past',
+    'any.required': 'Check-in date is required',
+    'any.unknown': 'Check-in date cannot be combined with a holdToken'
+  });
+
+const checkOutField = Joi.date()
+  .greater(Joi.ref('checkInDate'))
+  .messages({
+    'date.base': 'Please provide a valid check-out date',
+    'date.greater': 'Check-out date must be after check-in date',
+    'any.required': 'Check-out date is required',
+    'any.unknown': 'Check-out date cannot be combined with a holdToken'
+  });
+
+const specialRequestsField = Joi.string()
+  .max(500)
+  .optional()
+  .messages({
+    'string.max': 'Special requests cannot exceed 500 characters'
+  });
+
+const guestIdField = Joi.string()
+  .guid()
+  .optional()
+  .messages({
+    'string.guid': 'Guest ID must be a valid UUID'
+  });
+
+// Attributes every allocated room must have
+const requirementsField = Joi.object(roomRequirementFields)
+  .min(1)
+  .messages({
+    'object.base': 'Requirements must be an object',
+    'object.min': 'Requirements cannot be empty',
+    'any.unknown': 'Requirements cannot be combined with a holdToken'
+  });
+
+// A room type mix has to add up to the rooms booked
+const matchesRoomCount = (value, helpers) => {
+  const { numRooms } = helpers.state.ancestors[1];
+  const total = Object.values(value).reduce((sum, count) => sum + count, 0);
+  if (numRooms !== undefined && total !== numRooms) {
+    return helpers.error('roomTypes.total');
+  }
+  return value;
+};
+
+const preferenceFloorField = Joi.number()
+  .integer()
+  .min(1)
+  .messages({
+    'number.base': 'Preferred floors must be numbers',
+    'number.integer': 'Preferred floors must be integers',
+    'number.min': 'Preferred floors start at 1'
+  });
+
+// How the allocation should pick rooms. roomTypes, maxPricePerNight,
+// adjacent and accessibleRooms must be met; floors and avoidLift are
+// preferences weighed against travel time (PREFERENCE_WEIGHTS).
+const preferencesField = Joi.object({
+  floors: Joi.object({
+    min: preferenceFloorField,
+    max: preferenceFloorField.min(Joi.ref('min')).messages({
+      'number.min': 'The highest preferred floor cannot be below the lowest'
+    })
+  })
+    .or('min', 'max')
+    .messages({
+      'object.missing': 'Give a lowest (min) and/or highest (max) preferred floor'
+    }),
+
+  roomTypes: Joi.object()
+    .pattern(
+      Joi.string().valid(...ROOM_TYPES),
+      Joi.number().integer().min(1).messages({
+        'number.base': 'Room type counts must be numbers',
+        'number.integer': 'Room type counts must be integers',
+        'number.min': 'Room type counts must be at least 1'
+      })
+    )
     .min(1)
-    .max(BOOKING_RULES.MAX_ROOMS)
-    .required()
+    .custom(matchesRoomCount)
     .messages({
-      'number.base': 'Number of rooms must be a number',
-      'number.integer': 'Number of rooms must be an integer',
-      'number.min': `Minimum ${1} room required`,
-      'number.max': `Cannot book more than ${BOOKING_RULES.MAX_ROOMS} rooms at once`,
-      'any.required': 'Number of rooms is required'
+      'object.unknown': `Room types must be among ${ROOM_TYPES.join(', ')}`,
+      'object.min': 'Room type mix cannot be empty',
+      'roomTypes.total': 'Room type counts must add up to numRooms'
     }),
-  
-  checkInDate: Joi.date()
-    .greater('now')
-    .required()
+
+  maxPricePerNight: Joi.number()
+    .positive()
     .messages({
-      'date.base': 'Please provide a valid check-in date',
-      'date.greater': 'Check-in date cannot be in the past',
-      'any.required': 'Check-in date is required'
+      'number.base': 'Maximum price per night must be a number',
+      'number.positive': 'Maximum price per night must be positive'
     }),
-  
-  checkOutDate: Joi.date()
-    .greater(Joi.ref('checkInDate'))
-    .required()
+
+  adjacent: Joi.boolean()
     .messages({
-      'date.base': 'Please provide a valid check-out date',
-      'date.greater': 'Check-out date must be after check-in date',
-      'any.required': 'Check-out date is required'
+      'boolean.base': 'adjacent must be true or false'
     }),
-  
-  specialRequests: Joi.string()
-    .max(500)
-    .optional()
+
+  avoidLift: Joi.boolean()
+    .messages({
+      'boolean.base': 'avoidLift must be true or false'
+    }),
+
+  accessibleRooms: Joi.number()
+    .integer()
+    .min(1)
+    .max(Joi.ref('...numRooms'))
     .messages({
-      'string.max': 'Special requests cannot exceed 500 characters'
+      'number.base': 'Accessible rooms must be a number',
+      'number.integer': 'Accessible rooms must be an integer',
+      'number.min': 'Accessible rooms must be at least 1',
+      'number.max': 'Accessible rooms cannot exceed numRooms'
     })
-});
+})
+  .min(1)
+  .messages({
+    'object.base': 'Preferences must be an object',
+    'object.min': 'Preferences cannot be empty',
+    'any.unknown': 'Preferences cannot be combined with a holdToken or chosen roomNumbers'
+  });
 
-// Booking update validation schema
-const updateBookingSchema = Joi.object({
-  checkInDate: Joi.date()
-    .greater('now')
+// Specific rooms to book (e.g. a set from GET /api/rooms/options), one per
+// room requested
+const roomNumbersField = Joi.array()
+  .items(Joi.number().integer().min(1).messages({
+    'number.base': 'Room numbers must be numbers',
+    'number.integer': 'Room numbers must be integers',
+    'number.min': 'Room numbers must be positive'
+  }))
+  .unique()
+  .length(Joi.ref('numRooms'))
+  .messages({
+    'array.base': 'Room numbers must be a list',
+    'array.unique': 'Each room may only be chosen once',
+    'array.length': 'Choose exactly as many rooms as numRooms',
+    'any.unknown': 'Room numbers cannot be combined with a holdToken'
+  });
+
+// A stay comes either from the request itself or from a held quote
+const fromRequest = { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() };
+
+// Booking creation validation schema (new stay, or confirmation of a hold)
+const createBookingSchema = Joi.object({
+  holdToken: Joi.string()
+    .pattern(HOLD_TOKEN_PATTERN)
     .optional()
     .messages({
-      'date.base': 'Please provide a valid check-in date',
-      'date.greater': 'Check-in date cannot be in the past'
+      'string.pattern.base': 'Invalid hold token'
     }),
-  
+
+  numRooms: numRoomsField.when('holdToken', fromRequest),
+
+  checkInDate: checkInField.when('holdToken', fromRequest),
+
+  checkOutDate: checkOutField.when('holdToken', fromRequest),
+
+  requirements: requirementsField.when('holdToken', { is: Joi.exist(), then: Joi.forbidden() }),
+
+  roomNumbers: roomNumbersField.when('holdToken', { is: Joi.exist(), then: Joi.forbidden() }),
+
+  preferences: preferencesField
+    .when('holdToken', { is: Joi.exist(), then: Joi.forbidden() })
+    .when('roomNumbers', { is: Joi.exist(), then: Joi.forbidden() }),
+
+  specialRequests: specialRequestsField,
+
+  guest: guestSchema.optional(),
+
+  guestId: guestIdField
+})
+  .oxor('guest', 'guestId')
+  .messages({
+    'object.oxor': 'Provide either guest details or a guestId, not both'
+  });
+
+// Hold creation validation schema
+const createHoldSchema = Joi.object({
+  numRooms: numRoomsField.required(),
+
+  checkInDate: checkInField.required(),
+
+  checkOutDate: checkOutField.required(),
+
+  requirements: requirementsField.optional(),
+
+  roomNumbers: roomNumbersField.optional(),
+
+  preferences: preferencesField.when('roomNumbers', { is: Joi.exist(), then: Joi.forbidden() }),
+
+  specialRequests: specialRequestsField,
+
+  guest: guestSchema.optional(),
+
+  guestId: guestIdField
+})
+  .oxor('guest', 'guestId')
+  .messages({
+    'object.oxor': 'Provide either guest details or a guestId, not both'
+  });
+
+// Booking modification validation schema (dates, room count and/or special requests)
+const updateBookingSchema = Joi.object({
+  numRooms: numRoomsField.optional(),
+
+  checkInDate: checkInField.optional(),
+
   checkOutDate: Joi.date()
-    .greater(Joi.ref('checkInDate'))
+    .when('checkInDate', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('checkInDate'))
+    })
     .optional()
     .messages({
       'date.base': 'Please provide a valid check-out date',
       'date.greater': 'Check-out date must be after check-in date'
     }),
-  
-  specialRequests: Joi.string()
-    .max(500)
-    .optional()
+
+  specialRequests: specialRequestsField
+})
+  .or('numRooms', 'checkInDate', 'checkOutDate', 'specialRequests')
+  .messages({
+    'object.missing': 'Provide at least one of numRooms, checkInDate, checkOutDate or specialRequests'
+  });
+
+// The stay and number of rooms an allocation is worked out for (query string)
+const allocationQueryFields = {
+  numRooms: numRoomsField.required(),
+
+  checkIn: Joi.date()
+    .custom(notInPast)
+    .required()
     .messages({
-      'string.max': 'Special requests cannot exceed 500 characters'
+      'date.base': 'Please provide a valid check-in date',
+      'date.past': 'Check-in date cannot be in the past',
+      'any.required': 'Check-in date is required'
     }),
-  
-  status: Joi.string()
-    .valid('pending', 'confirmed', 'cancelled', 'completed')
-    .optional()
+
+  checkOut: Joi.date()
+    .greater(Joi.ref('checkIn'))
+    .required()
     .messages({
-      'any.only': 'Invalid booking status'
+      'date.base': 'Please provide a valid check-out date',
+      'date.greater': 'Check-out date must be after check-in date',
+      'any.required': 'Check-out date is required'
     })
+};
+
+// Room set options query schema (GET /api/rooms/options)
+const roomOptionsQuerySchema = Joi.object({
+  ...allocationQueryFields,
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(BOOKING_RULES.MAX_ROOM_OPTIONS)
+    .default(BOOKING_RULES.ROOM_OPTIONS)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.integer': 'Limit must be an integer',
+      'number.min': 'Limit must be at least 1',
+      'number.max': `Limit cannot exceed ${BOOKING_RULES.MAX_ROOM_OPTIONS}`
+    }),
+
+  ...roomRequirementFields
+});
+
+// Allocation explanation query schema (GET /api/rooms/explain)
+const allocationExplainQuerySchema = Joi.object({
+  ...allocationQueryFields,
+  ...roomRequirementFields
+});
+
+// Room recommendation query schema (GET /api/rooms/recommendations):
+// preferences use bracket notation, e.g. preferences[roomTypes][deluxe]=2
+const roomRecommendationsQuerySchema = Joi.object({
+  ...allocationQueryFields,
+  preferences: preferencesField,
+  ...roomRequirementFields
 });
 
 // Booking query parameters validation schema
 const bookingQuerySchema = Joi.object({
   status: Joi.string()
-    .valid('pending', 'confirmed', 'cancelled', 'completed')
+    .valid(...BOOKING_STATUSES)
     .optional()
     .messages({
       'any.only': 'Invalid booking status'
     }),
+
+  paymentStatus: Joi.string()
+    .valid('pending', 'paid', 'refunded')
+    .optional()
+    .messages({
+      'any.only': 'Invalid payment status'
+    }),
   
   startDate: Joi.date()
     .optional()
@@ -91,21 +338,65 @@ const bookingQuerySchema = Joi.object({
     }),
   
   endDate: Joi.date()
+    .when('startDate', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('startDate'))
+    })
+    .optional()
+    .messages({
+      'date.base': 'Invalid end date format',
+      'date.min': 'End date cannot be before start date'
+    }),
+
+  roomNumber: Joi.number()
+    .integer()
+    .min(1)
     .optional()
     .messages({
-      'date.base': 'Invalid end date format'
+      'number.base': 'Room number must be a number',
+      'number.integer': 'Room number must be an integer'
+    }),
+
+  guest: Joi.string()
+    .trim()
+    .min(2)
+    .optional()
+    .messages({
+      'string.min': 'Guest search must be at least 2 characters'
+    }),
+
+  guestId: guestIdField,
+
+  sortBy: Joi.string()
+    .valid(...BOOKING_SORT_FIELDS)
+    .default('createdAt')
+    .messages({
+      'any.only': `Sort field must be one of ${BOOKING_SORT_FIELDS.join(', ')}`
+    }),
+
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .default('desc')
+    .messages({
+      'any.only': 'Sort order must be asc or desc'
     }),
   
   page: Joi.number()
     .integer()
     .min(1)
-    .default(1)
     .optional()
     .messages({
       'number.base': 'Page must be a number',
       'number.integer': 'Page must be an integer',
       'number.min': 'Page must be at least 1'
     }),
+
+  cursor: Joi.string()
+    .max(512)
+    .optional()
+    .messages({
+      'string.max': 'Invalid cursor'
+    }),
   
   limit: Joi.number()
     .integer()
@@ -119,115 +410,65 @@ const bookingQuerySchema = Joi.object({
       'number.min': 'Limit must be at least 1',
       'number.max': 'Limit cannot exceed 100'
     })
-});
+})
+  .oxor('page', 'cursor')
+  .oxor('guest', 'guestId')
+  .messages({
+    'object.oxor': 'Use only one of {{#peers}}'
+  });
 
-// Room search validation schema
-const roomSearchSchema = Joi.object({
-  floor: Joi.number()
-    .integer()
-    .min(1)
-    .max(10)
-    .optional()
-    .messages({
-      'number.base': 'Floor must be a number',
-      'number.integer': 'Floor must be an integer',
-      'number.min': 'Floor must be at least 1',
-      'number.max': 'Floor cannot exceed 10'
-    }),
-  
-  roomType: Joi.string()
-    .valid('standard', 'deluxe', 'suite')
-    .optional()
-    .messages({
-      'any.only': 'Invalid room type'
-    }),
-  
-  minPrice: Joi.number()
-    .min(0)
-    .optional()
-    .messages({
-      'number.base': 'Minimum price must be a number',
-      'number.min': 'Minimum price cannot be negative'
-    }),
-  
-  maxPrice: Joi.number()
-    .min(0)
-    .optional()
-    .messages({
-      'number.base': 'Maximum price must be a number',
-      'number.min': 'Maximum price cannot be negative'
-    }),
-  
-  available: Joi.boolean()
-    .optional()
-    .messages({
-      'boolean.base': 'Available must be true or false'
-    }),
-  
-  sortBy: Joi.string()
-    .valid('floor', 'price', 'roomNumber')
-    .optional()
+// Route parameter schemas
+const bookingIdParamSchema = Joi.object({
+  id: Joi.string()
+    .guid()
+    .required()
     .messages({
-      'any.only': 'Invalid sort field'
-    }),
-  
-  sortOrder: Joi.string()
-    .valid('asc', 'desc')
-    .optional()
+      'string.guid': 'Booking ID must be a valid UUID'
+    })
+});
+
+const bookingReferenceParamSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .alphanum()
+    .max(16)
+    .required()
     .messages({
-      'any.only': 'Sort order must be asc or desc'
+      'string.alphanum': 'Booking reference may only contain letters and digits',
+      'string.max': 'Booking reference is too long'
     })
 });
 
-// Validate function
-const validate = (schema) => {
-  return (req, res, next) => {
-    let dataToValidate;
-    
-    // Determine which data to validate based on request method
-    if (req.method === 'GET') {
-      dataToValidate = req.query;
-    } else {
-      dataToValidate = req.body;
-    }
-
-    const { error, value } = schema.validate(dataToValidate, {
-      abortEarly: false,
-      stripUnknown: true
-    });
-
-    if (error) {
-      const errorMessages = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message
-      }));
-
-      return res.status(400).json({
-        success: false,
-        message: ERROR_MESSAGES.VALIDATION_ERROR,
-        errors: errorMessages
-      });
-    }
-
-    // Update request with validated data
-    if (req.method === 'GET') {
-      req.query = value;
-    } else {
-      req.body = value;
-    }
-    
-    next();
-  };
-};
+const holdTokenParamSchema = Joi.object({
+  token: Joi.string()
+    .pattern(HOLD_TOKEN_PATTERN)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid hold token'
+    })
+});
 
 // Export validators
 module.exports = {
   createBookingSchema,
+  createHoldSchema,
   updateBookingSchema,
   bookingQuerySchema,
-  roomSearchSchema,
-  validateCreateBooking: validate(createBookingSchema),
-  validateUpdateBooking: validate(updateBookingSchema),
-  validateBookingQuery: validate(bookingQuerySchema),
-  validateRoomSearch: validate(roomSearchSchema)
-};
\ No newline at end of file
+  roomOptionsQuerySchema,
+  allocationExplainQuerySchema,
+  roomRecommendationsQuerySchema,
+  bookingIdParamSchema,
+  bookingReferenceParamSchema,
+  holdTokenParamSchema,
+  validateCreateBooking: validate(createBookingSchema, 'body'),
+  validateCreateHold: validate(createHoldSchema, 'body'),
+  validateUpdateBooking: validate(updateBookingSchema, 'body'),
+  validateBookingQuery: validate(bookingQuerySchema, 'query'),
+  validateRoomOptionsQuery: validate(roomOptionsQuerySchema, 'query'),
+  validateAllocationExplainQuery: validate(allocationExplainQuerySchema, 'query'),
+  validateRoomRecommendationsQuery: validate(roomRecommendationsQuerySchema, 'query'),
+  validateBookingId: validate(bookingIdParamSchema, 'params'),
+  validateBookingReference: validate(bookingReferenceParamSchema, 'params'),
+  validateHoldToken: validate(holdTokenParamSchema, 'params')
+};
@@ -0,0 +1,143 @@
+const Joi = require('joi');
+const validate = require('./validate');
+
+const DOCUMENT_TYPES = ['passport', 'national_id', 'driving_license', 'other'];
+
+const guestFields = {
+  firstName: Joi.string()
+    .trim()
+    .max(100)
+    .messages({
+      'string.empty': 'First name cannot be empty',
+      'string.max': 'First name cannot exceed 100 characters',
+      'any.required': 'Guest first name is required'
+    }),
+
+  lastName: Joi.string()
+    .trim()
+    .max(100)
+    .messages({
+      'string.empty': 'Last name cannot be empty',
+      'string.max': 'Last name cannot exceed 100 characters',
+      'any.required': 'Guest last name is required'
+    }),
+
+  email: Joi.string()
+    .trim()
+    .lowercase()
+    .email()
+    .messages({
+      'string.email': 'Please provide a valid guest email'
+    }),
+
+  phone: Joi.string()
+    .trim()
+    .pattern(/^\+?[0-9 ()-]{6,20}$/)
+    .messages({
+      'string.pattern.base': 'Please provide a valid guest phone number'
+    }),
+
+  documentType: Joi.string()
+    .valid(...DOCUMENT_TYPES)
+    .messages({
+      'any.only': `Document type must be one of ${DOCUMENT_TYPES.join(', ')}`
+    }),
+
+  documentNumber: Joi.string()
+    .trim()
+    .max(50)
+    .messages({
+      'string.max': 'Document number cannot exceed 50 characters'
+    }),
+
+  documentCountry: Joi.string()
+    .trim()
+    .uppercase()
+    .length(2)
+    .messages({
+      'string.length': 'Document country must be a 2-letter ISO code'
+    }),
+
+  preferences: Joi.object()
+    .unknown(true)
+    .messages({
+      'object.base': 'Preferences must be an object'
+    })
+};
+
+// Guest creation validation schema (also used inline in booking requests)
+const guestSchema = Joi.object({
+  ...guestFields,
+  firstName: guestFields.firstName.required(),
+  lastName: guestFields.lastName.required()
+})
+  .and('documentType', 'documentNumber')
+  .messages({
+    'object.and': 'Document type and document number must be provided together'
+  });
+
+// Guest update validation schema
+const updateGuestSchema = Joi.object(guestFields)
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one guest field to update'
+  });
+
+// Guest search query validation schema
+const guestSearchSchema = Joi.object({
+  q: Joi.string()
+    .trim()
+    .min(2)
+    .optional()
+    .messages({
+      'string.min': 'Search term must be at least 2 characters'
+    }),
+
+  email: Joi.string()
+    .trim()
+    .lowercase()
+    .optional(),
+
+  phone: Joi.string()
+    .trim()
+    .optional(),
+
+  documentNumber: Joi.string()
+    .trim()
+    .optional(),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.base': 'Limit must be a number',
+      'number.max': 'Limit cannot exceed 100'
+    })
+})
+  .or('q', 'email', 'phone', 'documentNumber')
+  .messages({
+    'object.missing': 'Provide a search term (q) or an email, phone or documentNumber'
+  });
+
+// Route parameter schema
+const guestIdParamSchema = Joi.object({
+  id: Joi.string()
+    .guid()
+    .required()
+    .messages({
+      'string.guid': 'Guest ID must be a valid UUID'
+    })
+});
+
+module.exports = {
+  guestSchema,
+  updateGuestSchema,
+  guestSearchSchema,
+  guestIdParamSchema,
+  validateCreateGuest: validate(guestSchema, 'body'),
+  validateUpdateGuest: validate(updateGuestSchema, 'body'),
+  validateGuestSearch: validate(guestSearchSchema, 'query'),
+  validateGuestId: validate(guestIdParamSchema, 'params')
+};
@@ -0,0 +1,109 @@
+const Joi = require('joi');
+const validate = require('./validate');
+const { HOUSEKEEPING_STATUSES, HOUSEKEEPING_TASK_STATUSES } = require('../utils/constants');
+
+// Housekeeping status update validation schema
+const housekeepingStatusSchema = Joi.object({
+  status: Joi.string()
+    .lowercase()
+    .valid(...HOUSEKEEPING_STATUSES)
+    .required()
+    .messages({
+      'any.only': `Housekeeping status must be one of ${HOUSEKEEPING_STATUSES.join(', ')}`,
+      'any.required': 'Housekeeping status is required'
+    })
+});
+
+const attendantField = Joi.string()
+  .trim()
+  .max(100)
+  .messages({
+    'string.empty': 'Attendant name cannot be empty',
+    'string.max': 'Attendant name cannot exceed 100 characters'
+  });
+
+const taskDateField = Joi.date()
+  .messages({
+    'date.base': 'Please provide a valid date'
+  });
+
+// Task generation validation schema
+const generateTasksSchema = Joi.object({
+  date: taskDateField.optional(),
+
+  attendants: Joi.array()
+    .items(attendantField)
+    .min(1)
+    .max(50)
+    .unique()
+    .required()
+    .messages({
+      'array.base': 'Attendants must be a list of names',
+      'array.min': 'At least one attendant is required',
+      'array.max': 'Cannot assign more than 50 attendants',
+      'array.unique': 'Each attendant may only be listed once',
+      'any.required': 'Attendants are required'
+    })
+});
+
+// Task list query parameters validation schema
+const taskQuerySchema = Joi.object({
+  date: taskDateField.optional(),
+
+  attendant: attendantField.optional(),
+
+  status: Joi.string()
+    .valid(...HOUSEKEEPING_TASK_STATUSES)
+    .optional()
+    .messages({
+      'any.only': `Task status must be one of ${HOUSEKEEPING_TASK_STATUSES.join(', ')}`
+    })
+});
+
+// Task progress validation schema
+const taskStatusSchema = Joi.object({
+  status: Joi.string()
+    .valid(...HOUSEKEEPING_TASK_STATUSES)
+    .required()
+    .messages({
+      'any.only': `Task status must be one of ${HOUSEKEEPING_TASK_STATUSES.join(', ')}`,
+      'any.required': 'Task status is required'
+    })
+});
+
+// Route parameter schemas
+const housekeepingRoomParamSchema = Joi.object({
+  roomNumber: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.base': 'Room number must be a number',
+      'number.integer': 'Room number must be an integer',
+      'number.min': 'Room number must be positive'
+    })
+});
+
+const taskIdParamSchema = Joi.object({
+  taskId: Joi.string()
+    .guid()
+    .required()
+    .messages({
+      'string.guid': 'Task ID must be a valid UUID'
+    })
+});
+
+module.exports = {
+  housekeepingStatusSchema,
+  generateTasksSchema,
+  taskQuerySchema,
+  taskStatusSchema,
+  housekeepingRoomParamSchema,
+  taskIdParamSchema,
+  validateHousekeepingStatus: validate(housekeepingStatusSchema, 'body'),
+  validateGenerateTasks: validate(generateTasksSchema, 'body'),
+  validateTaskQuery: validate(taskQuerySchema, 'query'),
+  validateTaskStatus: validate(taskStatusSchema, 'body'),
+  validateHousekeepingRoom: validate(housekeepingRoomParamSchema, 'params'),
+  validateTaskId: validate(taskIdParamSchema, 'params')
+};
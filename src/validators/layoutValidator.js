@@ -0,0 +1,200 @@
+const Joi = require('joi');
+const { ROOM_TYPES, ROOM_ATTRIBUTE_DEFAULTS, TRANSPORT_TYPES } = require('../utils/constants');
+const { roomAttributeFields } = require('./roomValidator');
+
+const roomTypeField = Joi.string()
+  .valid(...ROOM_TYPES)
+  .messages({
+    'any.only': `Room type must be one of ${ROOM_TYPES.join(', ')}`
+  });
+
+const basePriceField = Joi.number()
+  .min(0)
+  .messages({
+    'number.base': 'Base price must be a number',
+    'number.min': 'Base price cannot be negative'
+  });
+
+const positionField = Joi.number()
+  .integer()
+  .min(0)
+  .messages({
+    'number.base': 'Room position must be a number',
+    'number.min': 'Room position cannot be negative',
+    'any.required': 'Room position is required'
+  });
+
+const roomNumberField = Joi.number()
+  .integer()
+  .min(1)
+  .messages({
+    'number.base': 'Room number must be a number',
+    'any.required': 'Room number is required'
+  });
+
+const floorField = Joi.number()
+  .integer()
+  .min(1)
+  .messages({
+    'number.base': 'Floor must be a number',
+    'number.min': 'Floors are numbered from 1',
+    'any.required': 'Floor number is required'
+  });
+
+// Lifts and staircases of a floor, by corridor position. Guests reach
+// other floors through them, so walking is measured from the nearest one.
+const transportField = Joi.array()
+  .items(Joi.object({
+    type: Joi.string()
+      .valid(...TRANSPORT_TYPES)
+      .default('lift')
+      .messages({
+        'any.only': `Transport type must be one of ${TRANSPORT_TYPES.join(', ')}`
+      }),
+
+    position: Joi.number()
+      .integer()
+      .min(0)
+      .required()
+      .messages({
+        'number.base': 'Transport position must be a number',
+        'number.min': 'Transport position cannot be negative',
+        'any.required': 'Transport position is required'
+      })
+  }))
+  .unique('position')
+  .messages({
+    'array.unique': 'Each lift or staircase needs its own position'
+  });
+
+// A room listed explicitly; anything omitted comes from its floor, then
+// its room type
+const layoutRoomSchema = Joi.object({
+  position: positionField.required(),
+
+  roomNumber: roomNumberField.optional(),
+
+  roomType: roomTypeField.optional(),
+
+  basePrice: basePriceField.optional(),
+
+  ...roomAttributeFields
+});
+
+const layoutFloorSchema = Joi.object({
+  floor: floorField.required(),
+
+  // Either a room count (numbered in sequence) or the rooms themselves
+  rooms: Joi.alternatives()
+    .try(
+      Joi.number().integer().min(1),
+      Joi.array().items(layoutRoomSchema).min(1)
+    )
+    .required()
+    .messages({
+      'alternatives.match': 'Floor rooms must be a room count or a list of rooms',
+      'any.required': 'Floor rooms are required'
+    }),
+
+  roomType: roomTypeField.default('standard'),
+
+  basePrice: basePriceField.optional(),
+
+  // Overrides the building-wide transport for this floor
+  transport: transportField.optional(),
+
+  ...roomAttributeFields
+});
+
+const numberingSchema = Joi.object({
+  floorMultiplier: Joi.number()
+    .integer()
+    .min(10)
+    .default(100)
+    .messages({
+      'number.min': 'Floor multiplier must be at least 10'
+    }),
+
+  firstPosition: Joi.number()
+    .integer()
+    .min(0)
+    .default(1)
+}).default();
+
+// Declarative building layout (see src/config/hotelLayout.json)
+const layoutSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .optional(),
+
+  numbering: numberingSchema,
+
+  roomTypes: Joi.object()
+    .pattern(
+      Joi.string().valid(...ROOM_TYPES),
+      Joi.object({ basePrice: basePriceField.required(), ...roomAttributeFields })
+    )
+    .default({})
+    .messages({
+      'object.unknown': `Room types must be among ${ROOM_TYPES.join(', ')}`
+    }),
+
+  // Lifts and staircases on every floor that does not declare its own
+  transport: transportField.optional(),
+
+  floors: Joi.array()
+    .items(layoutFloorSchema)
+    .min(1)
+    .unique('floor')
+    .required()
+    .messages({
+      'array.min': 'Layout needs at least one floor',
+      'array.unique': 'Each floor may only appear once',
+      'any.required': 'Layout floors are required'
+    })
+});
+
+// One row of a flat room list (layout import/export): every room spelled out
+const layoutRoomRowSchema = Joi.object({
+  roomNumber: roomNumberField.required(),
+
+  floor: floorField.required(),
+
+  position: positionField.required(),
+
+  roomType: roomTypeField.default('standard'),
+
+  basePrice: basePriceField.required().messages({
+    'any.required': 'Base price is required'
+  }),
+
+  ...Object.fromEntries(Object.entries(roomAttributeFields).map(
+    ([attribute, field]) => [attribute, field.default(ROOM_ATTRIBUTE_DEFAULTS[attribute])]
+  ))
+});
+
+// Flat room list, optionally with the numbering scheme its positions follow
+const layoutRoomListSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .max(100)
+    .optional(),
+
+  numbering: numberingSchema,
+
+  rooms: Joi.array()
+    .items(layoutRoomRowSchema)
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'Provide at least one room',
+      'any.required': 'Provide a rooms list or a floors layout'
+    })
+});
+
+module.exports = {
+  layoutSchema,
+  layoutRoomListSchema,
+  numberingSchema
+};
@@ -0,0 +1,132 @@
+const Joi = require('joi');
+const validate = require('./validate');
+const { MAINTENANCE_SEVERITIES, MAINTENANCE_TICKET_STATUSES } = require('../utils/constants');
+
+const roomNumberField = Joi.number()
+  .integer()
+  .min(1)
+  .messages({
+    'number.base': 'Room number must be a number',
+    'number.integer': 'Room number must be an integer',
+    'number.min': 'Room number must be positive',
+    'any.required': 'Room number is required'
+  });
+
+const severityField = Joi.string()
+  .lowercase()
+  .valid(...MAINTENANCE_SEVERITIES)
+  .messages({
+    'any.only': `Severity must be one of ${MAINTENANCE_SEVERITIES.join(', ')}`
+  });
+
+const descriptionField = Joi.string()
+  .trim()
+  .max(2000)
+  .messages({
+    'string.empty': 'Description cannot be empty',
+    'string.max': 'Description cannot exceed 2000 characters',
+    'any.required': 'Description is required'
+  });
+
+// Take the room out of order (defaults to true for high and critical tickets)
+const outOfOrderField = Joi.boolean()
+  .messages({
+    'boolean.base': 'outOfOrder must be true or false'
+  });
+
+// Ticket creation validation schema
+const createTicketSchema = Joi.object({
+  roomNumber: roomNumberField.required(),
+
+  severity: severityField.default('medium'),
+
+  description: descriptionField.required(),
+
+  outOfOrder: outOfOrderField.optional(),
+
+  reportedBy: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'Reporter name cannot exceed 100 characters'
+    })
+});
+
+// Ticket update validation schema (closing has its own route)
+const updateTicketSchema = Joi.object({
+  severity: severityField.optional(),
+
+  description: descriptionField.optional(),
+
+  status: Joi.string()
+    .valid('open', 'in_progress')
+    .optional()
+    .messages({
+      'any.only': 'Status must be open or in_progress; close a ticket with POST /close'
+    }),
+
+  outOfOrder: outOfOrderField.optional()
+})
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one of severity, description, status or outOfOrder'
+  });
+
+// Ticket closing validation schema
+const closeTicketSchema = Joi.object({
+  resolution: Joi.string()
+    .trim()
+    .max(2000)
+    .optional()
+    .messages({
+      'string.max': 'Resolution cannot exceed 2000 characters'
+    })
+});
+
+// Ticket list query parameters validation schema
+const ticketQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid(...MAINTENANCE_TICKET_STATUSES)
+    .optional()
+    .messages({
+      'any.only': `Status must be one of ${MAINTENANCE_TICKET_STATUSES.join(', ')}`
+    }),
+
+  severity: severityField.optional(),
+
+  floor: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .messages({
+      'number.base': 'Floor must be a number',
+      'number.integer': 'Floor must be an integer',
+      'number.min': 'Floor must be at least 1'
+    }),
+
+  roomNumber: roomNumberField.optional()
+});
+
+// Route parameter schema
+const ticketIdParamSchema = Joi.object({
+  ticketId: Joi.string()
+    .guid()
+    .required()
+    .messages({
+      'string.guid': 'Ticket ID must be a valid UUID'
+    })
+});
+
+module.exports = {
+  createTicketSchema,
+  updateTicketSchema,
+  closeTicketSchema,
+  ticketQuerySchema,
+  ticketIdParamSchema,
+  validateCreateTicket: validate(createTicketSchema, 'body'),
+  validateUpdateTicket: validate(updateTicketSchema, 'body'),
+  validateCloseTicket: validate(closeTicketSchema, 'body'),
+  validateTicketQuery: validate(ticketQuerySchema, 'query'),
+  validateTicketId: validate(ticketIdParamSchema, 'params')
+};
@@ -0,0 +1,180 @@
+const Joi = require('joi');
+const validate = require('./validate');
+const { layoutSchema } = require('./layoutValidator');
+const { TRAVEL_COST_MODELS, ALLOCATION_STRATEGIES, BOOKING_RULES } = require('../utils/constants');
+
+const codeField = Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(/^[a-z][a-z0-9-]{1,49}$/)
+  .messages({
+    'string.pattern.base': 'Property code must start with a letter and use only letters, digits and dashes (2-50 characters)',
+    'any.required': 'Property code is required'
+  });
+
+const nameField = Joi.string()
+  .trim()
+  .max(100)
+  .messages({
+    'string.empty': 'Property name cannot be empty',
+    'string.max': 'Property name cannot exceed 100 characters',
+    'any.required': 'Property name is required'
+  });
+
+const addressField = Joi.string()
+  .trim()
+  .max(255)
+  .allow('', null)
+  .messages({
+    'string.max': 'Address cannot exceed 255 characters'
+  });
+
+// Overrides of the default pricing rules (PRICING_RULES)
+const pricingField = Joi.object({
+  weekendSurcharge: Joi.number()
+    .min(0)
+    .max(5)
+    .messages({
+      'number.base': 'Weekend surcharge must be a number',
+      'number.min': 'Weekend surcharge cannot be negative',
+      'number.max': 'Weekend surcharge cannot exceed 5 (500%)'
+    }),
+
+  weekendDays: Joi.array()
+    .items(Joi.number().integer().min(0).max(6))
+    .unique()
+    .messages({
+      'array.unique': 'Each weekend day may only appear once',
+      'number.max': 'Weekend days are 0 (Sunday) to 6 (Saturday)'
+    })
+});
+
+// Overrides of the default travel cost model (TRAVEL_TIME). Weights are
+// whole minutes, as booking travel times are.
+const travelCostField = Joi.object({
+  model: Joi.string()
+    .valid(...TRAVEL_COST_MODELS)
+    .messages({
+      'any.only': `Travel cost model must be one of: ${TRAVEL_COST_MODELS.join(', ')}`
+    }),
+
+  perRoom: Joi.number()
+    .integer()
+    .min(0)
+    .max(60)
+    .messages({
+      'number.base': 'Minutes per room must be a number',
+      'number.integer': 'Minutes per room must be a whole number',
+      'number.min': 'Minutes per room cannot be negative',
+      'number.max': 'Minutes per room cannot exceed 60'
+    }),
+
+  perFloor: Joi.number()
+    .integer()
+    .min(0)
+    .max(60)
+    .messages({
+      'number.base': 'Minutes per floor must be a number',
+      'number.integer': 'Minutes per floor must be a whole number',
+      'number.min': 'Minutes per floor cannot be negative',
+      'number.max': 'Minutes per floor cannot exceed 60'
+    }),
+
+  origin: Joi.object({
+    floor: Joi.number()
+      .integer()
+      .messages({
+        'number.base': 'Origin floor must be a number',
+        'number.integer': 'Origin floor must be a whole number'
+      }),
+
+    position: Joi.number()
+      .integer()
+      .min(0)
+      .allow(null)
+      .messages({
+        'number.base': 'Origin position must be a number',
+        'number.integer': 'Origin position must be a whole number',
+        'number.min': 'Origin position cannot be negative'
+      })
+  })
+});
+
+// Overrides of the default allocation strategy (ALLOCATION_RULES)
+const allocationField = Joi.object({
+  strategy: Joi.string()
+    .valid(...ALLOCATION_STRATEGIES)
+    .messages({
+      'any.only': `Allocation strategy must be one of: ${ALLOCATION_STRATEGIES.join(', ')}`
+    }),
+
+  fragmentationWeight: Joi.number()
+    .min(0)
+    .max(60)
+    .messages({
+      'number.base': 'Fragmentation weight must be a number',
+      'number.min': 'Fragmentation weight cannot be negative',
+      'number.max': 'Fragmentation weight cannot exceed 60 minutes'
+    }),
+
+  minRun: Joi.number()
+    .integer()
+    .min(2)
+    .max(BOOKING_RULES.MAX_ROOMS)
+    .messages({
+      'number.base': 'Minimum run must be a number',
+      'number.integer': 'Minimum run must be a whole number',
+      'number.min': 'Minimum run must be at least 2 rooms',
+      'number.max': `Minimum run cannot exceed ${BOOKING_RULES.MAX_ROOMS} rooms (the largest booking)`
+    })
+});
+
+// Property creation validation schema
+const createPropertySchema = Joi.object({
+  code: codeField.required(),
+  name: nameField.required(),
+  address: addressField.optional(),
+  pricing: pricingField.optional(),
+  travelCost: travelCostField.optional(),
+  allocation: allocationField.optional(),
+  layout: layoutSchema.optional()
+});
+
+// Property update validation schema
+const updatePropertySchema = Joi.object({
+  code: codeField,
+  name: nameField,
+  address: addressField,
+  pricing: pricingField,
+  travelCost: travelCostField,
+  allocation: allocationField
+})
+  .min(1)
+  .messages({
+    'object.min': 'Provide at least one property field to update'
+  });
+
+// A property named by numeric id or code
+const propertyIdField = Joi.alternatives()
+  .try(
+    Joi.number().integer().min(1),
+    codeField
+  )
+  .messages({
+    'alternatives.match': 'Property must be a numeric id or a property code'
+  });
+
+// Route parameter schema
+const propertyIdParamSchema = Joi.object({
+  propertyId: propertyIdField.required()
+});
+
+module.exports = {
+  propertyIdField,
+  createPropertySchema,
+  updatePropertySchema,
+  propertyIdParamSchema,
+  validateCreateProperty: validate(createPropertySchema, 'body'),
+  validateUpdateProperty: validate(updatePropertySchema, 'body'),
+  validatePropertyId: validate(propertyIdParamSchema, 'params')
+};
@@ -0,0 +1,242 @@
+const BaseJoi = require('joi');
+const validate = require('./validate');
+const {
+  ROOM_TYPES,
+  BED_CONFIGURATIONS,
+  ROOM_VIEWS,
+  ACCESSIBILITY_FEATURES
+} = require('../utils/constants');
+
+// Array type that also takes a comma-separated string, so query strings
+// can say ?amenities=minibar,balcony
+const Joi = BaseJoi.extend(joi => ({
+  type: 'list',
+  base: joi.array(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({ value: value.split(',').map(item => item.trim()).filter(Boolean) })
+  }
+}));
+
+const bedConfigurationField = Joi.string()
+  .valid(...BED_CONFIGURATIONS)
+  .messages({
+    'any.only': `Bed configuration must be one of ${BED_CONFIGURATIONS.join(', ')}`
+  });
+
+const viewField = Joi.string()
+  .valid(...ROOM_VIEWS)
+  .messages({
+    'any.only': `View must be one of ${ROOM_VIEWS.join(', ')}`
+  });
+
+const accessibilityField = Joi.list()
+  .items(
+    Joi.string()
+      .valid(...ACCESSIBILITY_FEATURES)
+      .messages({
+        'any.only': `Accessibility features must be among ${ACCESSIBILITY_FEATURES.join(', ')}`
+      })
+  )
+  .unique();
+
+const amenitiesField = Joi.list()
+  .items(Joi.string().trim().lowercase().max(50))
+  .unique()
+  .messages({
+    'string.max': 'Amenity names cannot exceed 50 characters'
+  });
+
+const guestCountField = Joi.number()
+  .integer()
+  .min(0)
+  .max(10)
+  .messages({
+    'number.base': 'Guest count must be a number',
+    'number.max': 'No room holds more than 10 guests of one kind'
+  });
+
+// What a room offers (layouts and imports)
+const roomAttributeFields = {
+  isAvailable: Joi.boolean()
+    .messages({
+      'boolean.base': 'isAvailable must be true or false'
+    }),
+
+  maxAdults: guestCountField.min(1).messages({ 'number.min': 'A room must hold at least one adult' }),
+
+  maxChildren: guestCountField,
+
+  bedConfiguration: bedConfigurationField,
+
+  view: viewField,
+
+  smoking: Joi.boolean()
+    .messages({
+      'boolean.base': 'smoking must be true or false'
+    }),
+
+  accessibility: accessibilityField,
+
+  amenities: amenitiesField
+};
+
+// What a guest needs from every room (search filters and booking
+// requirements). Lists of bed configurations or views accept any of them;
+// accessibility features and amenities must all be present.
+const roomRequirementFields = {
+  adults: guestCountField.min(1).messages({ 'number.min': 'At least one adult is required' }),
+
+  children: guestCountField,
+
+  bedConfiguration: Joi.list().items(bedConfigurationField),
+
+  view: Joi.list().items(viewField),
+
+  smoking: Joi.boolean()
+    .messages({
+      'boolean.base': 'smoking must be true or false'
+    }),
+
+  accessibility: accessibilityField,
+
+  amenities: amenitiesField
+};
+
+// Room search validation schema
+const roomSearchSchema = Joi.object({
+  floor: Joi.number()
+    .integer()
+    .min(1)
+    .optional()
+    .messages({
+      'number.base': 'Floor must be a number',
+      'number.integer': 'Floor must be an integer',
+      'number.min': 'Floor must be at least 1'
+    }),
+  
+  roomType: Joi.string()
+    .valid(...ROOM_TYPES)
+    .optional()
+    .messages({
+      'any.only': 'Invalid room type'
+    }),
+  
+  minPrice: Joi.number()
+    .min(0)
+    .optional()
+    .messages({
+      'number.base': 'Minimum price must be a number',
+      'number.min': 'Minimum price cannot be negative'
+    }),
+  
+  maxPrice: Joi.number()
+    .min(0)
+    .optional()
+    .messages({
+      'number.base': 'Maximum price must be a number',
+      'number.min': 'Maximum price cannot be negative'
+    }),
+  
+  available: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'Available must be true or false'
+    }),
+  
+  ...roomRequirementFields,
+
+  sortBy: Joi.string()
+    .valid('floor', 'price', 'roomNumber', 'capacity')
+    .optional()
+    .messages({
+      'any.only': 'Invalid sort field'
+    }),
+  
+  sortOrder: Joi.string()
+    .valid('asc', 'desc')
+    .optional()
+    .messages({
+      'any.only': 'Sort order must be asc or desc'
+    })
+});
+
+// Room status for a single night
+const roomStatusQuerySchema = Joi.object({
+  date: Joi.date()
+    .optional()
+    .messages({
+      'date.base': 'Please provide a valid date'
+    })
+});
+
+// Availability for a stay (both dates optional, default tonight)
+const availabilityQuerySchema = Joi.object({
+  checkInDate: Joi.date()
+    .optional()
+    .messages({
+      'date.base': 'Please provide a valid check-in date'
+    }),
+
+  checkOutDate: Joi.date()
+    .when('checkInDate', {
+      is: Joi.exist(),
+      then: Joi.date().greater(Joi.ref('checkInDate'))
+    })
+    .optional()
+    .messages({
+      'date.base': 'Please provide a valid check-out date',
+      'date.greater': 'Check-out date must be after check-in date'
+    })
+});
+
+// Simulated occupancy for a single night
+const randomOccupancySchema = Joi.object({
+  date: Joi.date()
+    .optional()
+    .messages({
+      'date.base': 'Please provide a valid date'
+    })
+});
+
+// Route parameter schemas
+const floorParamSchema = Joi.object({
+  floorNumber: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.base': 'Floor must be a number',
+      'number.integer': 'Floor must be an integer',
+      'number.min': 'Floor must be at least 1'
+    })
+});
+
+const roomNumberParamSchema = Joi.object({
+  roomNumber: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+    .messages({
+      'number.base': 'Room number must be a number',
+      'number.integer': 'Room number must be an integer',
+      'number.min': 'Room number must be positive'
+    })
+});
+
+module.exports = {
+  roomAttributeFields,
+  roomRequirementFields,
+  roomSearchSchema,
+  roomStatusQuerySchema,
+  availabilityQuerySchema,
+  randomOccupancySchema,
+  floorParamSchema,
+  roomNumberParamSchema,
+  validateRoomSearch: validate(roomSearchSchema, 'query'),
+  validateRoomStatusQuery: validate(roomStatusQuerySchema, 'query'),
+  validateAvailabilityQuery: validate(availabilityQuerySchema, 'query'),
+  validateRandomOccupancy: validate(randomOccupancySchema, 'body'),
+  validateFloorParam: validate(floorParamSchema, 'params'),
+  validateRoomNumberParam: validate(roomNumberParamSchema, 'params')
+};
@@ -0,0 +1,35 @@
+const { ERROR_MESSAGES } = require('../utils/constants');
+
+// Validate one part of the request (body, query or params) against a Joi
+// schema. Every failure gets the same 400 shape listing each field error;
+// on success the request part is replaced with the converted values.
+const validate = (schema, source) => {
+  return (req, res, next) => {
+    // Default: query string for GET, body otherwise
+    const part = source || (req.method === 'GET' ? 'query' : 'body');
+
+    const { error, value } = schema.validate(req[part] || {}, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorMessages = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: ERROR_MESSAGES.VALIDATION_ERROR,
+        errors: errorMessages
+      });
+    }
+
+    req[part] = value;
+
+    next();
+  };
+};
+
+module.exports = validate;